@@ -0,0 +1,114 @@
+/**
+ * Parental Consent Audit Log
+ * Append-only record of how and when parental consent was obtained or withdrawn.
+ * Entries are only ever added, never updated or deleted, so the log can be
+ * exported as evidence for COPPA compliance.
+ */
+
+const admin = require('firebase-admin');
+const { CONSENT_TOKENS_COLLECTION } = require('./consent-token-store');
+
+const CONSENT_EVENTS_COLLECTION = 'parental_consent_events';
+
+const CONSENT_EVENTS = {
+    EMAIL_SENT: 'email_sent',
+    LINK_OPENED: 'link_opened',
+    VERIFIED: 'verified',
+    CHILD_LINKED: 'child_linked',
+    EXPIRED: 'expired',
+    REVOKED: 'revoked'
+};
+
+const CONSENT_EVENT_COLUMNS = [
+    'timestamp',
+    'event',
+    'consentId',
+    'parentEmail',
+    'childName',
+    'childUserId',
+    'ip',
+    'userAgent',
+    'messageId'
+];
+
+function normalizeEmail(email) {
+    return email ? String(email).trim().toLowerCase() : null;
+}
+
+/**
+ * Append a consent event.
+ * `consent` is the consent token record; `context` holds request details
+ * (`ip`, `userAgent`) and the `messageId` of the email involved, if any.
+ */
+async function recordConsentEvent(event, consent, context = {}) {
+    if (!Object.values(CONSENT_EVENTS).includes(event)) {
+        throw new Error(`Unknown consent event: ${event}`);
+    }
+
+    const entry = {
+        timestamp: new Date().toISOString(),
+        event,
+        consentId: consent.consentId || null,
+        parentEmail: normalizeEmail(consent.parentEmail),
+        childName: consent.childName || null,
+        childUserId: consent.childUserId || null,
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        messageId: context.messageId || consent.messageId || null
+    };
+
+    await admin.firestore().collection(CONSENT_EVENTS_COLLECTION).add(entry);
+    return entry;
+}
+
+/**
+ * Same as recordConsentEvent, but never throws. Audit logging must not break
+ * the consent flow itself, so failures are logged for follow-up instead.
+ */
+async function tryRecordConsentEvent(event, consent, context = {}) {
+    try {
+        return await recordConsentEvent(event, consent, context);
+    } catch (error) {
+        console.error(`❌ Failed to record consent event ${event}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Full consent history for a parent email or a child account, oldest first.
+ * Child history covers every consent linked to the child, including the
+ * events recorded before the child's account existed.
+ */
+async function getConsentHistory({ parentEmail, childUserId }) {
+    const events = admin.firestore().collection(CONSENT_EVENTS_COLLECTION);
+    let entries = [];
+
+    if (parentEmail) {
+        const snapshot = await events.where('parentEmail', '==', normalizeEmail(parentEmail)).get();
+        entries = snapshot.docs.map(doc => doc.data());
+    } else if (childUserId) {
+        const consents = await admin.firestore()
+            .collection(CONSENT_TOKENS_COLLECTION)
+            .where('childUserId', '==', childUserId)
+            .get();
+        const consentIds = consents.docs.map(doc => doc.id);
+
+        // Firestore 'in' queries accept at most 30 values
+        for (let i = 0; i < consentIds.length; i += 30) {
+            const snapshot = await events.where('consentId', 'in', consentIds.slice(i, i + 30)).get();
+            entries.push(...snapshot.docs.map(doc => doc.data()));
+        }
+    } else {
+        throw new Error('parentEmail or childUserId is required');
+    }
+
+    return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+module.exports = {
+    CONSENT_EVENTS,
+    CONSENT_EVENT_COLUMNS,
+    recordConsentEvent,
+    tryRecordConsentEvent,
+    getConsentHistory
+};
@@ -0,0 +1,260 @@
+/**
+ * Parental Consent Token Store
+ * Persists pending and verified parental consent tokens so they survive
+ * dyno restarts and are shared between all running instances.
+ *
+ * Store interface:
+ *   save(token, record, revocationToken) - store a new pending consent token, resolves to its consentId
+ *   get(token, { includeExpired })       - return the record, or null if unknown or expired
+ *   setMessageId(consentId, messageId)   - remember which email carried the consent link
+ *   markVerified(token)                  - atomically verify a pending token
+ *   linkChildAccount(token, childUserId) - attach the child's account to a verified consent
+ *   markRevoked(revocationToken)         - atomically withdraw a consent
+ *   markCleanupCompleted(revocationToken) - record that a revoked consent's child data is deleted
+ *   findChildConsent(childUserId)        - the verified, unrevoked consent linked to a child account
+ *   listChildConsents(parentEmail)       - verified, unrevoked consents with a linked child account
+ *   purgeExpired()                       - delete expired, never-verified tokens
+ *
+ * Every record carries a `consentId` (the token hash) that the audit log uses
+ * to tie events to a consent.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const CONSENT_TOKENS_COLLECTION = 'parental_consent_tokens';
+
+// Tokens are stored by hash so a leaked Firestore export can't be replayed as consent links
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isExpired(record, now = Date.now()) {
+    return !record.isVerified && !record.isRevoked && now > record.expiresAt;
+}
+
+/**
+ * Create a consent token store backed by Firestore.
+ * Pending tokens carry a `purgeAt` timestamp; verified consents drop it so they
+ * are kept as the record of consent and never purged.
+ */
+function createFirestoreConsentTokenStore() {
+    const collection = () => admin.firestore().collection(CONSENT_TOKENS_COLLECTION);
+
+    async function save(token, record, revocationToken) {
+        const consentId = hashToken(token);
+        await collection().doc(consentId).set({
+            ...record,
+            consentId,
+            messageId: null,
+            isVerified: false,
+            verifiedAt: null,
+            childUserId: null,
+            isRevoked: false,
+            revokedAt: null,
+            revocationTokenHash: revocationToken ? hashToken(revocationToken) : null,
+            purgeAt: record.expiresAt
+        });
+        return consentId;
+    }
+
+    async function get(token, { includeExpired = false } = {}) {
+        const doc = await collection().doc(hashToken(token)).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const record = doc.data();
+        if (!includeExpired && isExpired(record)) {
+            return null;
+        }
+        return record;
+    }
+
+    async function setMessageId(consentId, messageId) {
+        await collection().doc(consentId).update({ messageId: messageId || null });
+    }
+
+    /**
+     * Mark a pending token as verified inside a transaction so two instances
+     * can't both accept the same link.
+     * Resolves to `{ status, record }` where status is one of
+     * 'verified', 'not_found', 'expired', 'revoked' or 'already_verified'.
+     */
+    async function markVerified(token) {
+        const docRef = collection().doc(hashToken(token));
+
+        return admin.firestore().runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                return { status: 'not_found', record: null };
+            }
+
+            const record = doc.data();
+            if (isExpired(record)) {
+                transaction.delete(docRef);
+                return { status: 'expired', record };
+            }
+
+            if (record.isRevoked) {
+                return { status: 'revoked', record };
+            }
+
+            if (record.isVerified) {
+                return { status: 'already_verified', record };
+            }
+
+            const verifiedAt = Date.now();
+            transaction.update(docRef, {
+                isVerified: true,
+                verifiedAt,
+                purgeAt: admin.firestore.FieldValue.delete()
+            });
+
+            const { purgeAt, ...verifiedRecord } = record;
+            return {
+                status: 'verified',
+                record: { ...verifiedRecord, isVerified: true, verifiedAt }
+            };
+        });
+    }
+
+    /**
+     * Link the child's Firebase account to a verified consent so revocation can
+     * find the data to delete. Linking is one-to-one and can't be changed later.
+     * Resolves to `{ status, record }` where status is one of
+     * 'linked', 'not_found', 'not_verified', 'revoked' or 'already_linked'.
+     */
+    async function linkChildAccount(token, childUserId) {
+        const docRef = collection().doc(hashToken(token));
+
+        return admin.firestore().runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                return { status: 'not_found', record: null };
+            }
+
+            const record = doc.data();
+            if (record.isRevoked) {
+                return { status: 'revoked', record };
+            }
+
+            if (!record.isVerified) {
+                return { status: 'not_verified', record };
+            }
+
+            if (record.childUserId) {
+                return {
+                    status: record.childUserId === childUserId ? 'linked' : 'already_linked',
+                    record
+                };
+            }
+
+            transaction.update(docRef, { childUserId });
+            return { status: 'linked', record: { ...record, childUserId } };
+        });
+    }
+
+    async function findByRevocationToken(revocationToken) {
+        const snapshot = await collection()
+            .where('revocationTokenHash', '==', hashToken(revocationToken))
+            .limit(1)
+            .get();
+        return snapshot.empty ? null : snapshot.docs[0].ref;
+    }
+
+    /**
+     * Withdraw a consent using the revocation token from the consent email.
+     * Resolves to `{ status, record }` where status is one of
+     * 'revoked', 'not_found' or 'already_revoked'. A revoked record's
+     * `cleanupCompletedAt` stays null until markCleanupCompleted, so a failed
+     * child data cleanup is retried on the next revocation request.
+     */
+    async function markRevoked(revocationToken) {
+        const docRef = await findByRevocationToken(revocationToken);
+        if (!docRef) {
+            return { status: 'not_found', record: null };
+        }
+
+        return admin.firestore().runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                return { status: 'not_found', record: null };
+            }
+
+            const record = doc.data();
+            if (record.isRevoked) {
+                return { status: 'already_revoked', record };
+            }
+
+            const revokedAt = Date.now();
+            transaction.update(docRef, { isRevoked: true, revokedAt, cleanupCompletedAt: null });
+            return {
+                status: 'revoked',
+                record: { ...record, isRevoked: true, revokedAt, cleanupCompletedAt: null }
+            };
+        });
+    }
+
+    async function markCleanupCompleted(revocationToken) {
+        const docRef = await findByRevocationToken(revocationToken);
+        if (docRef) {
+            await docRef.update({ cleanupCompletedAt: Date.now() });
+        }
+    }
+
+    /**
+     * The verified, unrevoked consent linked to a child account, or null
+     */
+    async function findChildConsent(childUserId) {
+        const snapshot = await collection()
+            .where('childUserId', '==', childUserId)
+            .get();
+        const record = snapshot.docs
+            .map(doc => doc.data())
+            .find(consent => consent.isVerified && !consent.isRevoked);
+        return record || null;
+    }
+
+    /**
+     * Verified, unrevoked consents a parent gave that are linked to a child account.
+     * Parent emails are matched as entered and lowercased.
+     */
+    async function listChildConsents(parentEmail) {
+        const emails = [...new Set([parentEmail, parentEmail.toLowerCase()])];
+        const snapshot = await collection()
+            .where('parentEmail', 'in', emails)
+            .get();
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(consent => consent.isVerified && !consent.isRevoked && consent.childUserId);
+    }
+
+    /**
+     * Delete expired, never-verified tokens.
+     * Resolves to `{ deleted, records }` so callers can log what lapsed.
+     */
+    async function purgeExpired() {
+        const expired = await collection()
+            .where('purgeAt', '<', Date.now())
+            .limit(500)
+            .get();
+
+        if (expired.empty) {
+            return { deleted: 0, records: [] };
+        }
+
+        const batch = admin.firestore().batch();
+        expired.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+
+        return { deleted: expired.docs.length, records: expired.docs.map(doc => doc.data()) };
+    }
+
+    return { save, get, setMessageId, markVerified, linkChildAccount, markRevoked, markCleanupCompleted, findChildConsent, listChildConsents, purgeExpired };
+}
+
+module.exports = {
+    CONSENT_TOKENS_COLLECTION,
+    createFirestoreConsentTokenStore
+};
@@ -0,0 +1,121 @@
+/**
+ * Signed Parental Consent Tokens
+ * Tokens are minted by the server as `<nonce>.<expiresAt>.<emailDigest>.<signature>`,
+ * where the signature is an HMAC-SHA256 over the token purpose and the first three parts.
+ * The parent email is bound by digest so it never appears in the link itself.
+ * Purposes: 'verify' (consent link) and 'revoke' (consent withdrawal link); a token
+ * minted for one purpose never validates for the other.
+ *
+ * Tokens that have to be stored outside the token store (the outbound email queue)
+ * are sealed with AES-256-GCM under a key derived from the same secret, so they
+ * are never readable at rest.
+ */
+
+const crypto = require('crypto');
+
+const NONCE_BYTES = 24;
+const TOKEN_PURPOSES = ['verify', 'revoke'];
+const SEAL_IV_BYTES = 12;
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function digestEmail(parentEmail) {
+    const normalized = String(parentEmail || '').trim().toLowerCase();
+    return base64url(crypto.createHash('sha256').update(normalized).digest()).substring(0, 22);
+}
+
+function sign(purpose, payload, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(`${purpose}:${payload}`).digest());
+}
+
+/**
+ * Mint a new consent token for a parent email that expires at `expiresAt` (ms since epoch)
+ */
+function createConsentToken({ parentEmail, expiresAt, purpose = 'verify' }, secret) {
+    if (!secret) {
+        throw new Error('Consent token secret is not configured');
+    }
+    if (!TOKEN_PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown consent token purpose: ${purpose}`);
+    }
+
+    const nonce = base64url(crypto.randomBytes(NONCE_BYTES));
+    const payload = `${nonce}.${expiresAt}.${digestEmail(parentEmail)}`;
+    return `${payload}.${sign(purpose, payload, secret)}`;
+}
+
+/**
+ * Check a consent token's format, signature and expiry without touching storage.
+ * Returns `{ valid: true, nonce, expiresAt, emailDigest }` or `{ valid: false, reason }`
+ * where reason is 'malformed', 'bad_signature' or 'expired'.
+ */
+function verifyConsentToken(token, secret, { purpose = 'verify', now = Date.now() } = {}) {
+    if (!secret || typeof token !== 'string') {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 4 || !/^\d+$/.test(parts[1])) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const [nonce, expiresAtString, emailDigest, signature] = parts;
+    const expected = Buffer.from(sign(purpose, `${nonce}.${expiresAtString}.${emailDigest}`, secret));
+    const provided = Buffer.from(signature);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    const expiresAt = Number(expiresAtString);
+    if (now > expiresAt) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    return { valid: true, nonce, expiresAt, emailDigest };
+}
+
+/**
+ * Check that a verified token was issued for the given parent email
+ */
+function consentTokenMatchesEmail(verifiedToken, parentEmail) {
+    return verifiedToken.emailDigest === digestEmail(parentEmail);
+}
+
+function sealKey(secret) {
+    if (!secret) {
+        throw new Error('Consent token secret is not configured');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'consent-token-seal', 32));
+}
+
+/**
+ * Encrypt an object of consent tokens for storage; returns `<iv>.<tag>.<ciphertext>`
+ */
+function sealConsentTokens(tokens, secret) {
+    const iv = crypto.randomBytes(SEAL_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(secret), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(base64url).join('.');
+}
+
+/**
+ * Decrypt tokens sealed by sealConsentTokens. Throws if they were tampered with
+ * or sealed under another secret.
+ */
+function openConsentTokens(sealed, secret) {
+    const [iv, tag, ciphertext] = String(sealed).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(secret), iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+}
+
+module.exports = {
+    createConsentToken,
+    verifyConsentToken,
+    consentTokenMatchesEmail,
+    sealConsentTokens,
+    openConsentTokens
+};
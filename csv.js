@@ -0,0 +1,39 @@
+/**
+ * CSV Export Helper
+ * Builds RFC 4180 CSV text for admin export endpoints.
+ *
+ * Exports include user-entered text (child names, emails), so text that a
+ * spreadsheet would run as a formula is prefixed with `'`. Numbers are left as is,
+ * so negative amounts stay numeric.
+ */
+
+// Leading characters Excel and Sheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Convert an array of objects to CSV with a header row, using `columns` for order
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
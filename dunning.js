@@ -0,0 +1,201 @@
+/**
+ * Dunning
+ * Follows up on failed renewal payments while Stripe retries the card. The
+ * subscription doc tracks the failures and a grace period under `dunning`:
+ *   { state, failedAttempts, firstFailedAt, lastFailedAt, lastInvoiceId,
+ *     amountDue, currency, gracePeriodDays, graceEndsAt, remindersSent,
+ *     lastReminderAt, finalNoticeSentAt, restrictedAt }
+ *
+ * 'grace'      - the user keeps their plan and gets escalating "update your card"
+ *                emails: one per failed attempt, and a final notice the day
+ *                before the grace period ends
+ * 'restricted' - the grace period is over; the user is limited to the restricted
+ *                entitlement until a payment succeeds
+ * A successful payment clears `dunning`.
+ *
+ * The grace period defaults to DUNNING_GRACE_PERIOD_DAYS. It can be changed per
+ * subscription by editing `dunning.gracePeriodDays`; graceEndsAt follows it.
+ */
+
+const admin = require('firebase-admin');
+const { SUBSCRIPTIONS_COLLECTION } = require('./stripe-mode');
+
+const DUNNING_STATES = {
+    GRACE: 'grace',
+    RESTRICTED: 'restricted'
+};
+
+// Subscription statuses Stripe uses while it retries a failed payment
+const DUNNING_STATUSES = ['past_due'];
+
+const DEFAULT_GRACE_PERIOD_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINAL_NOTICE_LEAD_MS = DAY_MS;
+
+function subscriptionDocRef(stripeSubscriptionId) {
+    const subscriptionId = stripeSubscriptionId.startsWith('sub_')
+        ? stripeSubscriptionId
+        : `sub_${stripeSubscriptionId}`;
+    return admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId);
+}
+
+function graceEndOf(dunning) {
+    return new Date(new Date(dunning.firstFailedAt).getTime() + dunning.gracePeriodDays * DAY_MS);
+}
+
+/**
+ * Create the dunning workflow.
+ *
+ * `sendEmail(template, { subscription, dunning })` sends a dunning email for a
+ * subscription doc; templates are 'payment-failed' (with `dunning.finalNotice`
+ * set on the last reminder) and 'subscription-restricted'.
+ */
+function createDunning({ gracePeriodDays = DEFAULT_GRACE_PERIOD_DAYS, sendEmail }) {
+    async function notify(template, subscription, dunning) {
+        try {
+            await sendEmail(template, { subscription, dunning });
+        } catch (error) {
+            console.error(`❌ Failed to send ${template} email for ${subscription.stripeSubscriptionId}:`, error);
+        }
+    }
+
+    /**
+     * Record a failed payment on a past-due subscription's doc, starting the
+     * grace period on the first failure, and send the next reminder.
+     * Resolves to the dunning record, or null if the doc doesn't exist.
+     */
+    async function recordPaymentFailure(invoice, stripeSubscriptionId) {
+        const docRef = subscriptionDocRef(stripeSubscriptionId);
+        const now = new Date();
+
+        const result = await admin.firestore().runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const previous = doc.data().dunning;
+            const dunning = previous
+                ? { ...previous }
+                : {
+                    state: DUNNING_STATES.GRACE,
+                    failedAttempts: 0,
+                    firstFailedAt: now.toISOString(),
+                    gracePeriodDays,
+                    remindersSent: 0,
+                    lastReminderAt: null,
+                    finalNoticeSentAt: null,
+                    restrictedAt: null
+                };
+
+            dunning.failedAttempts += 1;
+            dunning.lastFailedAt = now.toISOString();
+            dunning.lastInvoiceId = invoice.id;
+            dunning.amountDue = invoice.amount_due / 100;
+            dunning.currency = invoice.currency;
+            dunning.graceEndsAt = graceEndOf(dunning).toISOString();
+            dunning.remindersSent += 1;
+            dunning.lastReminderAt = now.toISOString();
+
+            transaction.update(docRef, {
+                dunning,
+                updatedAt: now.toISOString()
+            });
+            return { subscription: doc.data(), dunning };
+        });
+
+        if (!result) {
+            console.log(`⚠️ Subscription ${stripeSubscriptionId} not found in Firebase, skipping dunning`);
+            return null;
+        }
+
+        console.log(`📉 Payment attempt ${result.dunning.failedAttempts} failed for ${stripeSubscriptionId} (${result.dunning.state}, grace ends ${result.dunning.graceEndsAt})`);
+        await notify('payment-failed', result.subscription, result.dunning);
+        return result.dunning;
+    }
+
+    /**
+     * End dunning after a successful payment. Resolves to true if the
+     * subscription was in dunning.
+     */
+    async function recordPaymentRecovered(stripeSubscriptionId) {
+        const docRef = subscriptionDocRef(stripeSubscriptionId);
+        const doc = await docRef.get();
+        if (!doc.exists || !doc.data().dunning) {
+            return false;
+        }
+
+        await docRef.update({
+            dunning: null,
+            updatedAt: new Date().toISOString()
+        });
+        console.log(`✅ Payment recovered for ${stripeSubscriptionId}, dunning cleared`);
+        return true;
+    }
+
+    /**
+     * Send due final notices and restrict subscriptions whose grace period is over.
+     * Resolves to `{ finalNotices, restricted }` counts.
+     */
+    async function runSweep(now = new Date()) {
+        const snapshot = await admin.firestore()
+            .collection(SUBSCRIPTIONS_COLLECTION)
+            .where('dunning.state', '==', DUNNING_STATES.GRACE)
+            .get();
+
+        const result = { finalNotices: 0, restricted: 0 };
+        for (const doc of snapshot.docs) {
+            const subscription = doc.data();
+            if (!DUNNING_STATUSES.includes(subscription.status)) {
+                // Recovered or canceled without a payment event reaching us
+                await doc.ref.update({ dunning: null, updatedAt: now.toISOString() });
+                continue;
+            }
+
+            const dunning = { ...subscription.dunning };
+            const graceEndsAt = graceEndOf(dunning);
+            dunning.graceEndsAt = graceEndsAt.toISOString();
+
+            if (now >= graceEndsAt) {
+                dunning.state = DUNNING_STATES.RESTRICTED;
+                dunning.restrictedAt = now.toISOString();
+                await doc.ref.update({ dunning, updatedAt: now.toISOString() });
+                console.log(`🔒 Grace period over for ${subscription.stripeSubscriptionId}, access restricted`);
+                await notify('subscription-restricted', subscription, dunning);
+                result.restricted += 1;
+            } else if (!dunning.finalNoticeSentAt && graceEndsAt - now <= FINAL_NOTICE_LEAD_MS) {
+                dunning.finalNoticeSentAt = now.toISOString();
+                dunning.remindersSent += 1;
+                dunning.lastReminderAt = now.toISOString();
+                await doc.ref.update({ dunning, updatedAt: now.toISOString() });
+                await notify('payment-failed', subscription, { ...dunning, finalNotice: true });
+                result.finalNotices += 1;
+            } else if (subscription.dunning.graceEndsAt !== dunning.graceEndsAt) {
+                // gracePeriodDays was edited on the doc
+                await doc.ref.update({ 'dunning.graceEndsAt': dunning.graceEndsAt });
+            }
+        }
+        return result;
+    }
+
+    return {
+        recordPaymentFailure,
+        recordPaymentRecovered,
+        runSweep
+    };
+}
+
+/**
+ * Whether a subscription doc is cut down to the restricted entitlement
+ */
+function isAccessRestricted(subscription) {
+    return subscription?.dunning?.state === DUNNING_STATES.RESTRICTED;
+}
+
+module.exports = {
+    DUNNING_STATES,
+    DUNNING_STATUSES,
+    DEFAULT_GRACE_PERIOD_DAYS,
+    createDunning,
+    isAccessRestricted
+};
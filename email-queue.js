@@ -0,0 +1,300 @@
+/**
+ * Durable Outbound Email Queue
+ * Emails are written to Firestore and sent by a background worker, so a mail
+ * provider outage delays messages instead of losing them.
+ *
+ * email_queue/{id}         - queued and sent messages
+ * email_dead_letters/{id}  - messages that failed every attempt (resendable by admins)
+ *
+ * A message is due while it has a `nextAttemptAt` timestamp. The worker claims
+ * a message by pushing `nextAttemptAt` forward by a lease, so a worker that dies
+ * mid-send leaves the message to be retried by another instance. Failed sends
+ * back off exponentially until `maxAttempts` is reached.
+ *
+ * Secrets such as consent links are never queued in the clear: the sender queues
+ * sealed values and registers an onRender hook that builds the template data at
+ * send time. Template data is still dropped once a message is sent.
+ */
+
+const admin = require('firebase-admin');
+
+const EMAIL_QUEUE_COLLECTION = 'email_queue';
+const EMAIL_DEAD_LETTERS_COLLECTION = 'email_dead_letters';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const SEND_LEASE_MS = 2 * 60 * 1000; // 2 minutes
+const POLL_INTERVAL_MS = 15 * 1000; // 15 seconds
+const BATCH_SIZE = 10;
+
+/**
+ * Delay before the next attempt after `attempts` failed sends
+ */
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Create the email queue.
+ * `getTransport` returns the current mail transport (it is initialized asynchronously),
+ * `renderEmail` renders a named template, and `isReady` reports whether Firebase and
+ * the transport are available yet.
+ */
+function createEmailQueue({ getTransport, renderEmail, isReady, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+    const queue = () => admin.firestore().collection(EMAIL_QUEUE_COLLECTION);
+    const deadLetters = () => admin.firestore().collection(EMAIL_DEAD_LETTERS_COLLECTION);
+    const sentHandlers = new Map();
+    const renderHandlers = new Map();
+    let pollTimer = null;
+    let processing = false;
+    let processAgain = false;
+
+    /**
+     * Register a callback run after a message for `template` is sent.
+     * Receives the queued message and nodemailer's send info.
+     */
+    function onSent(template, handler) {
+        sentHandlers.set(template, handler);
+    }
+
+    /**
+     * Register a function that builds `template`'s data from the queued data when
+     * the message is sent, e.g. to turn sealed tokens into links. Errors count as a
+     * failed send attempt.
+     */
+    function onRender(template, buildData) {
+        renderHandlers.set(template, buildData);
+    }
+
+    /**
+     * Queue a templated email. `metadata` is stored with the message and passed
+     * to the template's onSent handler. Resolves to the queued message ID.
+     */
+    async function enqueue({ template, data, from, to, metadata = {} }) {
+        const docRef = queue().doc();
+        await docRef.set({
+            id: docRef.id,
+            template,
+            data,
+            from,
+            to,
+            metadata,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            messageId: null,
+            sentAt: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        console.log(`📨 Queued ${template} email:`, docRef.id);
+
+        // Try right away rather than waiting for the next poll; the request doesn't wait on it
+        setImmediate(() => processQueue().catch(error => {
+            console.error('❌ Email queue processing failed:', error);
+        }));
+
+        return docRef.id;
+    }
+
+    // Claim a due message by extending its lease; returns null if another worker got it first
+    async function claim(docRef) {
+        return admin.firestore().runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const message = doc.data();
+            if (!message.nextAttemptAt || message.nextAttemptAt > Date.now()) {
+                return null;
+            }
+
+            transaction.update(docRef, {
+                status: 'sending',
+                nextAttemptAt: Date.now() + SEND_LEASE_MS,
+                updatedAt: new Date().toISOString()
+            });
+            return message;
+        });
+    }
+
+    async function deliver(docRef, message) {
+        const attempts = message.attempts + 1;
+
+        try {
+            const transport = getTransport();
+            if (!transport) {
+                throw new Error('Email transport is not initialized');
+            }
+
+            const buildData = renderHandlers.get(message.template);
+            const data = buildData ? buildData(message.data) : message.data;
+            const { subject, html, text } = renderEmail(message.template, data);
+            const info = await transport.sendMail({ from: message.from, to: message.to, subject, html, text });
+
+            await docRef.update({
+                status: 'sent',
+                attempts,
+                data: admin.firestore.FieldValue.delete(),
+                nextAttemptAt: admin.firestore.FieldValue.delete(),
+                messageId: info.messageId || null,
+                sentAt: new Date().toISOString(),
+                lastError: null,
+                updatedAt: new Date().toISOString()
+            });
+            console.log(`✅ Sent ${message.template} email:`, info.messageId);
+
+            const handler = sentHandlers.get(message.template);
+            if (handler) {
+                try {
+                    await handler(message, info);
+                } catch (handlerError) {
+                    console.error(`❌ onSent handler failed for ${message.template} email:`, handlerError);
+                }
+            }
+        } catch (error) {
+            if (attempts >= message.maxAttempts) {
+                await moveToDeadLetters(docRef, message, attempts, error);
+                return;
+            }
+
+            const delay = retryDelay(attempts);
+            await docRef.update({
+                status: 'pending',
+                attempts,
+                nextAttemptAt: Date.now() + delay,
+                lastError: error.message,
+                updatedAt: new Date().toISOString()
+            });
+            console.warn(`⚠️ Failed to send ${message.template} email ${message.id} (attempt ${attempts}/${message.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        }
+    }
+
+    async function moveToDeadLetters(docRef, message, attempts, error) {
+        const batch = admin.firestore().batch();
+        batch.set(deadLetters().doc(docRef.id), {
+            ...message,
+            status: 'dead',
+            attempts,
+            nextAttemptAt: null,
+            lastError: error.message,
+            failedAt: new Date().toISOString(),
+            resentAt: null,
+            resentAs: null,
+            updatedAt: new Date().toISOString()
+        });
+        batch.delete(docRef);
+        await batch.commit();
+
+        console.error(`❌ ${message.template} email ${message.id} moved to dead letters after ${attempts} attempts:`, error.message);
+    }
+
+    /**
+     * Send every due message. Safe to call concurrently from several instances.
+     */
+    async function processQueue() {
+        if (!isReady()) {
+            return;
+        }
+        if (processing) {
+            // Pick up messages queued mid-run as soon as this run finishes
+            processAgain = true;
+            return;
+        }
+
+        processing = true;
+        processAgain = false;
+        try {
+            const due = await queue()
+                .where('nextAttemptAt', '<=', Date.now())
+                .orderBy('nextAttemptAt')
+                .limit(BATCH_SIZE)
+                .get();
+
+            for (const doc of due.docs) {
+                const message = await claim(doc.ref);
+                if (message) {
+                    await deliver(doc.ref, message);
+                }
+            }
+        } finally {
+            processing = false;
+        }
+
+        if (processAgain) {
+            await processQueue();
+        }
+    }
+
+    function start() {
+        if (pollTimer) {
+            return;
+        }
+        pollTimer = setInterval(() => {
+            processQueue().catch(error => console.error('❌ Email queue processing failed:', error));
+        }, POLL_INTERVAL_MS);
+        pollTimer.unref();
+    }
+
+    function stop() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    /**
+     * Most recent dead letters first. Template data is left out; it can hold
+     * personal details and is only needed to resend.
+     */
+    async function listDeadLetters({ limit = 100 } = {}) {
+        const snapshot = await deadLetters()
+            .orderBy('failedAt', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => {
+            const { data, ...deadLetter } = doc.data();
+            return deadLetter;
+        });
+    }
+
+    /**
+     * Queue a dead-lettered message again with a fresh attempt count.
+     * Resolves to the new queued message ID, or null if the dead letter doesn't exist.
+     */
+    async function resendDeadLetter(id) {
+        const docRef = deadLetters().doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const message = doc.data();
+        const newId = await enqueue({
+            template: message.template,
+            data: message.data,
+            from: message.from,
+            to: message.to,
+            metadata: { ...message.metadata, resentFrom: id }
+        });
+
+        await docRef.update({
+            resentAt: new Date().toISOString(),
+            resentAs: newId,
+            updatedAt: new Date().toISOString()
+        });
+
+        return newId;
+    }
+
+    return { enqueue, onSent, onRender, processQueue, start, stop, listDeadLetters, resendDeadLetter };
+}
+
+module.exports = {
+    EMAIL_QUEUE_COLLECTION,
+    EMAIL_DEAD_LETTERS_COLLECTION,
+    createEmailQueue
+};
@@ -0,0 +1,211 @@
+/**
+ * Transactional Email Templates
+ * Named Handlebars templates under emails/templates, wrapped in the shared
+ * layout (emails/layouts/main.hbs) with header/footer branding partials.
+ * Values are HTML-escaped by Handlebars, and the plain-text part is generated
+ * from the rendered HTML so both versions always say the same thing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { convert: htmlToText } = require('html-to-text');
+
+const EMAILS_DIR = path.join(__dirname, 'emails');
+
+const BRAND = {
+    name: 'FluencyFlow',
+    tagline: 'Speech Practice Made Easy',
+    color: '#2563eb',
+    supportEmail: 'support@fluencyflow.app'
+};
+
+// Template registry: subject lines are templates too, rendered from the same data.
+// sampleData is used by the development preview route.
+const TEMPLATES = {
+    'parental-consent': {
+        subject: 'Verify Your Parental Consent - FluencyFlow',
+        footerNote: 'This email was sent from FluencyFlow because a parental consent verification was requested for your child.',
+        sampleData: {
+            childName: 'Alex',
+            verificationURL: 'https://fluencyflow.app/verify?token=sample-verification-token',
+            revocationURL: 'https://fluencyflow.app/revoke-consent?token=sample-revocation-token'
+        }
+    },
+    'subscription-confirmation': {
+        subject: 'Subscription Confirmed - {{planDisplayName}} Plan',
+        footerNote: 'This email confirms your FluencyFlow subscription. For billing questions, please contact support.',
+        sampleData: {
+            planDisplayName: 'Professional',
+            billingDisplayName: 'Monthly',
+            renewalFrequency: 'month',
+            formattedAmount: '$19.99',
+            formattedDate: 'January 1, 2026'
+        }
+    },
+    'trial-ending': {
+        subject: 'Your FluencyFlow trial ends on {{trialEndDate}}',
+        footerNote: 'You are receiving this email because your FluencyFlow free trial is ending.',
+        sampleData: {
+            planDisplayName: 'Professional',
+            trialEndDate: 'January 1, 2026',
+            formattedAmount: '$19.99',
+            renewalFrequency: 'month'
+        }
+    },
+    'subscription-paused': {
+        subject: 'Your FluencyFlow subscription is paused',
+        footerNote: 'You are receiving this email because your FluencyFlow subscription status changed.',
+        sampleData: {
+            planDisplayName: 'Professional'
+        }
+    },
+    'subscription-resumed': {
+        subject: 'Your FluencyFlow subscription is active again',
+        footerNote: 'You are receiving this email because your FluencyFlow subscription status changed.',
+        sampleData: {
+            planDisplayName: 'Professional',
+            nextBillingDate: 'January 1, 2026'
+        }
+    },
+    'renewal-reminder': {
+        subject: 'Your FluencyFlow subscription renews on {{renewalDate}}',
+        footerNote: 'This is a required notice about your auto-renewing FluencyFlow subscription.',
+        sampleData: {
+            formattedAmount: '$19.99',
+            renewalDate: 'January 1, 2026'
+        }
+    },
+    'invoice-finalized': {
+        subject: 'Your FluencyFlow invoice for {{formattedAmount}}',
+        footerNote: 'This email is your FluencyFlow invoice notice. For billing questions, please contact support.',
+        sampleData: {
+            invoiceNumber: 'ABCD1234-0001',
+            formattedAmount: '$19.99',
+            invoiceURL: 'https://invoice.stripe.com/i/sample'
+        }
+    },
+    'payment-action-required': {
+        subject: 'Action required: confirm your FluencyFlow payment',
+        footerNote: 'You are receiving this email because your bank requires confirmation of a FluencyFlow payment.',
+        sampleData: {
+            formattedAmount: '$19.99',
+            paymentURL: 'https://invoice.stripe.com/i/sample'
+        }
+    },
+    'payment-failed': {
+        subject: '{{#if finalNotice}}Final notice: {{else}}Action needed: {{/if}}update your card for FluencyFlow',
+        footerNote: 'You are receiving this email because a payment for your FluencyFlow subscription failed.',
+        sampleData: {
+            planDisplayName: 'Professional',
+            formattedAmount: '$19.99',
+            failedAttempts: 2,
+            isFirstReminder: false,
+            finalNotice: false,
+            graceEndDate: 'January 1, 2026',
+            portalURL: 'https://billing.stripe.com/p/session/sample'
+        }
+    },
+    'subscription-restricted': {
+        subject: 'Your FluencyFlow access is limited',
+        footerNote: 'You are receiving this email because a payment for your FluencyFlow subscription failed.',
+        sampleData: {
+            planDisplayName: 'Professional',
+            formattedAmount: '$19.99',
+            portalURL: 'https://billing.stripe.com/p/session/sample'
+        }
+    },
+    'refund-issued': {
+        subject: 'Your FluencyFlow refund of {{formattedAmount}}',
+        footerNote: 'This email confirms a refund to your payment method. For billing questions, please contact support.',
+        sampleData: {
+            formattedAmount: '$19.99'
+        }
+    },
+    'dispute-alert': {
+        subject: 'Payment dispute opened: {{formattedAmount}} ({{reason}})',
+        footerNote: 'Internal alert sent to the FluencyFlow billing team.',
+        sampleData: {
+            disputeId: 'dp_sample',
+            formattedAmount: '$19.99',
+            reason: 'fraudulent',
+            subscriptionId: 'sub_sample',
+            evidenceDueDate: 'January 1, 2026'
+        }
+    }
+};
+
+const engine = Handlebars.create();
+const compiled = new Map();
+
+function readTemplateFile(...segments) {
+    return fs.readFileSync(path.join(EMAILS_DIR, ...segments), 'utf8');
+}
+
+for (const file of fs.readdirSync(path.join(EMAILS_DIR, 'partials'))) {
+    engine.registerPartial(path.basename(file, '.hbs'), readTemplateFile('partials', file));
+}
+
+const layout = engine.compile(readTemplateFile('layouts', 'main.hbs'));
+
+function getCompiledTemplate(name) {
+    if (!compiled.has(name)) {
+        const definition = TEMPLATES[name];
+        if (!definition) {
+            throw new Error(`Unknown email template: ${name}`);
+        }
+        compiled.set(name, {
+            subject: engine.compile(definition.subject, { noEscape: true }),
+            body: engine.compile(readTemplateFile('templates', `${name}.hbs`))
+        });
+    }
+    return compiled.get(name);
+}
+
+/**
+ * Render a named email template.
+ * Returns `{ subject, html, text }` ready to pass to nodemailer.
+ */
+function renderEmail(name, data = {}) {
+    const template = getCompiledTemplate(name);
+    const context = { ...data, brand: BRAND, footerNote: TEMPLATES[name].footerNote };
+
+    const subject = template.subject(context);
+    const body = template.body(context);
+    const html = layout({ ...context, subject, body });
+    const text = htmlToText(html, {
+        wordwrap: 100,
+        selectors: [
+            { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+            { selector: 'h1', options: { uppercase: false } },
+            { selector: 'h2', options: { uppercase: false } },
+            { selector: 'h3', options: { uppercase: false } },
+            { selector: 'table', format: 'dataTable' }
+        ]
+    });
+
+    return { subject, html, text };
+}
+
+/**
+ * Names of all registered templates
+ */
+function listEmailTemplates() {
+    return Object.keys(TEMPLATES);
+}
+
+/**
+ * Render a template with its sample data, optionally overridden by `overrides`
+ */
+function renderSampleEmail(name, overrides = {}) {
+    if (!TEMPLATES[name]) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return renderEmail(name, { ...TEMPLATES[name].sampleData, ...overrides });
+}
+
+module.exports = {
+    renderEmail,
+    listEmailTemplates,
+    renderSampleEmail
+};
@@ -0,0 +1,207 @@
+/**
+ * Entitlements
+ * Server-side feature limits. A user's tier comes from their subscription:
+ *   free        - no subscription, or one that doesn't grant access
+ *   restricted  - past due and out of the dunning grace period (see dunning.js)
+ *   <planType>  - active, trialing, or past due within the grace period
+ * Each tier maps to limits; null means unlimited.
+ *
+ * A child profile without its own subscription gets its access through the
+ * household it belongs to (see households.js), if the owner's plan covers it.
+ * A household's owner and covered children share one pool of monthly practice
+ * minutes and AI turns; custom personas are counted per profile.
+ *
+ * Usage counts come from usage/{uid}/monthly/{YYYY-MM} (see usage-metering.js)
+ * and the user's custom_personas. The AI conversation quota is counted in turns.
+ */
+
+const admin = require('firebase-admin');
+const { SUBSCRIPTIONS_COLLECTION } = require('./stripe-mode');
+const { ENTITLED_STATUSES, isEntitledStatus } = require('./plan-catalog');
+const { DUNNING_STATUSES, isAccessRestricted } = require('./dunning');
+const { getMonthlyUsage, getPooledMonthlyUsage } = require('./usage-metering');
+const { getHousehold, findHouseholdMembership } = require('./households');
+
+const FREE_TIER = 'free';
+const RESTRICTED_TIER = 'restricted';
+
+const ENTITLEMENT_LIMITS = {
+    free: {
+        monthlyPracticeMinutes: 30,
+        customPersonas: 0,
+        monthlyAiTurns: 100,
+        householdMembers: 0
+    },
+    restricted: {
+        monthlyPracticeMinutes: 30,
+        customPersonas: 0,
+        monthlyAiTurns: 100,
+        householdMembers: 0
+    },
+    starter: {
+        monthlyPracticeMinutes: 300,
+        customPersonas: 1,
+        monthlyAiTurns: 1000,
+        householdMembers: 0
+    },
+    professional: {
+        monthlyPracticeMinutes: 1200,
+        customPersonas: 5,
+        monthlyAiTurns: 5000,
+        householdMembers: 2
+    },
+    premium: {
+        monthlyPracticeMinutes: null,
+        customPersonas: 20,
+        monthlyAiTurns: null,
+        householdMembers: 4
+    }
+};
+
+/**
+ * The subscription doc that decides the user's access: an active or trialing
+ * one first, otherwise a past-due one. Resolves to null if there's neither.
+ */
+async function findUserSubscription(userId) {
+    const snapshot = await admin.firestore()
+        .collection(SUBSCRIPTIONS_COLLECTION)
+        .where('userId', '==', userId)
+        .where('status', 'in', [...ENTITLED_STATUSES, ...DUNNING_STATUSES])
+        .limit(5)
+        .get();
+
+    const subscriptions = snapshot.docs.map(doc => doc.data());
+    return subscriptions.find(subscription => isEntitledStatus(subscription.status))
+        || subscriptions[0]
+        || null;
+}
+
+/**
+ * The entitlement tier for a subscription doc (or null)
+ */
+function tierFor(subscription) {
+    if (!subscription) {
+        return FREE_TIER;
+    }
+    if (isAccessRestricted(subscription)) {
+        return RESTRICTED_TIER;
+    }
+    const hasAccess = isEntitledStatus(subscription.status) || DUNNING_STATUSES.includes(subscription.status);
+    return hasAccess && ENTITLEMENT_LIMITS[subscription.planType] ? subscription.planType : FREE_TIER;
+}
+
+/**
+ * Limits for a subscription doc (or null)
+ */
+function limitsFor(subscription) {
+    return ENTITLEMENT_LIMITS[tierFor(subscription)];
+}
+
+/**
+ * Where a user's access comes from: their own subscription or, for a child
+ * profile without one, the household owner's. Resolves to `{ subscription, household }`.
+ * household is null outside a household, otherwise
+ *   { householdId, ownerUserId, role: 'owner' | 'member', covered, poolUserIds }
+ * where poolUserIds are the profiles sharing usage (only covered members).
+ */
+async function resolveAccess(userId) {
+    const ownSubscription = await findUserSubscription(userId);
+    if (ownSubscription) {
+        const household = await getHousehold(userId);
+        if (!household || household.memberUserIds.length === 0) {
+            return { subscription: ownSubscription, household: null };
+        }
+        const coveredMembers = household.memberUserIds.slice(0, limitsFor(ownSubscription).householdMembers);
+        return {
+            subscription: ownSubscription,
+            household: {
+                householdId: household.householdId,
+                ownerUserId: userId,
+                role: 'owner',
+                covered: true,
+                poolUserIds: [userId, ...coveredMembers]
+            }
+        };
+    }
+
+    const membership = await findHouseholdMembership(userId);
+    if (!membership) {
+        return { subscription: null, household: null };
+    }
+
+    const [ownerSubscription, household] = await Promise.all([
+        findUserSubscription(membership.ownerUserId),
+        getHousehold(membership.ownerUserId)
+    ]);
+    const coveredMembers = (household?.memberUserIds || []).slice(0, limitsFor(ownerSubscription).householdMembers);
+    const covered = Boolean(ownerSubscription) && coveredMembers.includes(userId);
+    return {
+        subscription: covered ? ownerSubscription : null,
+        household: {
+            householdId: membership.householdId,
+            ownerUserId: membership.ownerUserId,
+            role: 'member',
+            covered,
+            poolUserIds: covered ? [membership.ownerUserId, ...coveredMembers] : [userId]
+        }
+    };
+}
+
+async function countCustomPersonas(userId) {
+    const snapshot = await admin.firestore()
+        .collection('custom_personas')
+        .where('userId', '==', userId)
+        .count()
+        .get();
+    return snapshot.data().count;
+}
+
+function remainingOf(limit, used) {
+    return limit === null ? null : Math.max(0, limit - used);
+}
+
+/**
+ * Resolve a user's tier, limits, this month's usage and what's left of each quota.
+ * Monthly usage is the household pool's when the user shares one.
+ */
+async function resolveEntitlements(userId) {
+    const { subscription, household } = await resolveAccess(userId);
+
+    const tier = tierFor(subscription);
+    const limits = ENTITLEMENT_LIMITS[tier];
+    const [usage, customPersonas] = await Promise.all([
+        household?.covered ? getPooledMonthlyUsage(household.poolUserIds) : getMonthlyUsage(userId),
+        countCustomPersonas(userId)
+    ]);
+
+    return {
+        tier,
+        planType: subscription?.planType || null,
+        subscriptionStatus: subscription?.status || null,
+        restricted: tier === RESTRICTED_TIER,
+        household,
+        limits,
+        usage: {
+            month: usage.month,
+            practiceMinutes: usage.practiceMinutes,
+            aiTurns: usage.aiTurns,
+            customPersonas
+        },
+        remaining: {
+            monthlyPracticeMinutes: remainingOf(limits.monthlyPracticeMinutes, usage.practiceMinutes),
+            customPersonas: remainingOf(limits.customPersonas, customPersonas),
+            monthlyAiTurns: remainingOf(limits.monthlyAiTurns, usage.aiTurns)
+        }
+    };
+}
+
+module.exports = {
+    FREE_TIER,
+    RESTRICTED_TIER,
+    ENTITLEMENT_LIMITS,
+    findUserSubscription,
+    tierFor,
+    limitsFor,
+    resolveAccess,
+    resolveEntitlements
+};
@@ -0,0 +1,114 @@
+/**
+ * Free Trial Eligibility
+ * Every user gets one free trial, and so does every Stripe customer (a customer
+ * can be shared by several app accounts with the same email).
+ *
+ * trial_claims/{userId} (test_trial_claims in test mode)
+ *   Created atomically before the trial subscription, so two concurrent
+ *   requests can't both start a trial.
+ * Stripe customer metadata `trial_used` and the customer's earlier subscriptions
+ * cover customers who trialed before claims were recorded.
+ */
+
+const admin = require('firebase-admin');
+const { stripeCollection } = require('./stripe-mode');
+
+const TRIAL_CLAIMS_COLLECTION = stripeCollection('trial_claims');
+
+// Firestore's ALREADY_EXISTS status code
+const ALREADY_EXISTS = 6;
+
+/**
+ * Whether the Stripe customer has had a trial. A customer that doesn't exist
+ * (deleted, or from the other Stripe mode) hasn't, so the trial claim decides.
+ */
+async function customerHasTrialed(stripe, customerId) {
+    if (!customerId) {
+        return false;
+    }
+
+    let customer;
+    try {
+        customer = await stripe.customers.retrieve(customerId);
+    } catch (error) {
+        if (error.code === 'resource_missing') {
+            console.warn(`⚠️ Stripe customer ${customerId} not found, checking the trial claim only`);
+            return false;
+        }
+        throw error;
+    }
+    if (!customer.deleted && customer.metadata?.trial_used === 'true') {
+        return true;
+    }
+
+    for await (const subscription of stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 })) {
+        if (subscription.trial_start) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether the user (and their Stripe customer, if they have one) can still start a trial
+ */
+async function isTrialEligible(stripe, { userId, customerId = null }) {
+    const claim = await admin.firestore().collection(TRIAL_CLAIMS_COLLECTION).doc(userId).get();
+    if (claim.exists) {
+        return false;
+    }
+    return !(await customerHasTrialed(stripe, customerId));
+}
+
+/**
+ * Claim the user's one trial. Resolves to true if the caller may start a trial,
+ * false if the user or customer already had one.
+ */
+async function claimTrial(stripe, { userId, customerId, planType }) {
+    if (await customerHasTrialed(stripe, customerId)) {
+        return false;
+    }
+
+    try {
+        await admin.firestore().collection(TRIAL_CLAIMS_COLLECTION).doc(userId).create({
+            userId,
+            stripeCustomerId: customerId,
+            planType,
+            stripeSubscriptionId: null,
+            claimedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+            return false;
+        }
+        throw error;
+    }
+    return true;
+}
+
+/**
+ * Record which subscription used the trial, and flag the Stripe customer
+ */
+async function completeTrialClaim(stripe, { userId, customerId, stripeSubscriptionId }) {
+    await admin.firestore().collection(TRIAL_CLAIMS_COLLECTION).doc(userId).update({
+        stripeSubscriptionId
+    });
+    await stripe.customers.update(customerId, {
+        metadata: { trial_used: 'true' }
+    });
+}
+
+/**
+ * Give the trial back when the trial subscription couldn't be created
+ */
+async function releaseTrialClaim(userId) {
+    await admin.firestore().collection(TRIAL_CLAIMS_COLLECTION).doc(userId).delete();
+}
+
+module.exports = {
+    TRIAL_CLAIMS_COLLECTION,
+    isTrialEligible,
+    claimTrial,
+    completeTrialClaim,
+    releaseTrialClaim
+};
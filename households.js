@@ -0,0 +1,166 @@
+/**
+ * Family Households
+ * A parent's subscription can cover their children's accounts. The parent owns
+ * the household; a child joins once the parent has given verified parental
+ * consent for that child's account (see consent-token-store.js).
+ *
+ * households/{ownerUserId}
+ *   { householdId, ownerUserId, memberUserIds, createdAt, updatedAt }
+ *   memberUserIds is in joining order; when the plan allows fewer members than
+ *   there are, the earliest members keep access.
+ * household_members/{childUserId}
+ *   { householdId, ownerUserId, childUserId, childName, consentId, addedAt }
+ *   A child belongs to at most one household.
+ */
+
+const admin = require('firebase-admin');
+
+const HOUSEHOLDS_COLLECTION = 'households';
+const HOUSEHOLD_MEMBERS_COLLECTION = 'household_members';
+
+function householdError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+async function getHousehold(ownerUserId) {
+    const doc = await admin.firestore().collection(HOUSEHOLDS_COLLECTION).doc(ownerUserId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * The household a child belongs to, as its membership record, or null
+ */
+async function findHouseholdMembership(childUserId) {
+    const doc = await admin.firestore().collection(HOUSEHOLD_MEMBERS_COLLECTION).doc(childUserId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+async function listHouseholdMembers(ownerUserId) {
+    const snapshot = await admin.firestore()
+        .collection(HOUSEHOLD_MEMBERS_COLLECTION)
+        .where('householdId', '==', ownerUserId)
+        .get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/**
+ * Add a child to the owner's household (created on first use), backed by the
+ * parent's verified consent record for that child (null if there is none).
+ * Throws with code `not_consenting_parent` unless the consent was given from
+ * `ownerEmail`, `member_cannot_own` if the owner is a child profile themselves,
+ * `already_member` if the child is in another household and `household_full`
+ * if the household already has `maxMembers` members.
+ */
+async function addHouseholdMember({ ownerUserId, ownerEmail, consent, maxMembers }) {
+    if (!consent || !ownerEmail || consent.parentEmail.toLowerCase() !== ownerEmail.toLowerCase()) {
+        throw householdError('not_consenting_parent', 'No verified parental consent from you for this child');
+    }
+
+    const childUserId = consent.childUserId;
+    const householdRef = admin.firestore().collection(HOUSEHOLDS_COLLECTION).doc(ownerUserId);
+    const memberRef = admin.firestore().collection(HOUSEHOLD_MEMBERS_COLLECTION).doc(childUserId);
+    const ownerMemberRef = admin.firestore().collection(HOUSEHOLD_MEMBERS_COLLECTION).doc(ownerUserId);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const [householdDoc, memberDoc, ownerMemberDoc] = await Promise.all([
+            transaction.get(householdRef),
+            transaction.get(memberRef),
+            transaction.get(ownerMemberRef)
+        ]);
+
+        if (ownerMemberDoc.exists) {
+            throw householdError('member_cannot_own', 'Child profiles cannot own a household');
+        }
+
+        if (memberDoc.exists) {
+            if (memberDoc.data().householdId !== ownerUserId) {
+                throw householdError('already_member', 'This child already belongs to another household');
+            }
+            return memberDoc.data();
+        }
+
+        const memberUserIds = householdDoc.exists ? householdDoc.data().memberUserIds : [];
+        if (memberUserIds.length >= maxMembers) {
+            throw householdError('household_full', `This plan covers up to ${maxMembers} child profiles`);
+        }
+
+        const now = new Date().toISOString();
+        if (householdDoc.exists) {
+            transaction.update(householdRef, {
+                memberUserIds: admin.firestore.FieldValue.arrayUnion(childUserId),
+                updatedAt: now
+            });
+        } else {
+            transaction.set(householdRef, {
+                householdId: ownerUserId,
+                ownerUserId,
+                memberUserIds: [childUserId],
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+
+        const member = {
+            householdId: ownerUserId,
+            ownerUserId,
+            childUserId,
+            childName: consent.childName || null,
+            consentId: consent.consentId,
+            addedAt: now
+        };
+        transaction.set(memberRef, member);
+        return member;
+    });
+}
+
+/**
+ * Take a child out of their household. Resolves to false if they weren't in one
+ * (or, with `ownerUserId`, not in that owner's household).
+ */
+async function removeHouseholdMember(childUserId, { ownerUserId = null } = {}) {
+    const memberRef = admin.firestore().collection(HOUSEHOLD_MEMBERS_COLLECTION).doc(childUserId);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const memberDoc = await transaction.get(memberRef);
+        if (!memberDoc.exists || (ownerUserId && memberDoc.data().householdId !== ownerUserId)) {
+            return false;
+        }
+
+        const householdRef = admin.firestore().collection(HOUSEHOLDS_COLLECTION).doc(memberDoc.data().householdId);
+        transaction.update(householdRef, {
+            memberUserIds: admin.firestore.FieldValue.arrayRemove(childUserId),
+            updatedAt: new Date().toISOString()
+        });
+        transaction.delete(memberRef);
+        return true;
+    });
+}
+
+/**
+ * Delete the owner's household and release its members (when the parent's account is deleted)
+ */
+async function dissolveHousehold(ownerUserId) {
+    const members = await listHouseholdMembers(ownerUserId);
+    const batch = admin.firestore().batch();
+    members.forEach(member => {
+        batch.delete(admin.firestore().collection(HOUSEHOLD_MEMBERS_COLLECTION).doc(member.childUserId));
+    });
+    batch.delete(admin.firestore().collection(HOUSEHOLDS_COLLECTION).doc(ownerUserId));
+    await batch.commit();
+    return members.length;
+}
+
+module.exports = {
+    HOUSEHOLDS_COLLECTION,
+    HOUSEHOLD_MEMBERS_COLLECTION,
+    getHousehold,
+    findHouseholdMembership,
+    listHouseholdMembers,
+    addHouseholdMember,
+    removeHouseholdMember,
+    dissolveHousehold
+};
@@ -0,0 +1,143 @@
+/**
+ * Pluggable Mail Transport
+ * Selected with MAIL_TRANSPORT:
+ *   gmail  - Gmail via nodemailer (default unless NODE_ENV is development or test)
+ *   smtp   - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *   outbox - write each message to MAIL_OUTBOX_DIR as .eml and .json (default when NODE_ENV=development)
+ *   memory - keep messages in memory for tests (default when NODE_ENV=test)
+ * Every transport exposes nodemailer's `sendMail(mailOptions)` and resolves to an info object with a messageId.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['gmail', 'smtp', 'outbox', 'memory'];
+
+// Anything other than an explicit development/test environment sends real email
+function defaultTransportName() {
+    if (process.env.NODE_ENV === 'development') {
+        return 'outbox';
+    }
+    return process.env.NODE_ENV === 'test' ? 'memory' : 'gmail';
+}
+
+async function createGmailTransport(getSecret) {
+    let gmailPassword;
+    try {
+        gmailPassword = await getSecret('gmail-app-password');
+    } catch (error) {
+        console.error('❌ Failed to get Gmail password from Key Vault:', error);
+    }
+
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.GMAIL_USER || 'verification@fluencyflow.app',
+            pass: gmailPassword || process.env.GMAIL_APP_PASSWORD
+        }
+    });
+}
+
+function createSmtpTransport() {
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+}
+
+/**
+ * Writes `<timestamp>-<id>.eml` (the raw message) and `<timestamp>-<id>.json`
+ * (envelope, subject and bodies) for every message instead of sending it.
+ */
+function createOutboxTransport(outboxDir) {
+    const streamTransport = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix'
+    });
+
+    fs.mkdirSync(outboxDir, { recursive: true });
+
+    return {
+        outboxDir,
+        async sendMail(mailOptions) {
+            const info = await streamTransport.sendMail(mailOptions);
+            const messageKey = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_');
+            const baseName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageKey}`;
+
+            await fs.promises.writeFile(path.join(outboxDir, `${baseName}.eml`), info.message);
+            await fs.promises.writeFile(path.join(outboxDir, `${baseName}.json`), JSON.stringify({
+                messageId: info.messageId,
+                envelope: info.envelope,
+                from: mailOptions.from,
+                to: mailOptions.to,
+                subject: mailOptions.subject,
+                text: mailOptions.text,
+                html: mailOptions.html,
+                createdAt: new Date().toISOString()
+            }, null, 2));
+
+            console.log(`📬 Email written to outbox: ${baseName}.eml`);
+            return { ...info, message: undefined, outboxFile: `${baseName}.eml` };
+        }
+    };
+}
+
+/**
+ * Captures messages in `messages` so tests can assert on what would have been sent
+ */
+function createMemoryTransport() {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+    const messages = [];
+
+    return {
+        messages,
+        async sendMail(mailOptions) {
+            const info = await jsonTransport.sendMail(mailOptions);
+            messages.push({ messageId: info.messageId, envelope: info.envelope, ...mailOptions });
+            return info;
+        },
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+/**
+ * Create the configured mail transport.
+ * `getSecret` is the Key Vault lookup used for the Gmail app password.
+ */
+async function createMailTransport({ getSecret, name = process.env.MAIL_TRANSPORT || defaultTransportName() } = {}) {
+    if (!MAIL_TRANSPORTS.includes(name)) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+
+    let transport;
+    switch (name) {
+        case 'gmail':
+            transport = await createGmailTransport(getSecret);
+            break;
+        case 'smtp':
+            transport = createSmtpTransport();
+            break;
+        case 'outbox':
+            transport = createOutboxTransport(path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox'));
+            break;
+        case 'memory':
+            transport = createMemoryTransport();
+            break;
+    }
+
+    transport.transportName = name;
+    return transport;
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createMailTransport
+};
@@ -0,0 +1,226 @@
+/**
+ * Plan Catalog
+ * The single source of truth for which Stripe product and price each plan type
+ * and billing cycle uses, per Stripe mode ('live' or 'test'). Clients choose a
+ * plan by type and cycle; they never send Stripe price IDs.
+ *
+ * verifyPlanCatalog() checks every ID against Stripe at startup and caches the
+ * price details (amount, currency, interval) served by GET /api/plans.
+ *
+ * Also defines which subscription statuses grant access to a plan's features.
+ */
+
+const PLAN_TYPES = ['starter', 'professional', 'premium'];
+const BILLING_CYCLES = ['monthly', 'yearly'];
+
+const STRIPE_INTERVALS = {
+    monthly: 'month',
+    yearly: 'year'
+};
+
+// Free trial length per plan type, in days (0 for no trial)
+const PLAN_TRIAL_DAYS = {
+    starter: 7,
+    professional: 7,
+    premium: 14
+};
+
+// A trialing subscription is entitled exactly like an active one
+const ENTITLED_STATUSES = ['active', 'trialing'];
+
+function isEntitledStatus(status) {
+    return ENTITLED_STATUSES.includes(status);
+}
+
+const PLAN_CATALOG = {
+    live: {
+        starter: {
+            productId: 'prod_TQKX3faDpap0ks',
+            prices: {
+                monthly: 'price_1STTsfCdYlZtgYGH84EG1xr3',
+                yearly: 'price_1STTsfCdYlZtgYGHTI2MDIOF'
+            }
+        },
+        professional: {
+            productId: 'prod_TQKYZ1drtgQgxj',
+            prices: {
+                monthly: 'price_1STTtDCdYlZtgYGHzir9N25f',
+                yearly: 'price_1STTtDCdYlZtgYGHzFQDaZ0L'
+            }
+        },
+        premium: {
+            productId: 'prod_TQKYcpijkq1LcL',
+            prices: {
+                monthly: 'price_1STTtGCdYlZtgYGHtVqFhO2M',
+                yearly: 'price_1STTtGCdYlZtgYGHCIrEGABA'
+            }
+        }
+    },
+    // Test mode product IDs aren't pinned; verifyPlanCatalog() takes them from the prices
+    test: {
+        starter: {
+            productId: null,
+            prices: {
+                monthly: 'price_1SBMCh2QVCQwj6xKAxuwKisC',
+                yearly: 'price_1SBMGX2QVCQwj6xKb9suTwhR'
+            }
+        },
+        professional: {
+            productId: null,
+            prices: {
+                monthly: 'price_1SBMHE2QVCQwj6xKgYNPRtB6',
+                yearly: 'price_1SBMHU2QVCQwj6xKk4AtbNBd'
+            }
+        },
+        premium: {
+            productId: null,
+            prices: {
+                monthly: 'price_1SBMHv2QVCQwj6xKON7BWqbX',
+                yearly: 'price_1SBMI52QVCQwj6xKlJR975L0'
+            }
+        }
+    }
+};
+
+// Price details loaded from Stripe by verifyPlanCatalog(), keyed by price ID
+const priceDetails = new Map();
+
+/**
+ * Look up a plan. Returns `{ planType, billingCycle, productId, priceId, trialDays }`,
+ * or null if the plan type or billing cycle isn't in the catalog.
+ */
+function getPlan(mode, planType, billingCycle) {
+    const product = PLAN_CATALOG[mode]?.[planType];
+    const priceId = product?.prices[billingCycle];
+    if (!priceId) {
+        return null;
+    }
+
+    return {
+        planType,
+        billingCycle,
+        productId: product.productId || priceDetails.get(priceId)?.productId || null,
+        priceId,
+        trialDays: PLAN_TRIAL_DAYS[planType] || 0
+    };
+}
+
+/**
+ * Find the plan a Stripe price belongs to, or null for prices outside the catalog
+ */
+function findPlanByPriceId(mode, priceId) {
+    for (const planType of PLAN_TYPES) {
+        for (const billingCycle of BILLING_CYCLES) {
+            if (PLAN_CATALOG[mode]?.[planType]?.prices[billingCycle] === priceId) {
+                return getPlan(mode, planType, billingCycle);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Order two plans by tier, then by billing cycle (yearly above monthly).
+ * Negative when `a` is below `b`, positive when above, 0 for the same plan.
+ */
+function comparePlans(a, b) {
+    const byTier = PLAN_TYPES.indexOf(a.planType) - PLAN_TYPES.indexOf(b.planType);
+    if (byTier !== 0) {
+        return byTier;
+    }
+    return BILLING_CYCLES.indexOf(a.billingCycle) - BILLING_CYCLES.indexOf(b.billingCycle);
+}
+
+/**
+ * Every plan in the catalog with its Stripe price details (null until verified)
+ */
+function listPlans(mode) {
+    const plans = [];
+    for (const planType of PLAN_TYPES) {
+        for (const billingCycle of BILLING_CYCLES) {
+            const plan = getPlan(mode, planType, billingCycle);
+            if (!plan) {
+                continue;
+            }
+            const details = priceDetails.get(plan.priceId);
+            plans.push({
+                ...plan,
+                amount: details ? details.unitAmount / 100 : null,
+                currency: details ? details.currency : null,
+                interval: STRIPE_INTERVALS[billingCycle]
+            });
+        }
+    }
+    return plans;
+}
+
+/**
+ * Check that every price in the mode's catalog exists in Stripe, is active,
+ * bills on the expected interval and belongs to the expected product.
+ * Resolves to `{ ok, problems }`; problems are also logged.
+ */
+async function verifyPlanCatalog(stripe, mode) {
+    const problems = [];
+
+    if (!PLAN_CATALOG[mode]) {
+        problems.push(`No plan catalog for Stripe mode "${mode}"`);
+    }
+
+    for (const planType of PLAN_TYPES) {
+        for (const billingCycle of BILLING_CYCLES) {
+            const plan = getPlan(mode, planType, billingCycle);
+            if (!plan) {
+                if (PLAN_CATALOG[mode]) {
+                    problems.push(`${planType} ${billingCycle}: missing from the ${mode} catalog`);
+                }
+                continue;
+            }
+
+            let price;
+            try {
+                price = await stripe.prices.retrieve(plan.priceId);
+            } catch (error) {
+                problems.push(`${planType} ${billingCycle}: price ${plan.priceId} not found in Stripe (${error.message})`);
+                continue;
+            }
+
+            const productId = typeof price.product === 'string' ? price.product : price.product.id;
+            if (!price.active) {
+                problems.push(`${planType} ${billingCycle}: price ${plan.priceId} is archived`);
+            }
+            if (price.recurring?.interval !== STRIPE_INTERVALS[billingCycle]) {
+                problems.push(`${planType} ${billingCycle}: price ${plan.priceId} bills every ${price.recurring?.interval || 'one-time'}`);
+            }
+            if (plan.productId && productId !== plan.productId) {
+                problems.push(`${planType} ${billingCycle}: price ${plan.priceId} belongs to ${productId}, expected ${plan.productId}`);
+            }
+
+            priceDetails.set(plan.priceId, {
+                productId,
+                unitAmount: price.unit_amount,
+                currency: price.currency
+            });
+        }
+    }
+
+    if (problems.length > 0) {
+        console.error(`❌ Plan catalog check failed for ${mode} mode:`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+    } else {
+        console.log(`✅ Plan catalog verified against Stripe (${mode} mode)`);
+    }
+
+    return { ok: problems.length === 0, problems };
+}
+
+module.exports = {
+    PLAN_TYPES,
+    BILLING_CYCLES,
+    ENTITLED_STATUSES,
+    isEntitledStatus,
+    getPlan,
+    findPlanByPriceId,
+    comparePlans,
+    listPlans,
+    verifyPlanCatalog
+};
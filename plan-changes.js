@@ -0,0 +1,167 @@
+/**
+ * Scheduled Plan Changes
+ * Upgrades apply immediately. Downgrades wait until the end of the period the
+ * user already paid for: a Stripe subscription schedule keeps the current price
+ * until current_period_end, then switches to the new price and releases the
+ * subscription back to normal billing.
+ *
+ * The pending change is mirrored on the subscription doc as `pendingChange`
+ *   { planType, billingCycle, priceId, promoCode, scheduleId, effectiveAt, requestedAt }
+ * and set back to null once it takes effect or is canceled.
+ */
+
+const admin = require('firebase-admin');
+const { STRIPE_MODE, SUBSCRIPTIONS_COLLECTION } = require('./stripe-mode');
+const { findPlanByPriceId, comparePlans } = require('./plan-catalog');
+
+function subscriptionDocId(stripeSubscriptionId) {
+    return stripeSubscriptionId.startsWith('sub_')
+        ? stripeSubscriptionId
+        : `sub_${stripeSubscriptionId}`;
+}
+
+function idOf(objectOrId) {
+    return typeof objectOrId === 'string' ? objectOrId : objectOrId?.id || null;
+}
+
+/**
+ * The plan a Stripe subscription is on now: its price in the catalog, or its metadata
+ */
+function currentPlanOf(subscription) {
+    const priceId = subscription.items.data[0]?.price.id;
+    return findPlanByPriceId(STRIPE_MODE, priceId) || {
+        planType: subscription.metadata?.planType || null,
+        billingCycle: subscription.metadata?.billingCycle || 'monthly',
+        priceId
+    };
+}
+
+/**
+ * Whether switching from the subscription's current plan to `newPlan` is a downgrade
+ */
+function isDowngrade(subscription, newPlan) {
+    return comparePlans(newPlan, currentPlanOf(subscription)) < 0;
+}
+
+/**
+ * Schedule a switch to `plan` at the end of the current period, replacing any
+ * change already scheduled. `metadata` becomes the subscription's metadata when
+ * the change takes effect. Resolves to the pending change stored on the doc.
+ */
+async function scheduleDowngrade(stripe, subscription, plan, { couponId = null, promoCode = null, metadata = {} } = {}) {
+    const schedule = subscription.schedule
+        ? await stripe.subscriptionSchedules.retrieve(idOf(subscription.schedule))
+        : await stripe.subscriptionSchedules.create({ from_subscription: subscription.id });
+
+    // Keep the current phase as Stripe has it (price, discount, trial) up to the period end
+    const [currentPhase] = schedule.phases;
+    const keptPhase = {
+        items: currentPhase.items.map(item => ({
+            price: idOf(item.price),
+            quantity: item.quantity
+        })),
+        start_date: currentPhase.start_date,
+        end_date: subscription.current_period_end,
+        proration_behavior: 'none'
+    };
+    if (currentPhase.coupon) {
+        keptPhase.coupon = idOf(currentPhase.coupon);
+    }
+    if (currentPhase.trial_end) {
+        keptPhase.trial_end = currentPhase.trial_end;
+    }
+
+    const downgradePhase = {
+        items: [{
+            price: plan.priceId,
+            quantity: subscription.items.data[0]?.quantity || 1
+        }],
+        iterations: 1,
+        proration_behavior: 'none',
+        metadata
+    };
+    if (couponId) {
+        downgradePhase.coupon = couponId;
+    }
+
+    await stripe.subscriptionSchedules.update(schedule.id, {
+        end_behavior: 'release',
+        phases: [keptPhase, downgradePhase]
+    });
+
+    const pendingChange = {
+        planType: plan.planType,
+        billingCycle: plan.billingCycle,
+        priceId: plan.priceId,
+        promoCode: promoCode || null,
+        scheduleId: schedule.id,
+        effectiveAt: new Date(subscription.current_period_end * 1000).toISOString(),
+        requestedAt: new Date().toISOString()
+    };
+
+    await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionDocId(subscription.id)).set({
+        pendingChange,
+        updatedAt: new Date().toISOString()
+    }, { merge: true });
+
+    console.log(`📅 Scheduled ${subscription.id} to change to ${plan.planType} ${plan.billingCycle} on ${pendingChange.effectiveAt}`);
+    return pendingChange;
+}
+
+/**
+ * Cancel the subscription's scheduled change, if any, by releasing its schedule.
+ * The subscription stays on its current plan. Resolves to true if there was one.
+ */
+async function cancelScheduledChange(stripe, subscription) {
+    const scheduleId = idOf(subscription.schedule);
+    if (scheduleId) {
+        await stripe.subscriptionSchedules.release(scheduleId);
+        console.log(`🗓️ Released schedule ${scheduleId} for ${subscription.id}`);
+    }
+
+    const docRef = admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionDocId(subscription.id));
+    const doc = await docRef.get();
+    if (doc.exists && doc.data().pendingChange) {
+        await docRef.update({
+            pendingChange: null,
+            updatedAt: new Date().toISOString()
+        });
+    }
+    return Boolean(scheduleId);
+}
+
+/**
+ * Clear the doc's pending change once the subscription is on the new price, or
+ * once its schedule is gone (released or canceled outside the app).
+ * Called for every customer.subscription.updated event.
+ */
+async function settlePendingChange(subscription) {
+    const docRef = admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionDocId(subscription.id));
+    const doc = await docRef.get();
+    const pendingChange = doc.exists ? doc.data().pendingChange : null;
+    if (!pendingChange) {
+        return;
+    }
+
+    const appliedPriceId = subscription.items.data[0]?.price.id;
+    const tookEffect = appliedPriceId === pendingChange.priceId;
+    if (!tookEffect && idOf(subscription.schedule) === pendingChange.scheduleId) {
+        return;
+    }
+
+    await docRef.update({
+        pendingChange: null,
+        updatedAt: new Date().toISOString()
+    });
+    console.log(tookEffect
+        ? `✅ Scheduled change to ${pendingChange.planType} ${pendingChange.billingCycle} took effect for ${subscription.id}`
+        : `⚠️ Schedule for ${subscription.id} is gone, dropped its pending change`);
+}
+
+module.exports = {
+    currentPlanOf,
+    isDowngrade,
+    scheduleDowngrade,
+    cancelScheduledChange,
+    settlePendingChange
+};
@@ -0,0 +1,216 @@
+/**
+ * Revenue and Tax Report
+ * Summarizes financial_records into totals and a monthly breakdown for the
+ * quarterly accounting export. Revenue records are paid invoices; adjustment
+ * records (refunds, chargebacks, won disputes) carry signed amounts and are
+ * netted against the month they happened in.
+ *
+ * Amounts are grouped by currency as well as month, since they can't be added
+ * across currencies.
+ *
+ * Every report covers a bounded date range, and all filters run in the Firestore
+ * query. Filter combinations other than the date range alone need a composite
+ * index on their fields plus lastTransactionDate (Firestore's error message links
+ * to creating the missing one).
+ */
+
+const admin = require('firebase-admin');
+const { FINANCIAL_RECORDS_COLLECTION } = require('./stripe-mode');
+
+const REVENUE_REPORT_COLUMNS = [
+    'month',
+    'currency',
+    'invoiceCount',
+    'grossRevenue',
+    'discounts',
+    'taxCollected',
+    'refunds',
+    'disputes',
+    'netRevenue',
+    'netRevenueExcludingTax'
+];
+
+const BOOLEAN_FILTERS = ['isTherapyReferral', 'isAnonymized'];
+
+// Filters that are equality conditions on the record field of the same name
+const EQUALITY_FILTERS = ['planType', 'billingCycle', 'therapistId', ...BOOLEAN_FILTERS];
+
+// Longest range one report may cover (a leap year)
+const MAX_REPORT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function parseDate(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    if (endOfDay) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Parse report filters from a request query string.
+ * `from` and `to` are required, inclusive YYYY-MM-DD dates (UTC) at most
+ * MAX_REPORT_DAYS apart; boolean filters accept 'true' or 'false'.
+ * Returns `{ filters }` or `{ error }` with a message suitable for a 400 response.
+ */
+function parseRevenueReportFilters(query) {
+    const filters = {};
+
+    if (!query.from || !query.to) {
+        return { error: 'from and to are required' };
+    }
+
+    filters.from = parseDate(query.from, false);
+    if (!filters.from) {
+        return { error: 'from must be a date in YYYY-MM-DD format' };
+    }
+
+    filters.to = parseDate(query.to, true);
+    if (!filters.to) {
+        return { error: 'to must be a date in YYYY-MM-DD format' };
+    }
+
+    if (filters.from >= filters.to) {
+        return { error: 'from must not be after to' };
+    }
+
+    if (filters.to - filters.from > MAX_REPORT_DAYS * DAY_MS) {
+        return { error: `A report can cover at most ${MAX_REPORT_DAYS} days` };
+    }
+
+    if (query.planType) {
+        filters.planType = String(query.planType);
+    }
+
+    if (query.therapistId) {
+        filters.therapistId = String(query.therapistId);
+    }
+
+    if (query.billingCycle) {
+        if (query.billingCycle !== 'monthly' && query.billingCycle !== 'yearly') {
+            return { error: 'billingCycle must be monthly or yearly' };
+        }
+        filters.billingCycle = query.billingCycle;
+    }
+
+    for (const name of BOOLEAN_FILTERS) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        if (query[name] !== 'true' && query[name] !== 'false') {
+            return { error: `${name} must be true or false` };
+        }
+        filters[name] = query[name] === 'true';
+    }
+
+    return { filters };
+}
+
+async function getFinancialRecords(filters) {
+    let query = admin.firestore()
+        .collection(FINANCIAL_RECORDS_COLLECTION)
+        .where('lastTransactionDate', '>=', filters.from.toISOString())
+        .where('lastTransactionDate', '<', filters.to.toISOString());
+
+    for (const name of EQUALITY_FILTERS) {
+        if (filters[name] !== undefined) {
+            query = query.where(name, '==', filters[name]);
+        }
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data());
+}
+
+function emptyRow(month, currency) {
+    return {
+        month,
+        currency,
+        invoiceCount: 0,
+        grossRevenue: 0,
+        discounts: 0,
+        taxCollected: 0,
+        refunds: 0,
+        disputes: 0,
+        netRevenue: 0,
+        netRevenueExcludingTax: 0
+    };
+}
+
+function addRecord(row, record) {
+    const amount = record.amount || 0;
+
+    if (record.recordType === 'adjustment') {
+        if (record.adjustmentType === 'refund') {
+            row.refunds += amount;
+        } else {
+            row.disputes += amount;
+        }
+    } else {
+        // Records written before the per-invoice ledger have no recordType and count as revenue
+        row.invoiceCount += 1;
+        row.grossRevenue += amount;
+        row.discounts += record.discountAmount || 0;
+        row.taxCollected += record.taxAmount || 0;
+    }
+}
+
+function finishRow(row) {
+    row.netRevenue = row.grossRevenue + row.refunds + row.disputes;
+    row.netRevenueExcludingTax = row.netRevenue - row.taxCollected;
+    for (const column of REVENUE_REPORT_COLUMNS.slice(3)) {
+        row[column] = roundCents(row[column]);
+    }
+    return row;
+}
+
+/**
+ * Build the report for parsed `filters` (see parseRevenueReportFilters):
+ * `months` has one row per month and currency (oldest first), `totals` has one
+ * row per currency with month 'total'.
+ */
+async function getRevenueReport(filters) {
+    const records = await getFinancialRecords(filters);
+    const months = new Map();
+    const totals = new Map();
+
+    for (const record of records) {
+        const currency = (record.currency || 'usd').toLowerCase();
+        const month = (record.lastTransactionDate || record.createdAt).slice(0, 7);
+
+        const monthKey = `${month}:${currency}`;
+        if (!months.has(monthKey)) {
+            months.set(monthKey, emptyRow(month, currency));
+        }
+        if (!totals.has(currency)) {
+            totals.set(currency, emptyRow('total', currency));
+        }
+
+        addRecord(months.get(monthKey), record);
+        addRecord(totals.get(currency), record);
+    }
+
+    return {
+        recordCount: records.length,
+        totals: [...totals.values()].map(finishRow),
+        months: [...months.values()]
+            .map(finishRow)
+            .sort((a, b) => a.month.localeCompare(b.month) || a.currency.localeCompare(b.currency))
+    };
+}
+
+module.exports = {
+    REVENUE_REPORT_COLUMNS,
+    parseRevenueReportFilters,
+    getRevenueReport
+};
@@ -3,8 +3,26 @@ const express = require('express');
 const cors = require('cors');
 const { DefaultAzureCredential } = require('@azure/identity');
 const { SecretClient } = require('@azure/keyvault-secrets');
-const nodemailer = require('nodemailer');
 const admin = require('firebase-admin');
+const { createFirestoreConsentTokenStore } = require('./consent-token-store');
+const { createConsentToken, verifyConsentToken, consentTokenMatchesEmail, sealConsentTokens, openConsentTokens } = require('./consent-tokens');
+const { CONSENT_EVENTS, CONSENT_EVENT_COLUMNS, tryRecordConsentEvent, getConsentHistory } = require('./consent-audit-log');
+const { toCsv } = require('./csv');
+const { renderEmail, listEmailTemplates, renderSampleEmail } = require('./email-templates');
+const { createMailTransport } = require('./mail-transport');
+const { createEmailQueue } = require('./email-queue');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent, purgeExpiredWebhookEvents } = require('./webhook-events');
+const { REVENUE_REPORT_COLUMNS, parseRevenueReportFilters, getRevenueReport } = require('./revenue-report');
+const { reconcileSubscriptions, listReconciliationRuns, getReconciliationRun } = require('./subscription-reconciliation');
+const { PLAN_TYPES, ENTITLED_STATUSES, isEntitledStatus, getPlan, findPlanByPriceId, listPlans, verifyPlanCatalog } = require('./plan-catalog');
+const { isTrialEligible, claimTrial, completeTrialClaim, releaseTrialClaim } = require('./free-trials');
+const { currentPlanOf, isDowngrade, scheduleDowngrade, cancelScheduledChange, settlePendingChange } = require('./plan-changes');
+const { createDunning } = require('./dunning');
+const { findUserSubscription, limitsFor, resolveAccess, resolveEntitlements } = require('./entitlements');
+const { MAX_HISTORY_MONTHS, getMonthlyUsage, getPooledMonthlyUsage, listMonthlyUsage, recordUsage } = require('./usage-metering');
+const { findHouseholdMembership, listHouseholdMembers, addHouseholdMember, removeHouseholdMember, dissolveHousehold } = require('./households');
+const { createTherapist, getTherapist, listTherapists, deactivateTherapist, findTherapistByReferralCode, findReferralForUser, recordReferral, getTherapistReferralReport } = require('./therapist-referrals');
+const { STRIPE_MODE, SUBSCRIPTIONS_COLLECTION, FINANCIAL_RECORDS_COLLECTION, STRIPE_CUSTOMER_ID_FIELD, stripeKeyMatchesMode, stripeCustomerIdOf, eventMatchesMode } = require('./stripe-mode');
 
 // Initialize Azure Key Vault client
 const credential = new DefaultAzureCredential();
@@ -23,44 +41,53 @@ async function getSecret(secretName) {
     }
 }
 
-// Helper function to get product ID for plan type
-// Updated with live mode product IDs
-function getProductId(planType) {
-    const productMapping = {
-        'starter': 'prod_TQKX3faDpap0ks',
-        'professional': 'prod_TQKYZ1drtgQgxj', 
-        'premium': 'prod_TQKYcpijkq1LcL'
-    };
-    return productMapping[planType] || 'prod_TQKX3faDpap0ks';
-}
-
-
 // Initialize Stripe with Key Vault
+// Only the key for STRIPE_MODE is used; there is deliberately no fallback to the other mode
 let stripe;
 let stripeInitialized = false;
+let stripeInitError = null;
+let planCatalogStatus = null;
 
 async function initializeStripe() {
     try {
-        // Try live key first, fallback to test key for development
-        let stripeSecretKey = await getSecret('stripe-secret-key-live');
-        if (!stripeSecretKey || stripeSecretKey.includes('test')) {
-            console.log('⚠️ Live key not found, trying test key...');
-            stripeSecretKey = await getSecret('stripe-secret-key-test');
+        let stripeSecretKey = await getSecret(`stripe-secret-key-${STRIPE_MODE}`);
+        if (!stripeSecretKey && process.env.STRIPE_SECRET_KEY) {
+            stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+        }
+        if (!stripeSecretKey) {
+            throw new Error(`No Stripe secret key configured for ${STRIPE_MODE} mode (stripe-secret-key-${STRIPE_MODE})`);
+        }
+        if (!stripeKeyMatchesMode(stripeSecretKey)) {
+            throw new Error(`The configured Stripe secret key is not a ${STRIPE_MODE} mode key`);
         }
         console.log('🔍 Retrieved Stripe key from Key Vault:', stripeSecretKey.substring(0, 20) + '...');
         stripe = require('stripe')(stripeSecretKey);
         stripeInitialized = true;
-        const mode = stripeSecretKey.startsWith('sk_live_') ? 'LIVE' : 'TEST';
-        console.log(`✅ Stripe initialized with Key Vault (${mode} mode)`);
+        console.log(`✅ Stripe initialized with Key Vault (${STRIPE_MODE.toUpperCase()} mode)`);
     } catch (error) {
-        console.error('❌ Failed to initialize Stripe:', error);
-        stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-        stripeInitialized = true;
+        stripeInitError = error;
+        console.error(`❌ Failed to initialize Stripe in ${STRIPE_MODE} mode:`, error.message);
+    }
+}
+
+// Resolves once Stripe is ready; rejects if it couldn't be initialized for the configured mode
+async function waitForStripe() {
+    while (!stripeInitialized) {
+        if (stripeInitError) {
+            throw new Error(`Stripe is unavailable: ${stripeInitError.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
     }
 }
 
-// Initialize Stripe
-initializeStripe();
+// Initialize Stripe, then check that the plan catalog's prices exist in this Stripe account
+initializeStripe()
+    .then(async () => {
+        if (stripeInitialized) {
+            planCatalogStatus = await verifyPlanCatalog(stripe, STRIPE_MODE);
+        }
+    })
+    .catch(error => console.error('❌ Failed to verify plan catalog:', error));
 
 // Initialize Firebase Admin SDK
 let firebaseInitialized = false;
@@ -123,34 +150,140 @@ initializeFirebase();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Email configuration with Azure Key Vault
+// Heroku terminates TLS at its router; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
+// Email configuration (transport chosen by MAIL_TRANSPORT, Gmail password from Azure Key Vault)
 let emailTransporter;
 (async () => {
     try {
-        const gmailPassword = await getSecret('gmail-app-password');
-        emailTransporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: process.env.GMAIL_USER || 'verification@fluencyflow.app',
-                pass: gmailPassword
-            }
-        });
-        console.log('✅ Email transporter initialized with Key Vault');
+        emailTransporter = await createMailTransport({ getSecret });
+        console.log(`✅ Email transporter initialized (${emailTransporter.transportName})`);
     } catch (error) {
         console.error('❌ Failed to initialize email transporter:', error);
-        emailTransporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: process.env.GMAIL_USER || 'verification@fluencyflow.app',
-                pass: process.env.GMAIL_APP_PASSWORD
-            }
-        });
     }
 })();
 
-// In-memory storage for verification tokens
-// In production, you'd want to use a database like MongoDB or PostgreSQL
-const verificationTokens = new Map();
+// Outbound emails are queued in Firestore and sent by a background worker with retries
+const emailQueue = createEmailQueue({
+    getTransport: () => emailTransporter,
+    renderEmail,
+    isReady: () => firebaseInitialized && !!emailTransporter,
+    maxAttempts: Number(process.env.EMAIL_QUEUE_MAX_ATTEMPTS) || undefined
+});
+emailQueue.start();
+
+// Parental consent tokens are persisted in Firestore so they survive restarts
+// and are visible to every dyno
+const consentTokenStore = createFirestoreConsentTokenStore();
+const CONSENT_TOKEN_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Periodically remove expired, never-verified consent tokens
+const consentTokenPurgeTimer = setInterval(async () => {
+    if (!firebaseInitialized) {
+        return;
+    }
+    try {
+        const result = await consentTokenStore.purgeExpired();
+        if (result.deleted > 0) {
+            console.log(`🧹 Purged ${result.deleted} expired consent tokens`);
+        }
+        for (const record of result.records) {
+            await tryRecordConsentEvent(CONSENT_EVENTS.EXPIRED, record);
+        }
+    } catch (error) {
+        console.error('❌ Failed to purge expired consent tokens:', error);
+    }
+}, CONSENT_TOKEN_PURGE_INTERVAL_MS);
+consentTokenPurgeTimer.unref();
+
+// Periodically forget Stripe webhook event IDs once Stripe can no longer retry them
+const webhookEventPurgeTimer = setInterval(async () => {
+    if (!firebaseInitialized) {
+        return;
+    }
+    try {
+        const result = await purgeExpiredWebhookEvents();
+        if (result.deleted > 0) {
+            console.log(`🧹 Purged ${result.deleted} expired webhook event records`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to purge expired webhook events:', error);
+    }
+}, 60 * 60 * 1000); // 1 hour
+webhookEventPurgeTimer.unref();
+
+// Optionally compare Stripe and Firestore subscriptions on a schedule (report only;
+// repairs are run by an admin through /api/admin/reconcile-subscriptions)
+const reconciliationIntervalHours = Number(process.env.SUBSCRIPTION_RECONCILIATION_INTERVAL_HOURS);
+if (reconciliationIntervalHours > 0) {
+    const reconciliationTimer = setInterval(async () => {
+        if (!firebaseInitialized || !stripeInitialized) {
+            return;
+        }
+        try {
+            await reconcileSubscriptions(stripe, { repair: false, triggeredBy: 'schedule' });
+        } catch (error) {
+            console.error('❌ Scheduled subscription reconciliation failed:', error);
+        }
+    }, reconciliationIntervalHours * 60 * 60 * 1000);
+    reconciliationTimer.unref();
+}
+
+// Failed renewal payments: grace period, reminder emails, then restricted access
+const dunning = createDunning({
+    gracePeriodDays: Number(process.env.DUNNING_GRACE_PERIOD_DAYS) || undefined,
+    sendEmail: sendDunningEmail
+});
+
+// Periodically send final notices and restrict subscriptions whose grace period is over
+const dunningSweepTimer = setInterval(async () => {
+    if (!firebaseInitialized || !stripeInitialized) {
+        return;
+    }
+    try {
+        const result = await dunning.runSweep();
+        if (result.finalNotices > 0 || result.restricted > 0) {
+            console.log(`📉 Dunning: ${result.finalNotices} final notices sent, ${result.restricted} subscriptions restricted`);
+        }
+    } catch (error) {
+        console.error('❌ Dunning sweep failed:', error);
+    }
+}, 60 * 60 * 1000); // 1 hour
+dunningSweepTimer.unref();
+
+// HMAC secret for signing parental consent tokens (must be shared by all dynos)
+let consentTokenSecret;
+(async () => {
+    consentTokenSecret = await getSecret('consent-token-secret');
+    if (consentTokenSecret) {
+        console.log('✅ Consent token secret loaded');
+    } else if (process.env.NODE_ENV !== 'production') {
+        // Development only: tokens won't validate across restarts or other instances
+        consentTokenSecret = require('crypto').randomBytes(32).toString('hex');
+        console.warn('⚠️ No consent token secret configured, using an ephemeral development secret');
+    } else {
+        console.error('❌ No consent token secret configured - parental consent is unavailable');
+    }
+})();
+
+// Revocation links must keep working for as long as the child's account exists
+const CONSENT_REVOCATION_TOKEN_TTL_MS = 10 * 365 * 24 * 60 * 60 * 1000; // 10 years
+
+// Request details recorded with every consent audit event
+function consentRequestContext(req) {
+    return {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
+    };
+}
+
+// Map a failed consent token signature check to the API error message
+function consentTokenErrorMessage(reason) {
+    return reason === 'expired'
+        ? 'Verification token has expired'
+        : 'Invalid or expired verification token';
+}
 
 // Middleware
 app.use(cors());
@@ -171,9 +304,134 @@ app.use((req, res, next) => {
 });
 app.use(express.static('public')); // Serve static files
 
+// MARK: - Authentication
+
+/**
+ * Verify the Firebase ID token sent as `Authorization: Bearer <token>` and
+ * attach the caller's identity to `req.user` as `{ uid, email }`.
+ * Handlers must use `req.user` instead of any client-supplied user ID or email.
+ * Legacy `user_id`/`user_email`/`user-id`/`userId` fields are still accepted from
+ * older app builds, but must match the token or the request is rejected with 403.
+ */
+async function requireFirebaseAuth(req, res, next) {
+    // Wait for Firebase to be initialized
+    while (!firebaseInitialized) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const authHeader = req.headers.authorization || '';
+    const match = authHeader.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(match[1]);
+    } catch (error) {
+        console.log('❌ Firebase ID token verification failed:', error.code || error.message);
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired authentication token'
+        });
+    }
+
+    req.user = {
+        uid: decodedToken.uid,
+        email: decodedToken.email || null,
+        isAdmin: decodedToken.admin === true
+    };
+
+    // Reject requests that claim to act on behalf of a different user
+    const body = req.body || {};
+    const claimedUserId = body.user_id || req.headers['user-id'] || req.query.userId;
+    const claimedEmail = body.user_email;
+
+    if (claimedUserId && claimedUserId !== req.user.uid) {
+        console.warn('⚠️ User ID mismatch for authenticated user:', req.user.uid);
+        return res.status(403).json({
+            success: false,
+            error: 'User ID does not match authenticated user'
+        });
+    }
+
+    if (claimedEmail && (!req.user.email || claimedEmail.toLowerCase() !== req.user.email.toLowerCase())) {
+        console.warn('⚠️ Email mismatch for authenticated user:', req.user.uid);
+        return res.status(403).json({
+            success: false,
+            error: 'Email does not match authenticated user'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Only allow accounts with the `admin` custom claim. Use after requireFirebaseAuth.
+ */
+function requireAdmin(req, res, next) {
+    if (!req.user || !req.user.isAdmin) {
+        return res.status(403).json({
+            success: false,
+            error: 'Admin access required'
+        });
+    }
+    next();
+}
+
+/**
+ * Reject requests from accounts without an email address on their ID token.
+ * Stripe customers are looked up by email, so billing routes need one.
+ */
+function requireUserEmail(req, res, next) {
+    if (!req.user || !req.user.email) {
+        return res.status(400).json({
+            success: false,
+            error: 'Authenticated account has no email address'
+        });
+    }
+    next();
+}
+
+/**
+ * Check that a Stripe subscription belongs to the given user.
+ * Uses the Firestore subscription document when present, otherwise the
+ * userId stored in the Stripe subscription metadata at creation time.
+ */
+async function isSubscriptionOwnedBy(stripeSubscriptionId, userId) {
+    const subscriptionId = stripeSubscriptionId.startsWith('sub_')
+        ? stripeSubscriptionId
+        : `sub_${stripeSubscriptionId}`;
+
+    const subscriptionDoc = await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).get();
+    if (subscriptionDoc.exists) {
+        return subscriptionDoc.data().userId === userId;
+    }
+
+    try {
+        const stripeSubscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+        return stripeSubscription.metadata?.userId === userId;
+    } catch (stripeError) {
+        return false;
+    }
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', message: 'FluencyFlow backend is running' });
+    res.json({
+        status: 'ok',
+        message: 'FluencyFlow backend is running',
+        stripe: {
+            mode: STRIPE_MODE,
+            initialized: stripeInitialized,
+            error: stripeInitError ? stripeInitError.message : null,
+            planCatalogVerified: planCatalogStatus ? planCatalogStatus.ok : null
+        }
+    });
 });
 
 // Test Azure Key Vault secrets endpoint
@@ -183,8 +441,8 @@ app.get('/api/test-secrets', async (req, res) => {
         
         // Test Stripe keys
         try {
-            secrets.stripeSecretKey = await getSecret('stripe-secret-key-test');
-            secrets.stripePublishableKey = await getSecret('stripe-publishable-key-test');
+            secrets.stripeSecretKey = await getSecret(`stripe-secret-key-${STRIPE_MODE}`);
+            secrets.stripePublishableKey = await getSecret(`stripe-publishable-key-${STRIPE_MODE}`);
         } catch (error) {
             secrets.stripeError = error.message;
         }
@@ -238,9 +496,22 @@ app.get('/api/test-secrets', async (req, res) => {
 });
 
 // Serve verification page
-app.get('/verify', (req, res) => {
+app.get('/verify', async (req, res) => {
     const token = req.query.token;
     
+    // Record that the parent opened the consent link (only for tokens we issued)
+    const signedToken = verifyConsentToken(token, consentTokenSecret);
+    if (firebaseInitialized && (signedToken.valid || signedToken.reason === 'expired')) {
+        try {
+            const consent = await consentTokenStore.get(token, { includeExpired: true });
+            if (consent) {
+                await tryRecordConsentEvent(CONSENT_EVENTS.LINK_OPENED, consent, consentRequestContext(req));
+            }
+        } catch (error) {
+            console.error('❌ Failed to look up consent for link opened event:', error);
+        }
+    }
+    
     if (!token) {
         return res.status(400).send(`
         <!DOCTYPE html>
@@ -536,105 +807,111 @@ app.get('/verify', (req, res) => {
     `);
 });
 
-// Send verification email endpoint
-app.post('/api/send-verification-email', async (req, res) => {
-    try {
-        const { parentEmail, childName, verificationToken } = req.body;
-        
-        console.log('Sending verification email:', { parentEmail, childName, verificationToken });
-        
-        // Store verification token in memory (24 hour expiration)
-        const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-        verificationTokens.set(verificationToken, {
-            parentEmail,
-            childName,
-            token: verificationToken,
-            createdAt: Date.now(),
-            expiresAt,
-            isVerified: false
+// Email preview routes (development only)
+// Renders any template with sample data; query params override individual sample values
+if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test') {
+    app.get('/dev/emails', (req, res) => {
+        res.json({
+            transport: emailTransporter ? emailTransporter.transportName : null,
+            templates: listEmailTemplates().map(name => ({
+                name,
+                html: `/dev/emails/${name}`,
+                text: `/dev/emails/${name}?format=text`
+            }))
         });
+    });
+    
+    app.get('/dev/emails/:template', (req, res) => {
+        const { template } = req.params;
+        const { format, ...overrides } = req.query;
         
-        const verificationURL = `https://fluencyflow-backend-8e979bb2fc1f.herokuapp.com/verify?token=${verificationToken}`;
+        if (!listEmailTemplates().includes(template)) {
+            return res.status(404).json({ error: `Unknown email template: ${template}` });
+        }
         
-        const htmlContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <title>Verify Your Parental Consent - FluencyFlow</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="text-align: center; margin-bottom: 30px;">
-                <h1 style="color: #2563eb;">FluencyFlow</h1>
-            </div>
-            
-            <h2>Verify Your Parental Consent</h2>
-            
-            <p>Hello,</p>
-            
-            <p>You are receiving this email because someone is trying to create a FluencyFlow account for your child, <strong>${childName}</strong>.</p>
-            
-            <p>To verify your parental consent and allow your child to use FluencyFlow, please click the verification link below:</p>
-            
-            <div style="text-align: center; margin: 30px 0;">
-                <a href="${verificationURL}" style="background-color: #2563eb; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">Verify Parental Consent</a>
-            </div>
-            
-            <p><strong>Important:</strong></p>
-            <ul>
-                <li>This verification link will expire in 24 hours</li>
-                <li>Only click this link if you are the parent/guardian of ${childName}</li>
-                <li>If you did not request this verification, please ignore this email</li>
-            </ul>
-            
-            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; color: #666;">${verificationURL}</p>
-            
-            <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        try {
+            const email = renderSampleEmail(template, overrides);
             
-            <p style="font-size: 12px; color: #666;">
-                This email was sent from FluencyFlow. If you have any questions, please contact us at support@fluencyflow.app
-            </p>
-        </body>
-        </html>
-        `;
-        
-        const textContent = `
-        Verify Your Parental Consent - FluencyFlow
-        
-        Hello,
-        
-        You are receiving this email because someone is trying to create a FluencyFlow account for your child, ${childName}.
+            if (format === 'text') {
+                return res.type('text/plain').send(email.text);
+            }
+            if (format === 'json') {
+                return res.json(email);
+            }
+            res.type('html').send(email.html);
+        } catch (error) {
+            console.error('❌ Error rendering email preview:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+// Send verification email endpoint
+app.post('/api/send-verification-email', async (req, res) => {
+    try {
+        // Wait for Firebase to be initialized
+        while (!firebaseInitialized) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
         
-        To verify your parental consent and allow your child to use FluencyFlow, please visit this link:
+        const { parentEmail, childName } = req.body;
         
-        ${verificationURL}
+        if (!parentEmail || !childName) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Parent email and child name are required' 
+            });
+        }
         
-        Important:
-        - This verification link will expire in 24 hours
-        - Only click this link if you are the parent/guardian of ${childName}
-        - If you did not request this verification, please ignore this email
+        if (!consentTokenSecret) {
+            return res.status(503).json({ 
+                success: false, 
+                error: 'Parental consent is temporarily unavailable' 
+            });
+        }
         
-        If you have any questions, please contact us at support@fluencyflow.app
+        // The server mints the token; any client-supplied token is ignored (24 hour expiration)
+        const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
+        const verificationToken = createConsentToken({ parentEmail, expiresAt }, consentTokenSecret);
+        const revocationToken = createConsentToken({
+            parentEmail,
+            expiresAt: Date.now() + CONSENT_REVOCATION_TOKEN_TTL_MS,
+            purpose: 'revoke'
+        }, consentTokenSecret);
         
-        FluencyFlow Team
-        `;
+        console.log('Sending verification email:', { parentEmail, childName });
         
-        const mailOptions = {
+        const consentId = await consentTokenStore.save(verificationToken, {
+            parentEmail,
+            childName,
+            createdAt: Date.now(),
+            expiresAt
+        }, revocationToken);
+        
+        // The consent record and audit log are updated once the queue worker sends the email.
+        // The tokens are queued sealed; the links are built when the email is sent.
+        const emailId = await emailQueue.enqueue({
+            template: 'parental-consent',
+            data: {
+                childName,
+                sealedTokens: sealConsentTokens({ verificationToken, revocationToken }, consentTokenSecret)
+            },
             from: '"FluencyFlow Verification" <verification@fluencyflow.app>',
             to: parentEmail,
-            subject: 'Verify Your Parental Consent - FluencyFlow',
-            text: textContent,
-            html: htmlContent
-        };
-        
-        const info = await emailTransporter.sendMail(mailOptions);
-        console.log('✅ Verification email sent:', info.messageId);
+            metadata: {
+                consentId,
+                parentEmail,
+                childName,
+                ...consentRequestContext(req)
+            }
+        });
         
         res.json({ 
             success: true, 
-            messageId: info.messageId,
-            message: 'Verification email sent successfully' 
+            emailId,
+            verificationToken,
+            expiresAt,
+            message: 'Verification email queued successfully' 
         });
         
     } catch (error) {
@@ -646,7 +923,32 @@ app.post('/api/send-verification-email', async (req, res) => {
     }
 });
 
-// Helper function to send subscription confirmation email with cancellation instructions
+// Build the consent links from the sealed tokens at send time
+emailQueue.onRender('parental-consent', (data) => {
+    if (!data.sealedTokens) {
+        // Queued before links were sealed
+        return data;
+    }
+    const { verificationToken, revocationToken } = openConsentTokens(data.sealedTokens, consentTokenSecret);
+    return {
+        childName: data.childName,
+        verificationURL: `https://fluencyflow-backend-8e979bb2fc1f.herokuapp.com/verify?token=${verificationToken}`,
+        revocationURL: `https://fluencyflow-backend-8e979bb2fc1f.herokuapp.com/revoke-consent?token=${revocationToken}`
+    };
+});
+
+// Record which email carried each consent link once it has actually been sent
+emailQueue.onSent('parental-consent', async (message, info) => {
+    const { consentId, parentEmail, childName, ip, userAgent } = message.metadata;
+    await consentTokenStore.setMessageId(consentId, info.messageId);
+    await tryRecordConsentEvent(CONSENT_EVENTS.EMAIL_SENT, {
+        consentId,
+        parentEmail,
+        childName
+    }, { ip, userAgent, messageId: info.messageId });
+});
+
+// Helper function to queue subscription confirmation email with cancellation instructions
 async function sendSubscriptionConfirmationEmail({ userEmail, planType, billingCycle, amount, nextBillingDate }) {
     const planDisplayName = planType.charAt(0).toUpperCase() + planType.slice(1);
     const billingDisplayName = billingCycle === 'monthly' ? 'Monthly' : 'Yearly';
@@ -658,170 +960,94 @@ async function sendSubscriptionConfirmationEmail({ userEmail, planType, billingC
         day: 'numeric' 
     });
     
-    const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <title>Subscription Confirmation - FluencyFlow</title>
-    </head>
-    <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
-        <div style="background-color: white; padding: 30px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <div style="text-align: center; margin-bottom: 30px;">
-                <h1 style="color: #0ea5e9; margin: 0;">FluencyFlow</h1>
-                <p style="color: #666; margin-top: 5px;">Speech Practice Made Easy</p>
-            </div>
-            
-            <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin-bottom: 30px;">
-                <h2 style="color: #0369a1; margin-top: 0;">✅ Subscription Confirmed!</h2>
-                <p style="color: #075985; margin-bottom: 0;">Thank you for subscribing to FluencyFlow. Your subscription is now active.</p>
-            </div>
-            
-            <h3 style="color: #333; border-bottom: 2px solid #0ea5e9; padding-bottom: 10px;">Subscription Details</h3>
-            <table style="width: 100%; margin-bottom: 30px;">
-                <tr>
-                    <td style="padding: 10px 0; color: #666;">Plan:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right;">${planDisplayName}</td>
-                </tr>
-                <tr>
-                    <td style="padding: 10px 0; color: #666;">Billing:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right;">${billingDisplayName}</td>
-                </tr>
-                <tr>
-                    <td style="padding: 10px 0; color: #666;">Amount:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right; color: #0ea5e9;">${formattedAmount}</td>
-                </tr>
-                <tr>
-                    <td style="padding: 10px 0; color: #666;">Next Billing Date:</td>
-                    <td style="padding: 10px 0; font-weight: bold; text-align: right;">${formattedDate}</td>
-                </tr>
-            </table>
-            
-            <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; border-left: 4px solid #f59e0b; margin-bottom: 30px;">
-                <h3 style="color: #92400e; margin-top: 0;">⚠️ Auto-Renewal Notice</h3>
-                <p style="color: #78350f; margin-bottom: 10px;">Your subscription will automatically renew every ${renewalFrequency} for ${formattedAmount} unless you cancel.</p>
-                <p style="color: #78350f; margin-bottom: 0;"><strong>You can cancel anytime.</strong> Cancellation takes effect at the end of your billing period, so you'll keep access until ${formattedDate}.</p>
-            </div>
-            
-            <h3 style="color: #333; border-bottom: 2px solid #0ea5e9; padding-bottom: 10px;">How to Cancel Your Subscription</h3>
-            <div style="margin-bottom: 30px;">
-                <div style="display: flex; margin-bottom: 15px;">
-                    <div style="background-color: #0ea5e9; color: white; width: 30px; height: 30px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; margin-right: 15px;">1</div>
-                    <p style="margin: 5px 0; color: #333;">Open the FluencyFlow app and go to <strong>Settings</strong></p>
-                </div>
-                <div style="display: flex; margin-bottom: 15px;">
-                    <div style="background-color: #0ea5e9; color: white; width: 30px; height: 30px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; margin-right: 15px;">2</div>
-                    <p style="margin: 5px 0; color: #333;">Tap <strong>Subscription</strong> and then <strong>Cancel Subscription</strong></p>
-                </div>
-                <div style="display: flex; margin-bottom: 15px;">
-                    <div style="background-color: #0ea5e9; color: white; width: 30px; height: 30px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-weight: bold; margin-right: 15px;">3</div>
-                    <p style="margin: 5px 0; color: #333;">Or via iOS Settings: <strong>Settings → [Your Name] → Subscriptions → FluencyFlow</strong></p>
-                </div>
-            </div>
-            
-            <div style="background-color: #f0f9ff; padding: 15px; border-radius: 8px; margin-bottom: 30px;">
-                <p style="margin: 0; font-size: 14px; color: #0369a1;">
-                    <strong>Note:</strong> No refunds are provided for partial billing periods. You'll retain full access through the end of your current billing cycle after cancellation.
-                </p>
-            </div>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="font-size: 14px; color: #666; text-align: center;">
-                Need help? Contact us at <a href="mailto:support@fluencyflow.app" style="color: #0ea5e9; text-decoration: none;">support@fluencyflow.app</a>
-            </p>
-            
-            <p style="font-size: 12px; color: #999; text-align: center; margin-top: 20px;">
-                This email confirms your FluencyFlow subscription. For billing questions, please contact support.
-            </p>
-        </div>
-    </body>
-    </html>
-    `;
-    
-    const textContent = `
-    Subscription Confirmation - FluencyFlow
-    
-    Thank you for subscribing to FluencyFlow!
-    
-    Subscription Details:
-    - Plan: ${planDisplayName}
-    - Billing: ${billingDisplayName}
-    - Amount: ${formattedAmount}
-    - Next Billing Date: ${formattedDate}
-    
-    AUTO-RENEWAL NOTICE:
-    Your subscription will automatically renew every ${renewalFrequency} for ${formattedAmount} unless you cancel.
-    You can cancel anytime. Cancellation takes effect at the end of your billing period.
-    
-    HOW TO CANCEL YOUR SUBSCRIPTION:
-    
-    1. Open the FluencyFlow app and go to Settings
-    2. Tap "Subscription" and then "Cancel Subscription"
-    3. Or via iOS Settings: Settings → [Your Name] → Subscriptions → FluencyFlow
-    
-    Note: No refunds are provided for partial billing periods. You'll retain full access through ${formattedDate} after cancellation.
-    
-    Need help? Contact us at support@fluencyflow.app
-    
-    FluencyFlow Team
-    `;
-    
-    const mailOptions = {
+    return emailQueue.enqueue({
+        template: 'subscription-confirmation',
+        data: {
+            planDisplayName,
+            billingDisplayName,
+            renewalFrequency,
+            formattedAmount,
+            formattedDate
+        },
         from: '"FluencyFlow" <subscriptions@fluencyflow.app>',
-        to: userEmail,
-        subject: `Subscription Confirmed - ${planDisplayName} Plan`,
-        text: textContent,
-        html: htmlContent
-    };
-    
-    const info = await emailTransporter.sendMail(mailOptions);
-    console.log('✅ Subscription confirmation email sent:', info.messageId);
-    return info;
+        to: userEmail
+    });
 }
 
 // Verify parental consent token endpoint
 app.post('/api/verify-parental-consent', async (req, res) => {
     try {
+        // Wait for Firebase to be initialized
+        while (!firebaseInitialized) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
         const { token } = req.body;
         
-        console.log('Verifying parental consent token:', token);
+        console.log('Verifying parental consent token');
+        
+        // Reject forged or tampered tokens before touching storage
+        const signedToken = verifyConsentToken(token, consentTokenSecret);
+        if (!signedToken.valid) {
+            console.warn('⚠️ Rejected parental consent token:', signedToken.reason);
+            
+            if (signedToken.reason === 'expired') {
+                const expiredConsent = await consentTokenStore.get(token, { includeExpired: true });
+                if (expiredConsent && !expiredConsent.isVerified) {
+                    await tryRecordConsentEvent(CONSENT_EVENTS.EXPIRED, expiredConsent, consentRequestContext(req));
+                }
+            }
+            
+            return res.status(400).json({
+                success: false,
+                error: consentTokenErrorMessage(signedToken.reason)
+            });
+        }
         
-        // Check if token exists in our verification storage
-        // For now, we'll use a simple in-memory store
-        // In production, you'd want to use a database
-        if (!verificationTokens.has(token)) {
+        // Make sure the stored consent is for the parent email the token was issued to
+        const pendingConsent = await consentTokenStore.get(token);
+        if (pendingConsent && !consentTokenMatchesEmail(signedToken, pendingConsent.parentEmail)) {
+            console.warn('⚠️ Consent token does not match stored parent email');
             return res.status(400).json({
                 success: false,
                 error: 'Invalid or expired verification token'
             });
         }
         
-        const verificationData = verificationTokens.get(token);
+        // Mark as verified (the store checks existence, expiry and prior verification atomically)
+        const { status, record: verificationData } = await consentTokenStore.markVerified(token);
         
-        // Check if token is expired
-        if (Date.now() > verificationData.expiresAt) {
-            verificationTokens.delete(token);
+        if (status === 'not_found') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired verification token'
+            });
+        }
+        
+        if (status === 'expired') {
+            await tryRecordConsentEvent(CONSENT_EVENTS.EXPIRED, verificationData, consentRequestContext(req));
             return res.status(400).json({
                 success: false,
                 error: 'Verification token has expired'
             });
         }
         
-        // Check if already verified
-        if (verificationData.isVerified) {
+        if (status === 'revoked') {
             return res.status(400).json({
                 success: false,
-                error: 'This verification has already been completed'
+                error: 'Parental consent has been withdrawn'
             });
         }
         
-        // Mark as verified
-        verificationData.isVerified = true;
-        verificationData.verifiedAt = Date.now();
-        verificationTokens.set(token, verificationData);
+        if (status === 'already_verified') {
+            return res.status(400).json({
+                success: false,
+                error: 'This verification has already been completed'
+            });
+        }
         
         console.log('✅ Parental consent verified for:', verificationData.childName);
+        await tryRecordConsentEvent(CONSENT_EVENTS.VERIFIED, verificationData, consentRequestContext(req));
         
         res.json({
             success: true,
@@ -842,30 +1068,539 @@ app.post('/api/verify-parental-consent', async (req, res) => {
 // Get verification status endpoint
 app.get('/api/verification-status/:token', async (req, res) => {
     try {
-        const { token } = req.params;
-        
-        console.log('Checking verification status for token:', token);
-        
-        if (!verificationTokens.has(token)) {
-            return res.status(404).json({
+        // Wait for Firebase to be initialized
+        while (!firebaseInitialized) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        const { token } = req.params;
+        
+        console.log('Checking verification status for token');
+        
+        const signedToken = verifyConsentToken(token, consentTokenSecret);
+        if (!signedToken.valid && signedToken.reason !== 'expired') {
+            return res.status(404).json({
+                success: false,
+                error: 'Verification token not found'
+            });
+        }
+        
+        const verificationData = await consentTokenStore.get(token);
+        
+        if (!verificationData) {
+            return res.status(404).json({
+                success: false,
+                error: 'Verification token not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            isVerified: verificationData.isVerified,
+            childName: verificationData.childName,
+            parentEmail: verificationData.parentEmail,
+            expiresAt: verificationData.expiresAt,
+            verifiedAt: verificationData.verifiedAt || null,
+            isRevoked: verificationData.isRevoked || false,
+            revokedAt: verificationData.revokedAt || null
+        });
+        
+    } catch (error) {
+        console.error('❌ Error checking verification status:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Link the child's account to a verified parental consent (called by the app after sign-up)
+app.post('/api/link-parental-consent', requireFirebaseAuth, async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        // Accounts may be created after the 24 hour link window, so an expired signature is fine here
+        const signedToken = verifyConsentToken(token, consentTokenSecret);
+        if (!signedToken.valid && signedToken.reason !== 'expired') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification token'
+            });
+        }
+        
+        const { status, record } = await consentTokenStore.linkChildAccount(token, req.user.uid);
+        
+        if (status === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Verification token not found'
+            });
+        }
+        
+        if (status === 'not_verified') {
+            return res.status(400).json({
+                success: false,
+                error: 'Parental consent has not been verified yet'
+            });
+        }
+        
+        if (status === 'revoked') {
+            return res.status(400).json({
+                success: false,
+                error: 'Parental consent has been withdrawn'
+            });
+        }
+        
+        if (status === 'already_linked') {
+            return res.status(403).json({
+                success: false,
+                error: 'This consent is already linked to another account'
+            });
+        }
+        
+        console.log('✅ Parental consent linked to child account:', req.user.uid);
+        await tryRecordConsentEvent(CONSENT_EVENTS.CHILD_LINKED, record, consentRequestContext(req));
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('❌ Error linking parental consent:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Serve consent revocation page (linked from the consent email)
+// Revocation only happens after the parent confirms, so link scanners can't trigger it
+app.get('/revoke-consent', (req, res) => {
+    const token = req.query.token;
+    const signedToken = verifyConsentToken(token, consentTokenSecret, { purpose: 'revoke' });
+    
+    if (!signedToken.valid) {
+        return res.status(400).send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Withdraw Consent Error - FluencyFlow</title>
+            <style>
+                body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
+                .error { color: #e74c3c; }
+            </style>
+        </head>
+        <body>
+            <h1 class="error">Invalid Link</h1>
+            <p>This consent withdrawal link is invalid. Please contact support@fluencyflow.app for help.</p>
+        </body>
+        </html>
+        `);
+    }
+    
+    res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Withdraw Parental Consent - FluencyFlow</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; padding: 20px; }
+            .container { background: white; border-radius: 16px; box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1); padding: 40px; max-width: 500px; margin: 40px auto; text-align: center; }
+            .logo { color: #2563eb; font-size: 2rem; font-weight: bold; margin-bottom: 20px; }
+            .warning { background: #fee2e2; color: #991b1b; border: 1px solid #f87171; padding: 20px; border-radius: 12px; margin: 20px 0; }
+            .success { background: #d1fae5; color: #065f46; border: 1px solid #34d399; padding: 20px; border-radius: 12px; margin: 20px 0; }
+            .button { background: #dc2626; color: white; border: none; padding: 12px 24px; border-radius: 8px; font-size: 1rem; cursor: pointer; }
+            .button:disabled { background: #9ca3af; }
+            .hidden { display: none; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="logo">FluencyFlow</div>
+            <h1>Withdraw Parental Consent</h1>
+            <div id="confirm">
+                <div class="warning">
+                    Withdrawing consent permanently deletes your child's FluencyFlow account and data, and cancels any active subscription. This cannot be undone.
+                </div>
+                <button id="revokeButton" class="button" onclick="revokeConsent()">Withdraw Consent</button>
+            </div>
+            <div id="result" class="hidden"></div>
+        </div>
+        
+        <script>
+            async function revokeConsent() {
+                const button = document.getElementById('revokeButton');
+                const result = document.getElementById('result');
+                button.disabled = true;
+                
+                try {
+                    const response = await fetch('/api/revoke-parental-consent', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ token: ${JSON.stringify(token)} })
+                    });
+                    const data = await response.json();
+                    
+                    document.getElementById('confirm').classList.add('hidden');
+                    result.classList.remove('hidden');
+                    result.className = response.ok && data.success ? 'success' : 'warning';
+                    result.textContent = data.message || data.error || 'Something went wrong. Please contact support@fluencyflow.app.';
+                } catch (error) {
+                    button.disabled = false;
+                    alert('Network error. Please check your connection and try again.');
+                }
+            }
+        </script>
+    </body>
+    </html>
+    `);
+});
+
+// Revoke parental consent endpoint
+// Marks the consent withdrawn, then deletes the linked child account's data
+app.post('/api/revoke-parental-consent', async (req, res) => {
+    try {
+        // Wait for Firebase to be initialized
+        while (!firebaseInitialized) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        const { token } = req.body;
+        
+        const signedToken = verifyConsentToken(token, consentTokenSecret, { purpose: 'revoke' });
+        if (!signedToken.valid) {
+            console.warn('⚠️ Rejected consent revocation token:', signedToken.reason);
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid consent withdrawal link'
+            });
+        }
+        
+        const { status, record } = await consentTokenStore.markRevoked(token);
+        
+        if (status === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Consent record not found'
+            });
+        }
+        
+        if (status === 'revoked') {
+            console.log('🚫 Parental consent withdrawn for:', record.childName);
+            await tryRecordConsentEvent(CONSENT_EVENTS.REVOKED, record, consentRequestContext(req));
+        }
+        
+        // Cleanup is retried on every request until it completes, so a failure
+        // after the consent was marked revoked doesn't leave the child's data behind
+        if (record.childUserId && !record.cleanupCompletedAt) {
+            await deleteChildAccount(record.childUserId);
+            await consentTokenStore.markCleanupCompleted(token);
+        } else if (status === 'already_revoked') {
+            return res.json({
+                success: true,
+                message: 'Parental consent was already withdrawn.'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Parental consent has been withdrawn and your child\'s account data has been deleted.'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error revoking parental consent:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete a child's account data and Firebase login after consent is withdrawn.
+// Safe to repeat: an already deleted login counts as done.
+async function deleteChildAccount(childUserId) {
+    await deleteUserAccountData(childUserId);
+    
+    // The child's app can't be relied on to delete its own login after consent is withdrawn
+    try {
+        await admin.auth().deleteUser(childUserId);
+        console.log('✅ Deleted Firebase Auth user for child account');
+    } catch (authError) {
+        if (authError.code !== 'auth/user-not-found') {
+            throw authError;
+        }
+    }
+}
+
+// Export parental consent history (admin only)
+// Query: parentEmail or childUserId, plus optional format=json|csv (default json)
+app.get('/api/admin/consent-history', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const { parentEmail, childUserId } = req.query;
+        const format = (req.query.format || 'json').toLowerCase();
+        
+        if (!parentEmail && !childUserId) {
+            return res.status(400).json({
+                success: false,
+                error: 'parentEmail or childUserId is required'
+            });
+        }
+        
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be json or csv'
+            });
+        }
+        
+        const events = await getConsentHistory({ parentEmail, childUserId });
+        console.log(`📜 Exported ${events.length} consent events for admin:`, req.user.uid);
+        
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="consent-history.csv"');
+            return res.send(toCsv(events, CONSENT_EVENT_COLUMNS));
+        }
+        
+        res.json({
+            success: true,
+            count: events.length,
+            events
+        });
+        
+    } catch (error) {
+        console.error('❌ Error exporting consent history:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List dead-lettered emails (admin only)
+app.get('/api/admin/email-dead-letters', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const deadLetters = await emailQueue.listDeadLetters({
+            limit: Math.min(Number(req.query.limit) || 100, 500)
+        });
+        
+        res.json({
+            success: true,
+            count: deadLetters.length,
+            deadLetters
+        });
+        
+    } catch (error) {
+        console.error('❌ Error listing email dead letters:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Resend a dead-lettered email (admin only)
+app.post('/api/admin/email-dead-letters/:id/resend', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const emailId = await emailQueue.resendDeadLetter(req.params.id);
+        
+        if (!emailId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dead letter not found'
+            });
+        }
+        
+        console.log(`🔁 Dead letter ${req.params.id} re-queued as ${emailId} by admin:`, req.user.uid);
+        res.json({
+            success: true,
+            emailId
+        });
+        
+    } catch (error) {
+        console.error('❌ Error resending dead letter:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Compare every Stripe subscription with Firestore (admin only)
+// Body: { repair: true } to fix the drift it finds instead of only reporting it
+app.post('/api/admin/reconcile-subscriptions', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const repair = req.body.repair === true;
+        const run = await reconcileSubscriptions(stripe, { repair, triggeredBy: req.user.uid });
+        
+        res.status(run.status === 'completed' ? 200 : 500).json({
+            success: run.status === 'completed',
+            run
+        });
+        
+    } catch (error) {
+        console.error('❌ Error running subscription reconciliation:', error);
+        res.status(error.code === 'reconciliation_in_progress' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/admin/reconciliation-runs', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const runs = await listReconciliationRuns({ limit });
+        
+        res.json({
+            success: true,
+            count: runs.length,
+            runs
+        });
+        
+    } catch (error) {
+        console.error('❌ Error listing reconciliation runs:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/admin/reconciliation-runs/:runId', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const run = await getReconciliationRun(req.params.runId);
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reconciliation run not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            run
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching reconciliation run:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Revenue and tax report over financial_records (admin only)
+// Filters: from, to (YYYY-MM-DD, inclusive; required, at most a year apart), planType, billingCycle,
+// therapistId, isTherapyReferral, isAnonymized
+app.get('/api/admin/revenue-report', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const format = (req.query.format || 'json').toLowerCase();
+        
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be json or csv'
+            });
+        }
+        
+        const { filters, error } = parseRevenueReportFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        
+        const report = await getRevenueReport(filters);
+        console.log(`📊 Revenue report built from ${report.recordCount} financial records for admin:`, req.user.uid);
+        
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="revenue-report.csv"');
+            return res.send(toCsv([...report.months, ...report.totals], REVENUE_REPORT_COLUMNS));
+        }
+        
+        res.json({
+            success: true,
+            filters: {
+                from: req.query.from || null,
+                to: req.query.to || null,
+                planType: filters.planType || null,
+                billingCycle: filters.billingCycle || null,
+                therapistId: filters.therapistId || null,
+                isTherapyReferral: filters.isTherapyReferral ?? null,
+                isAnonymized: filters.isAnonymized ?? null
+            },
+            ...report
+        });
+        
+    } catch (error) {
+        console.error('❌ Error building revenue report:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Create a therapist account with a unique referral code for an existing user
+app.post('/api/admin/therapists', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
+        const { user_id, name, email, practice_name } = req.body;
+        
+        if (!user_id || !name) {
+            return res.status(400).json({
+                success: false,
+                error: 'user_id and name are required'
+            });
+        }
+        
+        const userDoc = await admin.firestore().collection('users').doc(user_id).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({
                 success: false,
-                error: 'Verification token not found'
+                error: 'User not found'
             });
         }
         
-        const verificationData = verificationTokens.get(token);
+        const therapist = await createTherapist({
+            userId: user_id,
+            name,
+            email: email || userDoc.data().email || null,
+            practiceName: practice_name || null
+        });
+        
+        res.status(201).json({
+            success: true,
+            therapist
+        });
         
+    } catch (error) {
+        if (error.code === 'therapist_exists') {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('❌ Error creating therapist:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/admin/therapists', requireFirebaseAuth, requireAdmin, async (req, res) => {
+    try {
         res.json({
             success: true,
-            isVerified: verificationData.isVerified,
-            childName: verificationData.childName,
-            parentEmail: verificationData.parentEmail,
-            expiresAt: verificationData.expiresAt,
-            verifiedAt: verificationData.verifiedAt || null
+            therapists: await listTherapists()
         });
         
     } catch (error) {
-        console.error('❌ Error checking verification status:', error);
+        console.error('❌ Error listing therapists:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -873,22 +1608,234 @@ app.get('/api/verification-status/:token', async (req, res) => {
     }
 });
 
-// Get current subscription endpoint
-app.get('/api/current-subscription', async (req, res) => {
+// Retire a therapist's referral code; their existing referrals stay attributed
+app.post('/api/admin/therapists/:therapistId/deactivate', requireFirebaseAuth, requireAdmin, async (req, res) => {
     try {
-        // Wait for Firebase to be initialized
-        while (!firebaseInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
+        if (!(await deactivateTherapist(req.params.therapistId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Therapist not found'
+            });
         }
         
-        // Get user ID from request headers or query params
-        const userId = req.headers['user-id'] || req.query.userId;
+        res.json({ success: true });
         
-        if (!userId) {
-            console.log('No user ID provided - returning no subscription');
-            return res.json(null); // No subscription for users without ID
+    } catch (error) {
+        console.error('❌ Error deactivating therapist:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Referred active subscribers and referral revenue for one therapist, for payouts
+// Filters: from, to (YYYY-MM-DD, inclusive), as in the revenue report; defaults to the last 365 days
+async function sendTherapistReferralReport(req, res, therapistId) {
+    try {
+        const therapist = await getTherapist(therapistId);
+        if (!therapist) {
+            return res.status(404).json({
+                success: false,
+                error: 'Therapist not found'
+            });
+        }
+        
+        const today = new Date();
+        const range = {
+            from: req.query.from || new Date(today.getTime() - 364 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+            to: req.query.to || today.toISOString().slice(0, 10)
+        };
+        const { filters, error } = parseRevenueReportFilters(range);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        
+        const report = await getTherapistReferralReport(therapistId, filters);
+        res.json({
+            success: true,
+            therapist: {
+                therapistId: therapist.therapistId,
+                name: therapist.name,
+                practiceName: therapist.practiceName,
+                referralCode: therapist.referralCode,
+                active: therapist.active
+            },
+            filters: range,
+            ...report
+        });
+        
+    } catch (error) {
+        console.error('❌ Error building therapist referral report:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+app.get('/api/admin/therapists/:therapistId/referral-report', requireFirebaseAuth, requireAdmin, (req, res) => {
+    return sendTherapistReferralReport(req, res, req.params.therapistId);
+});
+
+// A therapist's own referral report
+app.get('/api/therapist/referral-report', requireFirebaseAuth, (req, res) => {
+    return sendTherapistReferralReport(req, res, req.user.uid);
+});
+
+// Family household: the owner sees their child profiles and which consented
+// children can still be added; a child sees whose plan covers them
+app.get('/api/household', requireFirebaseAuth, async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const membership = await findHouseholdMembership(userId);
+        
+        if (membership) {
+            const { household } = await resolveAccess(userId);
+            return res.json({
+                success: true,
+                household: {
+                    household_id: membership.householdId,
+                    role: 'member',
+                    owner_user_id: membership.ownerUserId,
+                    covered: Boolean(household?.covered),
+                    added_at: membership.addedAt
+                }
+            });
+        }
+        
+        const [{ subscription, household }, members, consents] = await Promise.all([
+            resolveAccess(userId),
+            listHouseholdMembers(userId),
+            req.user.email ? consentTokenStore.listChildConsents(req.user.email) : []
+        ]);
+        const memberUserIds = new Set(members.map(member => member.childUserId));
+        
+        res.json({
+            success: true,
+            household: {
+                household_id: members.length > 0 ? userId : null,
+                role: 'owner',
+                max_members: limitsFor(subscription).householdMembers,
+                members: members.map(member => ({
+                    child_user_id: member.childUserId,
+                    child_name: member.childName,
+                    covered: Boolean(household?.poolUserIds.includes(member.childUserId)),
+                    added_at: member.addedAt
+                })),
+                eligible_children: consents
+                    .filter(consent => !memberUserIds.has(consent.childUserId))
+                    .map(consent => ({
+                        child_user_id: consent.childUserId,
+                        child_name: consent.childName || null
+                    }))
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ Error loading household:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Add a child profile to the parent's household. The parent must have given
+// verified consent for the child's account and have a plan with room for them.
+app.post('/api/household/members', requireFirebaseAuth, requireUserEmail, async (req, res) => {
+    try {
+        const { child_user_id } = req.body;
+        const { uid: owner_user_id, email: owner_email } = req.user;
+        
+        if (!child_user_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'child_user_id is required'
+            });
         }
         
+        const subscription = await findUserSubscription(owner_user_id);
+        const maxMembers = limitsFor(subscription).householdMembers;
+        if (!maxMembers) {
+            return res.status(403).json({
+                success: false,
+                error: 'Your plan does not include child profiles'
+            });
+        }
+        
+        const member = await addHouseholdMember({
+            ownerUserId: owner_user_id,
+            ownerEmail: owner_email,
+            consent: await consentTokenStore.findChildConsent(child_user_id),
+            maxMembers
+        });
+        console.log(`👪 Child ${child_user_id} added to household ${owner_user_id}`);
+        
+        res.status(201).json({
+            success: true,
+            member: {
+                child_user_id: member.childUserId,
+                child_name: member.childName,
+                added_at: member.addedAt
+            }
+        });
+        
+    } catch (error) {
+        if (error.code === 'not_consenting_parent' || error.code === 'member_cannot_own') {
+            return res.status(403).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+        if (error.code === 'already_member' || error.code === 'household_full') {
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+        console.error('❌ Error adding household member:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Take a child profile out of the parent's household
+app.post('/api/household/members/:childUserId/remove', requireFirebaseAuth, async (req, res) => {
+    try {
+        const removed = await removeHouseholdMember(req.params.childUserId, { ownerUserId: req.user.uid });
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Child is not in your household'
+            });
+        }
+        
+        console.log(`👪 Child ${req.params.childUserId} removed from household ${req.user.uid}`);
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('❌ Error removing household member:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get current subscription endpoint
+app.get('/api/current-subscription', requireFirebaseAuth, async (req, res) => {
+    try {
+        // Get user ID from the verified Firebase ID token
+        const userId = req.user.uid;
+        
         console.log('Looking up subscription for user:', userId);
         console.log('User ID type:', typeof userId);
         console.log('User ID length:', userId ? userId.length : 'null');
@@ -899,17 +1846,28 @@ app.get('/api/current-subscription', async (req, res) => {
             console.log('🔥 Firebase initialized status:', firebaseInitialized);
             console.log('🔥 Admin apps count:', admin.apps.length);
             
-            const subscriptionQuery = await admin.firestore()
-                .collection('subscriptions')
-                .where('userId', '==', userId)
-                .where('status', '==', 'active')
-                .limit(1)
-                .get();
+            // Past-due subscriptions are included: they keep access during the dunning
+            // grace period, then carry dunning.state 'restricted'.
+            // A child profile without its own subscription gets its household's.
+            const { subscription: firebaseSub, household } = await resolveAccess(userId);
             
-            console.log('🔥 Firebase query completed, found', subscriptionQuery.docs.length, 'documents');
+            if (household?.role === 'member') {
+                if (!firebaseSub) {
+                    console.log('👪 Household member is not covered by the owner\'s plan:', userId);
+                    return res.json(null);
+                }
+                console.log('👪 Found household subscription for member:', userId, 'owner:', household.ownerUserId);
+                return res.json({
+                    ...firebaseSub,
+                    household: {
+                        householdId: household.householdId,
+                        ownerUserId: household.ownerUserId,
+                        role: household.role
+                    }
+                });
+            }
             
-            if (!subscriptionQuery.empty) {
-                const firebaseSub = subscriptionQuery.docs[0].data();
+            if (firebaseSub) {
                 console.log('✅ Found subscription in Firebase:', firebaseSub.id);
                 console.log('✅ Subscription details:', {
                     planType: firebaseSub.planType,
@@ -918,7 +1876,7 @@ app.get('/api/current-subscription', async (req, res) => {
                 });
                 return res.json(firebaseSub);
             } else {
-                console.log('🔥 No active subscription found in Firebase, checking Stripe...');
+                console.log('🔥 No active or trialing subscription found in Firebase, checking Stripe...');
             }
         } catch (firebaseError) {
             console.error('❌ Firebase lookup failed:', firebaseError);
@@ -944,11 +1902,12 @@ app.get('/api/current-subscription', async (req, res) => {
                     console.log('Found user email from Firebase:', userEmail);
                     console.log('User data keys:', Object.keys(userData));
                     
-                    // Check if we have stored Stripe customer ID (most efficient)
-                    if (userData.stripeCustomerId) {
-                        console.log('Found stored Stripe customer ID:', userData.stripeCustomerId);
+                    // Check if we have stored Stripe customer ID for this mode (most efficient)
+                    const storedCustomerId = stripeCustomerIdOf(userData);
+                    if (storedCustomerId) {
+                        console.log('Found stored Stripe customer ID:', storedCustomerId);
                         try {
-                            customer = await stripe.customers.retrieve(userData.stripeCustomerId);
+                            customer = await stripe.customers.retrieve(storedCustomerId);
                             console.log('Retrieved customer by stored ID:', customer.id);
                         } catch (stripeError) {
                             console.log('Stored customer ID invalid, falling back to email lookup');
@@ -984,23 +1943,24 @@ app.get('/api/current-subscription', async (req, res) => {
             
             console.log('Found Stripe customer:', customer.id);
             
-            // Get real Stripe subscriptions first
+            // Get real Stripe subscriptions first (Stripe can only filter on one status)
             const subscriptions = await stripe.subscriptions.list({
                 customer: customer.id,
-                status: 'active',
-                limit: 1
+                status: 'all',
+                limit: 10
             });
+            const entitledSubscription = subscriptions.data.find(sub => isEntitledStatus(sub.status));
             
-            if (subscriptions.data.length === 0) {
-                console.log('No active subscriptions found for customer:', customer.id);
+            if (!entitledSubscription) {
+                console.log('No active or trialing subscriptions found for customer:', customer.id);
                 
                 // Fallback: Check Firebase for subscription data
                 console.log('Checking Firebase for subscription data...');
                 try {
                     const subscriptionQuery = await admin.firestore()
-                        .collection('subscriptions')
+                        .collection(SUBSCRIPTIONS_COLLECTION)
                         .where('userId', '==', userId)
-                        .where('status', '==', 'active')
+                        .where('status', 'in', ENTITLED_STATUSES)
                         .limit(1)
                         .get();
                     
@@ -1018,7 +1978,7 @@ app.get('/api/current-subscription', async (req, res) => {
                 }
             }
             
-            const stripeSubscription = subscriptions.data[0];
+            const stripeSubscription = entitledSubscription;
             console.log('Found real Stripe subscription:', stripeSubscription.id);
             
             // Stripe subscription IDs already start with "sub_", so use it directly
@@ -1042,6 +2002,8 @@ app.get('/api/current-subscription', async (req, res) => {
                     new Date(stripeSubscription.current_period_end * 1000).toISOString() : 
                     new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days from now
                 cancelAtPeriodEnd: stripeSubscription.cancel_at_period_end || false,
+                trialStart: stripeSubscription.trial_start ? new Date(stripeSubscription.trial_start * 1000).toISOString() : null,
+                trialEnd: stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000).toISOString() : null,
                 isTherapyReferral: stripeSubscription.metadata?.isTherapyReferral === 'true' || false,
                 createdAt: stripeSubscription.created ? 
                     new Date(stripeSubscription.created * 1000).toISOString() : 
@@ -1068,18 +2030,166 @@ app.get('/api/current-subscription', async (req, res) => {
         });
     }
 });
-
-// Customer portal endpoint
-app.post('/api/customer-portal', async (req, res) => {
+// Resolved feature limits for the signed-in user, with this month's usage and remaining quota
+app.get('/api/entitlements', requireFirebaseAuth, async (req, res) => {
     try {
-        const { user_id, user_email } = req.body;
+        const entitlements = await resolveEntitlements(req.user.uid);
+        const toLimits = values => ({
+            monthly_practice_minutes: values.monthlyPracticeMinutes,
+            custom_personas: values.customPersonas,
+            monthly_ai_turns: values.monthlyAiTurns,
+            household_members: values.householdMembers
+        });
         
-        if (!user_id || !user_email) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'User ID and email are required' 
+        res.json({
+            success: true,
+            entitlements: {
+                tier: entitlements.tier,
+                plan_type: entitlements.planType,
+                subscription_status: entitlements.subscriptionStatus,
+                restricted: entitlements.restricted,
+                household: entitlements.household && {
+                    household_id: entitlements.household.householdId,
+                    role: entitlements.household.role,
+                    covered: entitlements.household.covered,
+                    pooled_profiles: entitlements.household.poolUserIds.length
+                },
+                limits: toLimits(entitlements.limits),
+                usage: {
+                    month: entitlements.usage.month,
+                    practice_minutes: entitlements.usage.practiceMinutes,
+                    ai_turns: entitlements.usage.aiTurns,
+                    custom_personas: entitlements.usage.customPersonas
+                },
+                remaining: toLimits(entitlements.remaining)
+            }
+        });
+    } catch (error) {
+        console.error('Error resolving entitlements:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+// Record practice minutes and/or AI turns against this month's quota
+app.post('/api/usage', requireFirebaseAuth, async (req, res) => {
+    try {
+        const { practice_minutes = 0, ai_turns = 0 } = req.body;
+        
+        if (typeof practice_minutes !== 'number' || !Number.isFinite(practice_minutes) || practice_minutes < 0) {
+            return res.status(400).json({ success: false, error: 'practice_minutes must be a non-negative number' });
+        }
+        if (!Number.isInteger(ai_turns) || ai_turns < 0) {
+            return res.status(400).json({ success: false, error: 'ai_turns must be a non-negative integer' });
+        }
+        if (practice_minutes === 0 && ai_turns === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to record' });
+        }
+        
+        // Household profiles draw on the household's shared pool
+        const { subscription, household } = await resolveAccess(req.user.uid);
+        const usage = await recordUsage(req.user.uid, {
+            practiceMinutes: practice_minutes,
+            aiTurns: ai_turns
+        }, limitsFor(subscription), {
+            poolUserIds: household?.covered ? household.poolUserIds : [req.user.uid]
+        });
+        
+        res.json({
+            success: true,
+            usage: {
+                month: usage.month,
+                practice_minutes: usage.practiceMinutes,
+                ai_turns: usage.aiTurns
+            }
+        });
+    } catch (error) {
+        if (error.code === 'quota_exceeded') {
+            return res.status(429).json({
+                success: false,
+                error: 'Quota exceeded',
+                code: 'quota_exceeded',
+                metric: error.details.metric === 'practiceMinutes' ? 'practice_minutes' : 'ai_turns',
+                limit: error.details.limit,
+                used: error.details.used,
+                requested: error.details.requested
             });
         }
+        console.error('Error recording usage:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// This month's usage with the user's limits, plus earlier months (?months=, default 12)
+app.get('/api/usage', requireFirebaseAuth, async (req, res) => {
+    try {
+        const months = req.query.months === undefined ? 12 : Number(req.query.months);
+        if (!Number.isInteger(months) || months < 1 || months > MAX_HISTORY_MONTHS) {
+            return res.status(400).json({ success: false, error: `months must be between 1 and ${MAX_HISTORY_MONTHS}` });
+        }
+        
+        const [current, history, { subscription, household }] = await Promise.all([
+            getMonthlyUsage(req.user.uid),
+            listMonthlyUsage(req.user.uid, { months }),
+            resolveAccess(req.user.uid)
+        ]);
+        const limits = limitsFor(subscription);
+        const pool = household?.covered ? await getPooledMonthlyUsage(household.poolUserIds) : null;
+        const toUsage = usage => ({
+            month: usage.month,
+            practice_minutes: usage.practiceMinutes,
+            ai_turns: usage.aiTurns
+        });
+        
+        res.json({
+            success: true,
+            current: {
+                ...toUsage(current),
+                limits: {
+                    monthly_practice_minutes: limits.monthlyPracticeMinutes,
+                    monthly_ai_turns: limits.monthlyAiTurns
+                },
+                // The limits apply to the household's combined usage
+                household: pool ? toUsage(pool) : null
+            },
+            history: history.map(toUsage)
+        });
+    } catch (error) {
+        console.error('Error fetching usage:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+
+
+const CUSTOMER_PORTAL_RETURN_URL = 'https://fluencyflow-backend-8e979bb2fc1f.herokuapp.com/api/customer-portal-return';
+
+/**
+ * Customer portal link for emails. Portal sessions expire soon after they're
+ * created, so the portal's login link (CUSTOMER_PORTAL_LOGIN_URL) is preferred.
+ */
+async function createCustomerPortalUrl(customerId) {
+    if (process.env.CUSTOMER_PORTAL_LOGIN_URL) {
+        return process.env.CUSTOMER_PORTAL_LOGIN_URL;
+    }
+    const portalSession = await stripe.billingPortal.sessions.create({
+        customer: customerId,
+        return_url: CUSTOMER_PORTAL_RETURN_URL
+    });
+    return portalSession.url;
+}
+
+// Customer portal endpoint
+app.post('/api/customer-portal', requireFirebaseAuth, requireUserEmail, async (req, res) => {
+    try {
+        const { uid: user_id, email: user_email } = req.user;
         
         console.log('Creating customer portal session for user:', user_id);
         
@@ -1116,7 +2226,7 @@ app.post('/api/customer-portal', async (req, res) => {
         // Create customer portal session
         const portalSession = await stripe.billingPortal.sessions.create({
             customer: customer.id,
-            return_url: 'https://fluencyflow-backend-8e979bb2fc1f.herokuapp.com/api/customer-portal-return'
+            return_url: CUSTOMER_PORTAL_RETURN_URL
         });
         
         console.log('Customer portal session created:', portalSession.id);
@@ -1132,24 +2242,41 @@ app.post('/api/customer-portal', async (req, res) => {
 });
 
 // Cancel subscription endpoint
-app.post('/api/cancel-subscription', async (req, res) => {
+app.post('/api/cancel-subscription', requireFirebaseAuth, async (req, res) => {
     try {
         let { subscription_id } = req.body;
         
         console.log('Cancelling subscription:', subscription_id);
         
+        if (!subscription_id) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Subscription ID is required' 
+            });
+        }
+        
         // Ensure we pass the full Stripe subscription ID (should start with 'sub_')
-        if (!subscription_id || !subscription_id.startsWith('sub_')) {
+        if (!subscription_id.startsWith('sub_')) {
             console.warn('⚠️ Expected a Stripe subscription ID starting with sub_. Received:', subscription_id);
         }
         
+        if (!(await isSubscriptionOwnedBy(subscription_id, req.user.uid))) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Subscription does not belong to authenticated user' 
+            });
+        }
+        
         // Cancel the subscription at the end of the current period
         let subscription;
         try {
+            // A scheduled downgrade is dropped; the subscription simply ends at period end
+            await cancelScheduledChange(stripe, await stripe.subscriptions.retrieve(subscription_id));
+            
             subscription = await stripe.subscriptions.update(subscription_id, {
-            cancel_at_period_end: true
-        });
-        console.log('Subscription cancelled:', subscription.id);
+                cancel_at_period_end: true
+            });
+            console.log('Subscription cancelled:', subscription.id);
         } catch (stripeError) {
             // Provide more helpful error message
             if (stripeError.type === 'StripeInvalidRequestError' && stripeError.code === 'resource_missing') {
@@ -1168,7 +2295,7 @@ app.post('/api/cancel-subscription', async (req, res) => {
                 ? subscription.id 
                 : `sub_${subscription.id}`;
             
-            await admin.firestore().collection('subscriptions').doc(subscriptionId).update({
+            await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).update({
                 status: subscription.status,
                 cancelAtPeriodEnd: subscription.cancel_at_period_end,
                 currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
@@ -1177,7 +2304,7 @@ app.post('/api/cancel-subscription', async (req, res) => {
             console.log('Updated Firebase subscription status to cancelled');
             
             // Fetch the complete subscription data from Firebase
-            const subscriptionDoc = await admin.firestore().collection('subscriptions').doc(subscriptionId).get();
+            const subscriptionDoc = await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).get();
             if (subscriptionDoc.exists) {
                 updatedSubscriptionData = subscriptionDoc.data();
             }
@@ -1212,12 +2339,26 @@ app.post('/api/cancel-subscription', async (req, res) => {
 });
 
 // Reactivate subscription endpoint
-app.post('/api/reactivate-subscription', async (req, res) => {
+app.post('/api/reactivate-subscription', requireFirebaseAuth, async (req, res) => {
     try {
         const { subscription_id } = req.body;
         
         console.log('Reactivating subscription:', subscription_id);
         
+        if (!subscription_id) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Subscription ID is required' 
+            });
+        }
+        
+        if (!(await isSubscriptionOwnedBy(subscription_id, req.user.uid))) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Subscription does not belong to authenticated user' 
+            });
+        }
+        
         // Reactivate the subscription by removing the cancel_at_period_end flag
         const subscription = await stripe.subscriptions.update(subscription_id, {
             cancel_at_period_end: false
@@ -1232,7 +2373,7 @@ app.post('/api/reactivate-subscription', async (req, res) => {
                 ? subscription.id 
                 : `sub_${subscription.id}`;
             
-            await admin.firestore().collection('subscriptions').doc(subscriptionId).update({
+            await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).update({
                 status: subscription.status,
                 cancelAtPeriodEnd: subscription.cancel_at_period_end,
                 currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
@@ -1268,14 +2409,13 @@ app.post('/api/reactivate-subscription', async (req, res) => {
 });
 
 // Create payment intent endpoint
-app.post('/api/create-payment-intent', async (req, res) => {
+app.post('/api/create-payment-intent', requireFirebaseAuth, async (req, res) => {
     try {
         // Wait for Stripe to be initialized
-        while (!stripeInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        await waitForStripe();
         
-        const { amount, currency, plan_type, billing_cycle, is_therapy_referral, user_email, promo_code } = req.body;
+        const { amount, currency, plan_type, billing_cycle, is_therapy_referral, promo_code } = req.body;
+        const user_email = req.user.email;
         
         console.log('Creating payment intent:', { amount, currency, plan_type, billing_cycle, is_therapy_referral, user_email, promo_code });
         
@@ -1384,18 +2524,12 @@ app.post('/api/create-payment-intent', async (req, res) => {
 });
 
 // Create setup intent endpoint (for collecting payment methods for subscriptions)
-app.post('/api/create-setup-intent', async (req, res) => {
+app.post('/api/create-setup-intent', requireFirebaseAuth, requireUserEmail, async (req, res) => {
     try {
         // Wait for Stripe to be initialized
-        while (!stripeInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
-        
-        const { user_email } = req.body;
+        await waitForStripe();
         
-        if (!user_email) {
-            return res.status(400).json({ error: 'user_email is required' });
-        }
+        const user_email = req.user.email;
         
         // Create or find customer
         let customer;
@@ -1437,44 +2571,131 @@ app.post('/api/create-setup-intent', async (req, res) => {
     }
 });
 
-// Retrieve setup intent to get payment method ID
-app.get('/api/retrieve-setup-intent/:setupIntentId', async (req, res) => {
+// Retrieve setup intent to get payment method ID
+app.get('/api/retrieve-setup-intent/:setupIntentId', requireFirebaseAuth, async (req, res) => {
+    try {
+        await waitForStripe();
+        
+        const { setupIntentId } = req.params;
+        const setupIntent = await stripe.setupIntents.retrieve(setupIntentId, {
+            expand: ['customer']
+        });
+
+        // Setup intents are created for the caller's Stripe customer (matched by email)
+        const setupCustomer = setupIntent.customer;
+        if (!setupCustomer || setupCustomer.deleted || !req.user.email ||
+            (setupCustomer.email || '').toLowerCase() !== req.user.email.toLowerCase()) {
+            return res.status(403).json({ error: 'Setup intent does not belong to authenticated user' });
+        }
+
+        res.json({
+            id: setupIntent.id,
+            payment_method_id: setupIntent.payment_method || null
+        });
+    } catch (error) {
+        console.error('Error retrieving setup intent:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Resolve the catalog plan for a subscription request.
+ * Older app versions still send their own `price_id`; the catalog price always
+ * wins, and a disagreeing client price is only logged.
+ */
+function resolveRequestedPlan(planType, billingCycle, clientPriceId) {
+    const plan = getPlan(STRIPE_MODE, planType, billingCycle);
+    if (plan && clientPriceId && clientPriceId !== plan.priceId) {
+        const clientPlan = findPlanByPriceId(STRIPE_MODE, clientPriceId);
+        console.warn(`⚠️ Ignoring client price ${clientPriceId} (${clientPlan ? `${clientPlan.planType} ${clientPlan.billingCycle}` : 'not in catalog'}), using ${plan.priceId} for ${planType} ${billingCycle}`);
+    }
+    return plan;
+}
+
+// List the plans the app can subscribe to, with their prices from Stripe
+app.get('/api/plans', (req, res) => {
+    res.json({
+        success: true,
+        plans: listPlans(STRIPE_MODE).map(plan => ({
+            plan_type: plan.planType,
+            billing_cycle: plan.billingCycle,
+            amount: plan.amount,
+            currency: plan.currency,
+            interval: plan.interval,
+            trial_days: plan.trialDays
+        }))
+    });
+});
+
+// Whether the signed-in user can still start a free trial (one per user and Stripe customer)
+app.get('/api/trial-eligibility', requireFirebaseAuth, async (req, res) => {
     try {
-        while (!stripeInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        await waitForStripe();
         
-        const { setupIntentId } = req.params;
-        const setupIntent = await stripe.setupIntents.retrieve(setupIntentId);
+        const userDoc = await admin.firestore().collection('users').doc(req.user.uid).get();
+        const customerId = userDoc.exists ? stripeCustomerIdOf(userDoc.data()) : null;
+        const eligible = await isTrialEligible(stripe, { userId: req.user.uid, customerId });
         
         res.json({
-            id: setupIntent.id,
-            payment_method_id: setupIntent.payment_method || null
+            success: true,
+            eligible,
+            trial_days: Object.fromEntries(PLAN_TYPES.map(planType => [
+                planType,
+                eligible ? getPlan(STRIPE_MODE, planType, 'monthly')?.trialDays || 0 : 0
+            ]))
         });
     } catch (error) {
-        console.error('Error retrieving setup intent:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error checking trial eligibility:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
 });
 
 // Create subscription endpoint
-app.post('/api/create-subscription', async (req, res) => {
+app.post('/api/create-subscription', requireFirebaseAuth, requireUserEmail, async (req, res) => {
     try {
         // Wait for Stripe to be initialized
-        while (!stripeInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        await waitForStripe();
         
         // Wait for Firebase to be initialized
         while (!firebaseInitialized) {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
         
-        const { plan_type, billing_cycle, is_therapy_referral, user_id, user_email, payment_method_id, price_id, product_id, promo_code } = req.body;
+        const { plan_type, billing_cycle, payment_method_id, price_id, promo_code, referral_code } = req.body;
+        const { uid: user_id, email: user_email } = req.user;
+        
+        const plan = resolveRequestedPlan(plan_type, billing_cycle, price_id);
+        if (!plan) {
+            return res.status(400).json({ error: `Unsupported plan: ${plan_type} ${billing_cycle}` });
+        }
+        
+        // A child profile covered by a family plan doesn't need its own subscription
+        const { household } = await resolveAccess(user_id);
+        if (household?.role === 'member' && household.covered) {
+            return res.status(409).json({ error: 'This account is already covered by a family plan' });
+        }
         
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required' });
+        // A redeemed referral code links the subscriber to the therapist; a subscriber
+        // referred before stays with their therapist
+        let therapist = null;
+        if (referral_code) {
+            therapist = await findTherapistByReferralCode(referral_code);
+            if (!therapist) {
+                return res.status(400).json({ error: 'Invalid referral code' });
+            }
+            if (therapist.therapistId === user_id) {
+                return res.status(400).json({ error: 'Therapists cannot redeem their own referral code' });
+            }
         }
+        const existingReferral = await findReferralForUser(user_id);
+        if (existingReferral) {
+            therapist = await getTherapist(existingReferral.therapistId) || therapist;
+        }
+        // Older app versions send is_therapy_referral without a code; it's kept but unattributed
+        const is_therapy_referral = Boolean(therapist) || req.body.is_therapy_referral === true;
         
         // Create or find Stripe customer
         let customer;
@@ -1519,9 +2740,9 @@ app.post('/api/create-subscription', async (req, res) => {
         try {
             // Find existing active subscriptions in Firebase
             const existingSubscriptions = await admin.firestore()
-                .collection('subscriptions')
+                .collection(SUBSCRIPTIONS_COLLECTION)
                 .where('userId', '==', user_id)
-                .where('status', '==', 'active')
+                .where('status', 'in', ENTITLED_STATUSES)
                 .get();
             
             if (!existingSubscriptions.empty) {
@@ -1554,28 +2775,7 @@ app.post('/api/create-subscription', async (req, res) => {
         
         // Create subscription in Stripe
         try {
-            // Use the price_id from the request body (sent from iOS app)
-            let priceId = price_id;
-            
-            // Fallback to hardcoded mapping if price_id not provided (for backward compatibility)
-            // Updated with live mode price IDs
-            if (!priceId) {
-                if (plan_type === 'starter' && billing_cycle === 'monthly') {
-                    priceId = 'price_1STTsfCdYlZtgYGH84EG1xr3';
-                } else if (plan_type === 'starter' && billing_cycle === 'yearly') {
-                    priceId = 'price_1STTsfCdYlZtgYGHTI2MDIOF';
-                } else if (plan_type === 'professional' && billing_cycle === 'monthly') {
-                    priceId = 'price_1STTtDCdYlZtgYGHzir9N25f';
-                } else if (plan_type === 'professional' && billing_cycle === 'yearly') {
-                    priceId = 'price_1STTtDCdYlZtgYGHzFQDaZ0L';
-                } else if (plan_type === 'premium' && billing_cycle === 'monthly') {
-                    priceId = 'price_1STTtGCdYlZtgYGHtVqFhO2M';
-                } else if (plan_type === 'premium' && billing_cycle === 'yearly') {
-                    priceId = 'price_1STTtGCdYlZtgYGHCIrEGABA';
-                } else {
-                    throw new Error(`Unsupported plan: ${plan_type} ${billing_cycle}`);
-                }
-            }
+            const priceId = plan.priceId;
             
             console.log(`Creating Stripe subscription with price ID: ${priceId}`);
             
@@ -1615,6 +2815,8 @@ app.post('/api/create-subscription', async (req, res) => {
                     planType: plan_type,
                     billingCycle: billing_cycle,
                     isTherapyReferral: is_therapy_referral.toString(),
+                    therapistId: therapist?.therapistId || '',
+                    referralCode: therapist?.referralCode || '',
                     promo_code: promo_code || ''
                 }
             };
@@ -1624,6 +2826,20 @@ app.post('/api/create-subscription', async (req, res) => {
                 subscriptionData.default_payment_method = payment_method_id;
             }
             
+            // Start with a free trial if the plan has one and this user and customer haven't trialed before
+            let trialClaimed = false;
+            if (plan.trialDays > 0) {
+                try {
+                    trialClaimed = await claimTrial(stripe, { userId: user_id, customerId: customer.id, planType: plan_type });
+                } catch (trialError) {
+                    console.error('Error checking trial eligibility, subscribing without a trial:', trialError.message);
+                }
+            }
+            if (trialClaimed) {
+                subscriptionData.trial_period_days = plan.trialDays;
+                console.log(`🎁 Starting ${plan.trialDays}-day free trial for user:`, user_id);
+            }
+            
             // Add coupon if provided
             if (promo_code) {
                 try {
@@ -1640,12 +2856,39 @@ app.post('/api/create-subscription', async (req, res) => {
                 }
             }
             
-            const stripeSubscription = await stripe.subscriptions.create(subscriptionData);
+            const requestedAt = Math.floor(Date.now() / 1000);
+            let stripeSubscription;
+            try {
+                stripeSubscription = await stripe.subscriptions.create(subscriptionData);
+            } catch (createError) {
+                if (trialClaimed) {
+                    await releaseTrialClaim(user_id).catch(releaseError => {
+                        console.error('Failed to release trial claim:', releaseError.message);
+                    });
+                }
+                throw createError;
+            }
+            
+            if (therapist) {
+                try {
+                    await recordReferral({ userId: user_id, therapist, stripeSubscriptionId: stripeSubscription.id });
+                } catch (referralError) {
+                    console.error('Failed to record therapist referral:', referralError.message);
+                }
+            }
+            
+            if (trialClaimed) {
+                try {
+                    await completeTrialClaim(stripe, { userId: user_id, customerId: customer.id, stripeSubscriptionId: stripeSubscription.id });
+                } catch (trialError) {
+                    console.error('Failed to record trial claim:', trialError.message);
+                }
+            }
             
-            // Store Stripe customer ID in Firebase user document for future lookups
+            // Store Stripe customer ID in Firebase user document for future lookups (per Stripe mode)
             try {
                 await admin.firestore().collection('users').doc(user_id).update({
-                    stripeCustomerId: customer.id,
+                    [STRIPE_CUSTOMER_ID_FIELD]: customer.id,
                     lastUpdated: new Date().toISOString()
                 });
             } catch (firebaseUpdateError) {
@@ -1674,7 +2917,11 @@ app.post('/api/create-subscription', async (req, res) => {
                     new Date(stripeSubscription.current_period_end * 1000).toISOString() : 
                     new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days from now
                 cancelAtPeriodEnd: stripeSubscription.cancel_at_period_end || false,
+                trialStart: stripeSubscription.trial_start ? new Date(stripeSubscription.trial_start * 1000).toISOString() : null,
+                trialEnd: stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000).toISOString() : null,
                 isTherapyReferral: is_therapy_referral,
+                therapistId: therapist?.therapistId || null,
+                referralCode: therapist?.referralCode || null,
                 createdAt: stripeSubscription.created ? 
                     new Date(stripeSubscription.created * 1000).toISOString() : 
                     new Date().toISOString(),
@@ -1683,48 +2930,32 @@ app.post('/api/create-subscription', async (req, res) => {
                     new Date().toISOString()
             };
             
-            // Save subscription to Firebase
+            // Save subscription to Firebase (merged, so a webhook that got there first isn't overwritten)
             try {
-                await admin.firestore().collection('subscriptions').doc(subscriptionId).set({
-                    id: subscriptionId,
-                    userId: user_id,
+                await applySubscriptionResponse(stripeSubscription, requestedAt, () => ({
                     planType: plan_type,
                     billingCycle: billing_cycle,
                     status: stripeSubscription.status,
-                    stripeSubscriptionId: stripeSubscription.id,
-                    stripeCustomerId: customer.id,
                     currentPeriodStart: subscription.currentPeriodStart,
                     currentPeriodEnd: subscription.currentPeriodEnd,
                     cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
-                    isTherapyReferral: is_therapy_referral,
-                    createdAt: subscription.createdAt,
+                    trialStart: subscription.trialStart,
+                    trialEnd: subscription.trialEnd,
                     updatedAt: subscription.updatedAt
-                });
-                
-                // Create financial record for tax compliance
-                try {
-                    // Get amount from Stripe subscription
-                    const amount = stripeSubscription.items.data[0]?.price?.unit_amount / 100 || 0; // Convert cents to dollars
-                    
-                    await createFinancialRecord({
+                }), {
+                    identity: {
+                        id: subscriptionId,
                         userId: user_id,
-                        userEmail: user_email,
-                        userName: null, // We don't have user name in this endpoint
                         stripeSubscriptionId: stripeSubscription.id,
                         stripeCustomerId: customer.id,
-                        planType: plan_type,
-                        billingCycle: billing_cycle,
-                        amount: amount,
-                        startDate: subscription.currentPeriodStart,
-                        endDate: subscription.currentPeriodEnd,
-                        status: stripeSubscription.status,
                         isTherapyReferral: is_therapy_referral,
-                        promoCode: promo_code || null
-                    });
-                } catch (financialError) {
-                    console.error('❌ Failed to create financial record:', financialError);
-                    // Continue even if financial record fails
-                }
+                        therapistId: subscription.therapistId,
+                        referralCode: subscription.referralCode,
+                        createdAt: subscription.createdAt
+                    }
+                });
+
+                // Revenue is recorded in financial_records when the invoice is paid (invoice.payment_succeeded)
             } catch (firebaseError) {
                 console.error('❌ Failed to save subscription to Firebase:', firebaseError);
                 console.error('❌ Firebase error details:', {
@@ -1746,9 +2977,9 @@ app.post('/api/create-subscription', async (req, res) => {
                     amount: stripeSubscription.items.data[0]?.price?.unit_amount / 100 || 0,
                     nextBillingDate: subscription.currentPeriodEnd
                 });
-                console.log('✅ Subscription confirmation email sent');
+                console.log('✅ Subscription confirmation email queued');
             } catch (emailError) {
-                console.error('❌ Failed to send subscription confirmation email:', emailError);
+                console.error('❌ Failed to queue subscription confirmation email:', emailError);
                 // Continue even if email fails - don't block subscription creation
             }
             
@@ -1772,147 +3003,182 @@ app.post('/api/create-subscription', async (req, res) => {
     }
 });
 
+// Upgrades switch price without prorating; the new price is charged from the
+// next renewal. Preview and modify must use the same behavior so quotes match.
+// Downgrades are scheduled for the period end instead (see plan-changes.js).
+const PLAN_CHANGE_PRORATION_BEHAVIOR = 'none';
+
+/**
+ * Find the user's Stripe customer (by email) and their active or trialing subscription.
+ * Resolves to `{ customer, subscription }`; either is null when not found.
+ */
+async function findEntitledStripeSubscription(userEmail) {
+    const existingCustomers = await stripe.customers.list({
+        email: userEmail,
+        limit: 1
+    });
+    if (existingCustomers.data.length === 0) {
+        return { customer: null, subscription: null };
+    }
+
+    const customer = existingCustomers.data[0];
+    const subscriptions = await stripe.subscriptions.list({
+        customer: customer.id,
+        status: 'all',
+        limit: 10
+    });
+    const subscription = subscriptions.data.find(sub => isEntitledStatus(sub.status)) || null;
+    return { customer, subscription };
+}
+
+/**
+ * Coupon ID behind an active promotion code, or null if there's no such code
+ */
+async function findPromotionCouponId(promoCode) {
+    const promotionCodes = await stripe.promotionCodes.list({
+        code: promoCode,
+        active: true,
+        limit: 1
+    });
+    return promotionCodes.data.length > 0 ? promotionCodes.data[0].coupon.id : null;
+}
+
 // Modify subscription endpoint (for upgrades/downgrades)
-app.post('/api/modify-subscription', async (req, res) => {
+app.post('/api/modify-subscription', requireFirebaseAuth, requireUserEmail, async (req, res) => {
     try {
         // Wait for Stripe to be initialized
-        while (!stripeInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        await waitForStripe();
         
         // Wait for Firebase to be initialized
         while (!firebaseInitialized) {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
         
-        const { plan_type, billing_cycle, user_id, user_email, price_id, product_id, promo_code } = req.body;
+        const { plan_type, billing_cycle, price_id, promo_code } = req.body;
+        const { uid: user_id, email: user_email } = req.user;
         
         console.log('Modifying subscription:', { plan_type, billing_cycle, user_id, user_email, price_id });
         
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required' });
-        }
-        
-        // Find existing customer
+        // Find existing customer and active subscription
         let customer;
-        try {
-            const existingCustomers = await stripe.customers.list({
-                email: user_email,
-                limit: 1
-            });
-            
-            if (existingCustomers.data.length === 0) {
-                return res.status(404).json({ error: 'Customer not found' });
-            }
-            
-            customer = existingCustomers.data[0];
-            console.log('Found existing customer:', customer.id);
-        } catch (customerError) {
-            console.error('Error finding customer:', customerError);
-            return res.status(500).json({ error: 'Failed to find customer' });
-        }
-        
-        // Find existing active subscription
         let existingSubscription;
         try {
-            const subscriptions = await stripe.subscriptions.list({
-                customer: customer.id,
-                status: 'active',
-                limit: 1
-            });
-            
-            if (subscriptions.data.length === 0) {
-                return res.status(404).json({ error: 'No active subscription found' });
-            }
-            
-            existingSubscription = subscriptions.data[0];
-            console.log('Found existing subscription:', existingSubscription.id);
-        } catch (subError) {
-            console.error('Error finding subscription:', subError);
+            ({ customer, subscription: existingSubscription } = await findEntitledStripeSubscription(user_email));
+        } catch (lookupError) {
+            console.error('Error finding subscription:', lookupError);
             return res.status(500).json({ error: 'Failed to find existing subscription' });
         }
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        if (!existingSubscription) {
+            return res.status(404).json({ error: 'No active subscription found' });
+        }
+        console.log('Found existing subscription:', existingSubscription.id);
         
         // Get the new price ID
-        let newPriceId = price_id;
-        if (!newPriceId) {
-            // Fallback to hardcoded mapping
-            if (plan_type === 'starter' && billing_cycle === 'monthly') {
-                newPriceId = 'price_1SBMCh2QVCQwj6xKAxuwKisC';
-            } else if (plan_type === 'starter' && billing_cycle === 'yearly') {
-                newPriceId = 'price_1SBMGX2QVCQwj6xKb9suTwhR';
-            } else if (plan_type === 'professional' && billing_cycle === 'monthly') {
-                newPriceId = 'price_1SBMHE2QVCQwj6xKgYNPRtB6';
-            } else if (plan_type === 'professional' && billing_cycle === 'yearly') {
-                newPriceId = 'price_1SBMHU2QVCQwj6xKk4AtbNBd';
-            } else if (plan_type === 'premium' && billing_cycle === 'monthly') {
-                newPriceId = 'price_1SBMHv2QVCQwj6xKON7BWqbX';
-            } else if (plan_type === 'premium' && billing_cycle === 'yearly') {
-                newPriceId = 'price_1SBMI52QVCQwj6xKlJR975L0';
-            } else {
-                throw new Error(`Unsupported plan: ${plan_type} ${billing_cycle}`);
-            }
+        const newPlan = resolveRequestedPlan(plan_type, billing_cycle, price_id);
+        if (!newPlan) {
+            return res.status(400).json({ error: `Unsupported plan: ${plan_type} ${billing_cycle}` });
         }
+        const newPriceId = newPlan.priceId;
         
         console.log(`Modifying subscription to price ID: ${newPriceId}`);
         
-        // Update the subscription with the new plan - SIMPLE APPROACH
+        const subscriptionMetadata = {
+            planType: plan_type,
+            billingCycle: billing_cycle,
+            productId: newPlan.productId || '',
+            // Plan changes keep the therapist referral the subscription started with
+            isTherapyReferral: existingSubscription.metadata?.isTherapyReferral || 'false',
+            therapistId: existingSubscription.metadata?.therapistId || '',
+            referralCode: existingSubscription.metadata?.referralCode || '',
+            modifiedAt: new Date().toISOString(),
+            promoCode: promo_code || ''
+        };
+        
+        // Look up the coupon if a promo code was provided
+        let couponId = null;
+        if (promo_code) {
+            try {
+                couponId = await findPromotionCouponId(promo_code);
+                if (couponId) {
+                    console.log(`Applying coupon ${couponId} to subscription modification`);
+                }
+            } catch (couponError) {
+                console.error('Error applying coupon:', couponError);
+                // Continue without coupon
+            }
+        }
+        
+        // Downgrades keep the current plan until the end of the paid period
+        if (isDowngrade(existingSubscription, newPlan)) {
+            try {
+                const pendingChange = await scheduleDowngrade(stripe, existingSubscription, newPlan, {
+                    couponId,
+                    promoCode: promo_code,
+                    metadata: subscriptionMetadata
+                });
+                const currentPlan = currentPlanOf(existingSubscription);
+                
+                return res.json({
+                    success: true,
+                    subscription: {
+                        id: existingSubscription.id,
+                        status: existingSubscription.status,
+                        plan_type: currentPlan.planType,
+                        billing_cycle: currentPlan.billingCycle,
+                        current_period_start: existingSubscription.current_period_start,
+                        current_period_end: existingSubscription.current_period_end
+                    },
+                    pending_change: {
+                        plan_type: pendingChange.planType,
+                        billing_cycle: pendingChange.billingCycle,
+                        effective_at: existingSubscription.current_period_end
+                    }
+                });
+            } catch (scheduleError) {
+                console.error('❌ Error scheduling downgrade:', scheduleError);
+                return res.status(500).json({
+                    error: 'Failed to schedule plan change',
+                    details: scheduleError.message
+                });
+            }
+        }
+        
+        // Upgrades apply now, replacing any scheduled downgrade
         try {
+            await cancelScheduledChange(stripe, existingSubscription);
+            
             // Build the update data - just the essentials
             const updateData = {
                 items: [{
                     id: existingSubscription.items.data[0].id,
                     price: newPriceId,
                 }],
-                // Use 'none' to prevent immediate proration charges
-                // Proration will be calculated and included in the next invoice automatically
-                proration_behavior: 'none',
-                metadata: {
-                    planType: plan_type,
-                    billingCycle: billing_cycle,
-                    productId: product_id || getProductId(plan_type),
-                    isTherapyReferral: 'false',
-                    modifiedAt: new Date().toISOString(),
-                    promoCode: promo_code || ''
-                }
+                proration_behavior: PLAN_CHANGE_PRORATION_BEHAVIOR,
+                metadata: subscriptionMetadata
             };
             
-            // Add coupon if promo code was provided
-            if (promo_code) {
-                try {
-                    const promotionCodes = await stripe.promotionCodes.list({
-                        code: promo_code,
-                        active: true,
-                        limit: 1
-                    });
-                    
-                    if (promotionCodes.data.length > 0) {
-                        updateData.coupon = promotionCodes.data[0].coupon.id;
-                        console.log(`Applying coupon ${updateData.coupon} to subscription modification`);
-                    }
-                } catch (couponError) {
-                    console.error('Error applying coupon:', couponError);
-                    // Continue without coupon
-                }
+            if (couponId) {
+                updateData.coupon = couponId;
             }
             
             // Update the subscription
+            const requestedAt = Math.floor(Date.now() / 1000);
             const updatedSubscription = await stripe.subscriptions.update(existingSubscription.id, updateData);
             
-            // Update Firebase directly
+            // Update Firebase directly, unless a newer webhook event already did
             try {
-                const subscriptionId = updatedSubscription.id.startsWith('sub_') 
-                    ? updatedSubscription.id 
-                    : `sub_${updatedSubscription.id}`;
-                    
-                await admin.firestore().collection('subscriptions').doc(subscriptionId).update({
+                await applySubscriptionResponse(updatedSubscription, requestedAt, (source) => ({
                     planType: plan_type,
                     billingCycle: billing_cycle,
-                    status: updatedSubscription.status,
-                    currentPeriodStart: new Date(updatedSubscription.current_period_start * 1000).toISOString(),
-                    currentPeriodEnd: new Date(updatedSubscription.current_period_end * 1000).toISOString(),
-                    cancelAtPeriodEnd: updatedSubscription.cancel_at_period_end || false,
+                    status: source.status,
+                    currentPeriodStart: new Date(source.current_period_start * 1000).toISOString(),
+                    currentPeriodEnd: new Date(source.current_period_end * 1000).toISOString(),
+                    cancelAtPeriodEnd: source.cancel_at_period_end || false,
                     updatedAt: new Date().toISOString()
-                });
+                }));
             } catch (firebaseError) {
                 console.error('Failed to update Firebase:', firebaseError);
                 // Don't fail the request
@@ -1944,19 +3210,170 @@ app.post('/api/modify-subscription', async (req, res) => {
     }
 });
 
+// Preview a plan change: what the next invoice will look like after switching to
+// the target plan, using Stripe's upcoming invoice API. Nothing is changed.
+app.post('/api/preview-subscription-change', requireFirebaseAuth, requireUserEmail, async (req, res) => {
+    try {
+        // Wait for Stripe to be initialized
+        await waitForStripe();
+        
+        const { plan_type, billing_cycle, promo_code } = req.body;
+        const { email: user_email } = req.user;
+        
+        const newPlan = getPlan(STRIPE_MODE, plan_type, billing_cycle);
+        if (!newPlan) {
+            return res.status(400).json({ error: `Unsupported plan: ${plan_type} ${billing_cycle}` });
+        }
+        
+        let customer;
+        let existingSubscription;
+        try {
+            ({ customer, subscription: existingSubscription } = await findEntitledStripeSubscription(user_email));
+        } catch (lookupError) {
+            console.error('Error finding subscription to preview:', lookupError);
+            return res.status(500).json({ error: 'Failed to find existing subscription' });
+        }
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        if (!existingSubscription) {
+            return res.status(404).json({ error: 'No active subscription found' });
+        }
+        
+        const currentItem = existingSubscription.items.data[0];
+        if (currentItem.price.id === newPlan.priceId) {
+            return res.status(400).json({ error: `Already subscribed to ${plan_type} ${billing_cycle}` });
+        }
+        
+        let couponId = null;
+        if (promo_code) {
+            couponId = await findPromotionCouponId(promo_code);
+            if (!couponId) {
+                return res.status(400).json({ error: 'Invalid or expired promo code' });
+            }
+        }
+        
+        // A downgrade takes effect at renewal, so its quote is just the renewal at the new price
+        const downgrade = isDowngrade(existingSubscription, newPlan);
+        
+        const upcomingParams = {
+            customer: customer.id,
+            subscription: existingSubscription.id,
+            subscription_items: [{
+                id: currentItem.id,
+                price: newPlan.priceId
+            }],
+            subscription_proration_behavior: PLAN_CHANGE_PRORATION_BEHAVIOR
+        };
+        if (couponId) {
+            upcomingParams.coupon = couponId;
+        }
+        
+        const invoice = await stripe.invoices.retrieveUpcoming(upcomingParams);
+        
+        const toAmount = cents => (cents || 0) / 100;
+        const lines = invoice.lines.data;
+        const prorationLines = lines.filter(line => line.proration);
+        const credit = prorationLines
+            .filter(line => line.amount < 0)
+            .reduce((sum, line) => sum - line.amount, 0);
+        const prorationCharge = prorationLines
+            .filter(line => line.amount > 0)
+            .reduce((sum, line) => sum + line.amount, 0);
+        const discount = (invoice.total_discount_amounts || [])
+            .reduce((sum, discountAmount) => sum + discountAmount.amount, 0);
+        const newPlanLine = lines.find(line => !line.proration && line.price?.id === newPlan.priceId);
+        
+        res.json({
+            success: true,
+            preview: {
+                plan_type,
+                billing_cycle,
+                // 'immediate' for upgrades, 'period_end' for downgrades
+                effective: downgrade ? 'period_end' : 'immediate',
+                promo_code: couponId ? promo_code : null,
+                currency: invoice.currency,
+                subtotal: toAmount(invoice.subtotal),
+                discount: toAmount(discount),
+                tax: toAmount(invoice.tax),
+                total: toAmount(invoice.total),
+                // Customer balance applied to the invoice
+                account_credit_applied: toAmount(invoice.total - invoice.amount_due),
+                amount_due: toAmount(invoice.amount_due),
+                proration_credit: toAmount(credit),
+                proration_charge: toAmount(prorationCharge),
+                // When this invoice is charged, i.e. the next renewal
+                renewal_date: invoice.next_payment_attempt || invoice.period_end,
+                new_period_start: newPlanLine ? newPlanLine.period.start : null,
+                new_period_end: newPlanLine ? newPlanLine.period.end : null,
+                lines: lines.map(line => ({
+                    description: line.description,
+                    amount: toAmount(line.amount),
+                    proration: line.proration,
+                    period_start: line.period.start,
+                    period_end: line.period.end
+                }))
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error previewing subscription change:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cancel a scheduled downgrade; the subscription stays on its current plan
+app.post('/api/cancel-scheduled-change', requireFirebaseAuth, requireUserEmail, async (req, res) => {
+    try {
+        // Wait for Stripe to be initialized
+        await waitForStripe();
+        
+        const { subscription } = await findEntitledStripeSubscription(req.user.email);
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'No active subscription found' });
+        }
+        
+        if (!(await cancelScheduledChange(stripe, subscription))) {
+            return res.status(404).json({ success: false, error: 'No scheduled plan change found' });
+        }
+        
+        const currentPlan = currentPlanOf(subscription);
+        res.json({
+            success: true,
+            subscription: {
+                id: subscription.id,
+                status: subscription.status,
+                plan_type: currentPlan.planType,
+                billing_cycle: currentPlan.billingCycle,
+                current_period_end: subscription.current_period_end
+            },
+            pending_change: null
+        });
+        
+    } catch (error) {
+        console.error('Error canceling scheduled plan change:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Stripe Webhook Handler
 app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (req, res) => {
     const sig = req.headers['stripe-signature'];
     
-    // Try to get webhook secret from Key Vault (live first, then test), fallback to env var
+    // Get the webhook secret for this server's Stripe mode from Key Vault, fallback to env var
     let endpointSecret;
     try {
-        endpointSecret = await getSecret('stripe-webhook-secret-live');
-        if (!endpointSecret) {
-            endpointSecret = await getSecret('stripe-webhook-secret-test');
-        }
+        endpointSecret = await getSecret(`stripe-webhook-secret-${STRIPE_MODE}`);
     } catch (error) {
-        endpointSecret = process.env.STRIPE_WEBHOOK_SECRET_LIVE || process.env.STRIPE_WEBHOOK_SECRET;
+        endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    }
+    endpointSecret = endpointSecret || process.env.STRIPE_WEBHOOK_SECRET;
+
+    try {
+        await waitForStripe();
+    } catch (stripeError) {
+        console.error('❌ Cannot process webhook:', stripeError.message);
+        return res.status(503).json({error: 'Stripe is not available'});
     }
 
     let event;
@@ -1965,7 +3382,7 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
     if (!endpointSecret) {
         console.warn('⚠️ WARNING: No webhook secret configured. Webhook verification skipped.');
         console.warn('⚠️ Webhooks are optional but recommended for production.');
-        console.warn('⚠️ Without webhooks, you\'ll need to manually sync Stripe and Firebase.');
+        console.warn('⚠️ Without webhooks, run the subscription reconciliation (/api/admin/reconcile-subscriptions) to sync Stripe and Firebase.');
         console.warn('⚠️ Add webhook secret to Azure Key Vault or environment variables if you want automatic sync.');
         
         // Allow webhooks to work without verification (less secure but allows operation without webhook setup)
@@ -1988,18 +3405,54 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
         }
     }
 
+    // Wait for Firebase to be initialized
+    while (!firebaseInitialized) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    if (!event || !event.id || !event.type) {
+        return res.status(400).send('Invalid webhook payload');
+    }
+
+    // A test mode event must never touch live data (and vice versa)
+    if (!eventMatchesMode(event)) {
+        console.error(`❌ Rejected ${event.livemode ? 'live' : 'test'} mode webhook ${event.id} on a ${STRIPE_MODE} mode server`);
+        return res.status(400).send(`Webhook Error: event livemode does not match this server (${STRIPE_MODE} mode)`);
+    }
+
+    // Stripe retries deliveries, so only run handlers for events we haven't processed yet
+    let claim;
+    try {
+        claim = await claimWebhookEvent(event);
+    } catch (claimError) {
+        console.error('❌ Failed to record webhook event:', claimError);
+        return res.status(500).json({error: 'Webhook handler failed'});
+    }
+
+    if (claim.status === 'processed') {
+        console.log(`↩️ Webhook ${event.id} already processed (${claim.outcome}), skipping`);
+        return res.json({received: true, duplicate: true});
+    }
+
+    if (claim.status === 'in_progress') {
+        console.log(`⏳ Webhook ${event.id} is already being processed, asking Stripe to retry`);
+        return res.status(409).json({error: 'Event is already being processed'});
+    }
+
     try {
+        let outcome = 'handled';
+        
         switch (event.type) {
             case 'customer.subscription.created':
-                await handleSubscriptionCreated(event.data.object);
+                await handleSubscriptionCreated(event.data.object, event);
                 break;
             
             case 'customer.subscription.updated':
-                await handleSubscriptionUpdated(event.data.object);
+                await handleSubscriptionUpdated(event.data.object, event);
                 break;
             
             case 'customer.subscription.deleted':
-                await handleSubscriptionDeleted(event.data.object);
+                await handleSubscriptionDeleted(event.data.object, event);
                 break;
             
             case 'customer.deleted':
@@ -2013,14 +3466,60 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
             case 'invoice.payment_failed':
                 await handleInvoicePaymentFailed(event.data.object);
                 break;
+
+            case 'customer.subscription.trial_will_end':
+                await handleSubscriptionTrialWillEnd(event.data.object, event);
+                break;
+            
+            case 'customer.subscription.paused':
+                await handleSubscriptionPaused(event.data.object, event);
+                break;
+            
+            case 'customer.subscription.resumed':
+                await handleSubscriptionResumed(event.data.object, event);
+                break;
+            
+            case 'invoice.upcoming':
+                await handleInvoiceUpcoming(event.data.object);
+                break;
+            
+            case 'invoice.finalized':
+                await handleInvoiceFinalized(event.data.object);
+                break;
+            
+            case 'payment_intent.requires_action':
+                await handlePaymentIntentRequiresAction(event.data.object);
+                break;
+            
+            case 'charge.refunded':
+                await handleChargeRefunded(event.data.object, event);
+                break;
+            
+            case 'charge.dispute.created':
+                await handleChargeDisputeCreated(event.data.object);
+                break;
+            
+            case 'charge.dispute.updated':
+            case 'charge.dispute.closed':
+            case 'charge.dispute.funds_withdrawn':
+            case 'charge.dispute.funds_reinstated':
+                await handleChargeDisputeChanged(event.data.object, event);
+                break;
             
             default:
+                outcome = 'ignored';
                 console.log(`ℹ️ Unhandled event type: ${event.type}`);
         }
         
+        await completeWebhookEvent(event.id, outcome);
         res.json({received: true});
     } catch (error) {
         console.error('❌ Webhook handler error:', error);
+        try {
+            await failWebhookEvent(event.id, error);
+        } catch (recordError) {
+            console.error('❌ Failed to record webhook failure:', recordError);
+        }
         res.status(500).json({error: 'Webhook handler failed'});
     }
 });
@@ -2029,12 +3528,16 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
 
 /**
  * Create a financial record for tax compliance
+ * One record is written per paid invoice (keyed by invoice ID, so webhook
+ * redeliveries don't double-count revenue).
  * This record is kept for 7 years even if user deletes their account (anonymized)
  */
 async function createFinancialRecord(subscriptionData) {
     try {
-        const recordId = `fin_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-        const lastTransactionDate = new Date();
+        const recordId = subscriptionData.stripeInvoiceId
+            ? `fin_${subscriptionData.stripeInvoiceId}`
+            : `fin_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+        const lastTransactionDate = subscriptionData.transactionDate || new Date();
         const retainUntil = new Date(lastTransactionDate);
         retainUntil.setFullYear(retainUntil.getFullYear() + 7); // 7 years from now
         
@@ -2050,7 +3553,12 @@ async function createFinancialRecord(subscriptionData) {
             planType: subscriptionData.planType,
             billingCycle: subscriptionData.billingCycle,
             amount: subscriptionData.amount || 0,
-            currency: 'usd',
+            subtotal: subscriptionData.subtotal ?? null,
+            discountAmount: subscriptionData.discountAmount || 0,
+            taxAmount: subscriptionData.taxAmount || 0,
+            currency: subscriptionData.currency || 'usd',
+            stripeInvoiceId: subscriptionData.stripeInvoiceId || null,
+            billingReason: subscriptionData.billingReason || null,
             startDate: subscriptionData.startDate,
             endDate: subscriptionData.endDate,
             lastTransactionDate: lastTransactionDate.toISOString(),
@@ -2058,8 +3566,11 @@ async function createFinancialRecord(subscriptionData) {
             // Status
             status: subscriptionData.status || 'active',
             isTherapyReferral: subscriptionData.isTherapyReferral || false,
+            therapistId: subscriptionData.therapistId || null,
+            referralCode: subscriptionData.referralCode || null,
             promoCode: subscriptionData.promoCode || null,
-            
+            recordType: 'revenue',
+
             // Deletion Tracking
             isAnonymized: false,
             anonymizedAt: null,
@@ -2070,27 +3581,131 @@ async function createFinancialRecord(subscriptionData) {
             updatedAt: new Date().toISOString()
         };
         
-        await admin.firestore().collection('financial_records').doc(recordId).set(financialRecord);
+        await admin.firestore().collection(FINANCIAL_RECORDS_COLLECTION).doc(recordId).create(financialRecord);
         console.log('✅ Financial record created:', recordId);
         
         return recordId;
     } catch (error) {
-        console.error('❌ Error creating financial record:', error);
-        // Don't fail subscription creation if financial record fails
-        return null;
+        if (error.code === 6) { // ALREADY_EXISTS
+            console.log(`ℹ️ Financial record for invoice ${subscriptionData.stripeInvoiceId} already recorded`);
+            return `fin_${subscriptionData.stripeInvoiceId}`;
+        }
+        console.error('❌ Error creating financial record:', error);
+        throw error;
+    }
+}
+
+/**
+ * Find the revenue record a refund or dispute adjusts: the record for the
+ * charged invoice, or for records written before the per-invoice ledger,
+ * the most recent revenue record for the subscription
+ */
+async function findOriginalFinancialRecord(stripeSubscriptionId, stripeInvoiceId = null) {
+    if (stripeInvoiceId) {
+        const invoiceRecord = await admin.firestore()
+            .collection(FINANCIAL_RECORDS_COLLECTION)
+            .doc(`fin_${stripeInvoiceId}`)
+            .get();
+        if (invoiceRecord.exists) {
+            return invoiceRecord.data();
+        }
+    }
+    
+    const records = await admin.firestore()
+        .collection(FINANCIAL_RECORDS_COLLECTION)
+        .where('subscriptionId', '==', stripeSubscriptionId)
+        .get();
+
+    const revenueRecords = records.docs
+        .map(doc => doc.data())
+        .filter(record => record.recordType !== 'adjustment')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return revenueRecords[0] || null;
+}
+
+/**
+ * Create an adjustment record (refund, chargeback or won-dispute reversal) linked
+ * to the revenue record it adjusts. Amounts are signed: negative for money returned
+ * to the customer, positive when a dispute is reversed in our favor.
+ * Customer and plan fields are copied from the original record, so adjustments are
+ * anonymized and retained with the rest of the user's financial records.
+ * `adjustmentId` is derived from the Stripe object, so a redelivered event can't
+ * record the same adjustment twice.
+ */
+async function createFinancialAdjustment({ adjustmentId, originalRecord, adjustmentType, reasonCode, amount, currency, stripeChargeId, stripeRefundId = null, stripeDisputeId = null, transactionDate }) {
+    const lastTransactionDate = transactionDate || new Date();
+    const retainUntil = new Date(lastTransactionDate);
+    retainUntil.setFullYear(retainUntil.getFullYear() + 7); // 7 years from the adjustment
+
+    const recordId = `adj_${adjustmentId}`;
+    const adjustmentRecord = {
+        recordId: recordId,
+        userId: originalRecord.userId,
+        userEmail: originalRecord.userEmail,
+        userName: originalRecord.userName,
+
+        // Subscription/Revenue Data
+        subscriptionId: originalRecord.subscriptionId,
+        stripeCustomerId: originalRecord.stripeCustomerId,
+        planType: originalRecord.planType,
+        billingCycle: originalRecord.billingCycle,
+        amount: amount,
+        currency: currency || originalRecord.currency,
+        startDate: originalRecord.startDate,
+        endDate: originalRecord.endDate,
+        lastTransactionDate: lastTransactionDate.toISOString(),
+
+        // Status
+        status: 'adjusted',
+        isTherapyReferral: originalRecord.isTherapyReferral || false,
+        therapistId: originalRecord.therapistId || null,
+        referralCode: originalRecord.referralCode || null,
+        promoCode: originalRecord.promoCode || null,
+        recordType: 'adjustment',
+
+        // Adjustment Details
+        adjustmentType: adjustmentType, // 'refund' | 'dispute' | 'dispute_reversal'
+        reasonCode: reasonCode || 'unspecified',
+        originalRecordId: originalRecord.recordId,
+        stripeChargeId: stripeChargeId,
+        stripeRefundId: stripeRefundId,
+        stripeDisputeId: stripeDisputeId,
+
+        // Deletion Tracking (an adjustment to an anonymized record starts out anonymized)
+        isAnonymized: originalRecord.isAnonymized === true,
+        anonymizedAt: originalRecord.isAnonymized === true ? new Date().toISOString() : null,
+        retainUntil: retainUntil.toISOString(),
+
+        // Audit Trail
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    try {
+        await admin.firestore().collection(FINANCIAL_RECORDS_COLLECTION).doc(recordId).create(adjustmentRecord);
+    } catch (error) {
+        if (error.code === 6) { // ALREADY_EXISTS
+            console.log(`ℹ️ Financial adjustment ${recordId} already recorded`);
+            return recordId;
+        }
+        throw error;
     }
+
+    console.log(`✅ Financial adjustment created: ${recordId} (${adjustmentType}, ${amount})`);
+    return recordId;
 }
 
 /**
  * Anonymize financial records when user deletes account
- * Keeps revenue data for tax compliance but removes PII
+ * Keeps revenue data (and refund/dispute adjustments) for tax compliance but removes PII
  */
 async function anonymizeFinancialRecords(userId) {
     try {
         console.log('🔒 Anonymizing financial records for user:', userId);
         
         const financialRecords = await admin.firestore()
-            .collection('financial_records')
+            .collection(FINANCIAL_RECORDS_COLLECTION)
             .where('userId', '==', userId)
             .where('isAnonymized', '==', false)
             .get();
@@ -2132,7 +3747,7 @@ async function cleanupExpiredFinancialRecords() {
         
         const now = new Date();
         const expiredRecords = await admin.firestore()
-            .collection('financial_records')
+            .collection(FINANCIAL_RECORDS_COLLECTION)
             .where('retainUntil', '<', now.toISOString())
             .get();
         
@@ -2158,26 +3773,123 @@ async function cleanupExpiredFinancialRecords() {
 }
 
 // Webhook Event Handlers
-async function handleSubscriptionCreated(subscription) {
-    try {
-        // Try to get userId from subscription metadata first (most reliable)
-        let userId = subscription.metadata?.userId;
+
+/**
+ * Write subscription fields derived from a Stripe webhook event, guarding against
+ * out-of-order delivery. Each subscription doc remembers the `created` timestamp of
+ * the event it was last written from; older events are skipped. Events from the same
+ * second can't be ordered, so those re-read the subscription from Stripe first.
+ * `buildData(subscription)` returns the fields to write. `identity` holds fields that
+ * never change (IDs, owner) and are written even for stale events, so a doc first
+ * created by a late-arriving older event still gets them. Resolves to the written
+ * fields, or null when the event was skipped.
+ */
+async function applySubscriptionEvent(subscription, event, buildData, { createIfMissing = true, identity = null } = {}) {
+    const subscriptionId = subscription.id.startsWith('sub_') 
+        ? subscription.id 
+        : `sub_${subscription.id}`;
+    const docRef = admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId);
+    
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
         
-        // If not in metadata, try to find by customer email
-        if (!userId) {
-            const customer = await stripe.customers.retrieve(subscription.customer);
-            
-            const userQuery = await admin.firestore().collection('users')
-                .where('email', '==', customer.email)
-                .limit(1)
-                .get();
-            
-            if (userQuery.empty) {
-                console.warn('No user found for customer:', customer.email, '- Subscription will not be created in Firebase');
-                return;
+        if (!doc.exists && !createIfMissing) {
+            console.log(`⚠️ Subscription ${subscriptionId} not found in Firebase, skipping ${event.type}`);
+            return null;
+        }
+        
+        const lastEventCreated = doc.exists ? doc.data().stripeEventCreated : null;
+        let source = subscription;
+        
+        if (lastEventCreated && event.created < lastEventCreated) {
+            console.log(`⏭️ Skipping stale ${event.type} (${event.id}) for ${subscriptionId}`);
+            if (identity) {
+                transaction.set(docRef, identity, { merge: true });
             }
-            
-            userId = userQuery.docs[0].id;
+            return null;
+        }
+        
+        if (lastEventCreated && event.created === lastEventCreated) {
+            console.log(`🔄 ${event.type} (${event.id}) has the same timestamp as the last write, re-reading ${subscriptionId} from Stripe`);
+            source = await stripe.subscriptions.retrieve(subscription.id);
+        }
+        
+        const data = {
+            ...identity,
+            ...buildData(source),
+            stripeEventId: event.id,
+            stripeEventCreated: event.created
+        };
+        
+        transaction.set(docRef, data, { merge: true });
+        return data;
+    });
+}
+
+/**
+ * Write subscription fields from a Stripe API response (the create and modify
+ * routes) under the same ordering guard as webhook events. `requestedAt` is when
+ * the Stripe call was made (unix seconds). If the doc already holds an event created
+ * at or after that, it's at least as current as the response, so only `identity`
+ * is written. Otherwise the fields are merged in; stripeEventCreated is left as is,
+ * so the webhook for this change still applies when it arrives.
+ * Resolves to the written fields, or null when only `identity` was written.
+ */
+async function applySubscriptionResponse(subscription, requestedAt, buildData, { identity = null } = {}) {
+    const subscriptionId = subscription.id.startsWith('sub_') 
+        ? subscription.id 
+        : `sub_${subscription.id}`;
+    const docRef = admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId);
+    
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        const lastEventCreated = doc.exists ? doc.data().stripeEventCreated : null;
+        
+        if (lastEventCreated && lastEventCreated >= requestedAt) {
+            console.log(`⏭️ ${subscriptionId} was already updated by a newer webhook event, keeping it`);
+            if (identity) {
+                transaction.set(docRef, identity, { merge: true });
+            }
+            return null;
+        }
+        
+        const data = {
+            ...identity,
+            ...buildData(subscription)
+        };
+        transaction.set(docRef, data, { merge: true });
+        return data;
+    });
+}
+
+/**
+ * The app user a Stripe subscription belongs to: its metadata userId (set when the
+ * app creates it), otherwise the user whose stored customer ID for this mode matches.
+ * Emails aren't used; they can change and parents share them across child accounts.
+ */
+async function findSubscriptionUserId(subscription) {
+    if (subscription.metadata?.userId) {
+        return subscription.metadata.userId;
+    }
+    
+    const customerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id;
+    if (!customerId) {
+        return null;
+    }
+    
+    const userQuery = await admin.firestore().collection('users')
+        .where(STRIPE_CUSTOMER_ID_FIELD, '==', customerId)
+        .limit(1)
+        .get();
+    return userQuery.empty ? null : userQuery.docs[0].id;
+}
+
+async function handleSubscriptionCreated(subscription, event) {
+    try {
+        const userId = await findSubscriptionUserId(subscription);
+        if (!userId) {
+            console.warn('No user found for customer:', subscription.customer, '- Subscription will not be created in Firebase');
+            return;
         }
         
         // Stripe subscription IDs already start with "sub_", so use it directly
@@ -2185,364 +3897,852 @@ async function handleSubscriptionCreated(subscription) {
             ? subscription.id 
             : `sub_${subscription.id}`;
         
-        // Check if subscription already exists in Firebase
-        const existingSub = await admin.firestore().collection('subscriptions').doc(subscriptionId).get();
-        
-        if (existingSub.exists) {
-            console.log('⚠️ Subscription already exists in Firebase, updating...');
-        }
-        
-        // Create or update subscription in Firebase
-        const subscriptionData = {
-            id: subscriptionId,
-            userId: userId,
-            planType: subscription.metadata?.planType || 'unknown',
-            billingCycle: subscription.metadata?.billingCycle || 'monthly',
-            status: subscription.status,
-            stripeSubscriptionId: subscription.id,
-            stripeCustomerId: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id,
-            currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
-            currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
-            cancelAtPeriodEnd: subscription.cancel_at_period_end || false,
-            isTherapyReferral: subscription.metadata?.isTherapyReferral === 'true' || false,
-            createdAt: new Date(subscription.created * 1000).toISOString(),
-            updatedAt: new Date(subscription.updated * 1000).toISOString()
-        };
-        
-        // Use set with merge to update if already exists (from direct creation) or create if new
-        await admin.firestore().collection('subscriptions').doc(subscriptionId).set(subscriptionData, { merge: true });
-        
-        // Create financial record for tax compliance
-        try {
-            const customer = await stripe.customers.retrieve(subscription.customer);
-            const amount = subscription.items.data[0]?.price?.unit_amount / 100 || 0;
-            
-            await createFinancialRecord({
+        // Create or update subscription in Firebase (merges with the doc from direct creation, if any)
+        await applySubscriptionEvent(subscription, event, (source) => ({
+            planType: source.metadata?.planType || 'unknown',
+            billingCycle: source.metadata?.billingCycle || 'monthly',
+            status: source.status,
+            currentPeriodStart: new Date(source.current_period_start * 1000).toISOString(),
+            currentPeriodEnd: new Date(source.current_period_end * 1000).toISOString(),
+            cancelAtPeriodEnd: source.cancel_at_period_end || false,
+            trialStart: source.trial_start ? new Date(source.trial_start * 1000).toISOString() : null,
+            trialEnd: source.trial_end ? new Date(source.trial_end * 1000).toISOString() : null,
+            updatedAt: source.updated 
+                ? new Date(source.updated * 1000).toISOString()
+                : new Date().toISOString()
+        }), {
+            identity: {
+                id: subscriptionId,
                 userId: userId,
-                userEmail: customer.email,
-                userName: null,
                 stripeSubscriptionId: subscription.id,
-                stripeCustomerId: subscription.customer,
-                planType: subscription.metadata?.planType || 'unknown',
-                billingCycle: subscription.metadata?.billingCycle || 'monthly',
-                amount: amount,
-                startDate: new Date(subscription.current_period_start * 1000).toISOString(),
-                endDate: new Date(subscription.current_period_end * 1000).toISOString(),
-                status: subscription.status,
+                stripeCustomerId: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id,
                 isTherapyReferral: subscription.metadata?.isTherapyReferral === 'true' || false,
-                promoCode: subscription.metadata?.promo_code || null
+                therapistId: subscription.metadata?.therapistId || null,
+                referralCode: subscription.metadata?.referralCode || null,
+                createdAt: new Date(subscription.created * 1000).toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error handling subscription created:', error);
+        // Fail the event so it is marked failed and Stripe retries it
+        throw error;
+    }
+}
+
+async function handleSubscriptionUpdated(subscription, event) {
+    try {
+        // Update subscription in Firebase - ALWAYS include planType and billingCycle from metadata
+        // Use set with merge to update or create if doesn't exist
+        const subscriptionData = await applySubscriptionEvent(subscription, event, (source) => {
+            const data = {
+                status: source.status,
+                planType: source.metadata?.planType || 'unknown',
+                billingCycle: source.metadata?.billingCycle || 'monthly',
+                cancelAtPeriodEnd: source.cancel_at_period_end || false,
+                currentPeriodStart: source.current_period_start 
+                    ? new Date(source.current_period_start * 1000).toISOString()
+                    : new Date().toISOString(),
+                currentPeriodEnd: source.current_period_end 
+                    ? new Date(source.current_period_end * 1000).toISOString()
+                    : new Date().toISOString(),
+                trialStart: source.trial_start ? new Date(source.trial_start * 1000).toISOString() : null,
+                trialEnd: source.trial_end ? new Date(source.trial_end * 1000).toISOString() : null,
+                updatedAt: source.updated 
+                    ? new Date(source.updated * 1000).toISOString()
+                    : new Date().toISOString()
+            };
+            
+            // Add canceledAt timestamp if subscription is being canceled
+            if (source.status === 'canceled') {
+                data.canceledAt = new Date().toISOString();
+            }
+            return data;
+        });
+        
+        // Stale event: a newer state has already been written
+        if (!subscriptionData) {
+            return;
+        }
+        
+        await settlePendingChange(subscription);
+        
+        // If this subscription became active (or started a trial), ensure no other active subscriptions for this user
+        if (isEntitledStatus(subscriptionData.status)) {
+            await ensureSingleActiveSubscription(subscription);
+        }
+        
+        // Log status change for monitoring
+        if (subscriptionData.status === 'canceled') {
+            console.log('🚨 Subscription canceled:', subscription.id);
+        } else if (isEntitledStatus(subscriptionData.status) && subscriptionData.cancelAtPeriodEnd) {
+            console.log('⚠️ Subscription set to cancel at period end:', subscription.id);
+        }
+    } catch (error) {
+        console.error('❌ Error handling subscription updated:', error);
+        throw error;
+    }
+}
+
+// Helper function to ensure only one active subscription per user
+async function ensureSingleActiveSubscription(activeSubscription) {
+    try {
+        const userId = await findSubscriptionUserId(activeSubscription);
+        if (!userId) {
+            return;
+        }
+        
+        // Find all other active or trialing subscriptions for this user
+        const otherActiveSubscriptions = await admin.firestore()
+            .collection(SUBSCRIPTIONS_COLLECTION)
+            .where('userId', '==', userId)
+            .where('status', 'in', ENTITLED_STATUSES)
+            .get();
+        
+        if (!otherActiveSubscriptions.empty) {
+            // Cancel other active subscriptions
+            for (const doc of otherActiveSubscriptions.docs) {
+                const subData = doc.data();
+                if (subData.stripeSubscriptionId === activeSubscription.id) {
+                    continue;
+                }
+                
+                try {
+                    // Cancel in Stripe
+                    await stripe.subscriptions.update(subData.stripeSubscriptionId, {
+                        cancel_at_period_end: true
+                    });
+                    
+                    // Update in Firebase
+                    await doc.ref.update({
+                        status: 'canceled',
+                        cancelAtPeriodEnd: true,
+                        updatedAt: new Date().toISOString()
+                    });
+                } catch (cancelError) {
+                    console.error(`Failed to cancel duplicate subscription ${subData.stripeSubscriptionId}:`, cancelError);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error ensuring single active subscription:', error);
+    }
+}
+
+async function handleSubscriptionDeleted(subscription, event) {
+    try {
+        // Update status to canceled instead of deleting
+        await applySubscriptionEvent(subscription, event, () => ({
+            status: 'canceled',
+            canceledAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }), { createIfMissing: false });
+    } catch (error) {
+        console.error('Error handling subscription deleted:', error);
+        throw error;
+    }
+}
+
+async function handleCustomerDeleted(customer) {
+    
+    try {
+        // Find and mark all subscriptions for this customer as canceled
+        const subscriptionsQuery = await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION)
+            .where('stripeCustomerId', '==', customer.id)
+            .get();
+        
+        const batch = admin.firestore().batch();
+        subscriptionsQuery.docs.forEach(doc => {
+            batch.update(doc.ref, {
+                status: 'canceled',
+                updatedAt: new Date().toISOString()
             });
-            console.log('✅ Financial record created from webhook');
-        } catch (financialError) {
-            console.error('❌ Failed to create financial record from webhook:', financialError);
+        });
+        
+        await batch.commit();
+        console.log(`✅ Marked ${subscriptionsQuery.docs.length} subscriptions as canceled for customer`);
+    } catch (error) {
+        console.error('❌ Error handling customer deleted:', error);
+        throw error;
+    }
+}
+
+async function handleInvoicePaymentSucceeded(invoice) {
+    console.log('💳 Invoice payment succeeded:', invoice.id);
+    
+    try {
+        if (invoice.subscription) {
+            // Update subscription status to active if it was past_due
+            const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+            
+            // Record the money actually collected for tax compliance
+            // (first, so it isn't skipped when the subscription doc doesn't exist yet).
+            // A failed write fails the event so Stripe retries it; the record ID is the
+            // invoice ID, so a retry can't record it twice.
+            await recordInvoiceRevenue(invoice, subscription);
+            
+            if (isEntitledStatus(subscription.status)) {
+                // The doc may not exist yet; the subscription events create it
+                const updated = await updateSubscriptionDoc(subscription.id, {
+                    status: subscription.status,
+                    paymentActionRequired: false,
+                    paymentActionUrl: null
+                }, 'invoice.payment_succeeded');
+                if (updated) {
+                    console.log('✅ Subscription reactivated after successful payment');
+                }
+                
+                await dunning.recordPaymentRecovered(subscription.id);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error handling invoice payment succeeded:', error);
+        throw error;
+    }
+}
+
+/**
+ * Write the revenue ledger entry for a paid subscription invoice: what was
+ * charged after coupons and proration, plus discount, tax and the service period.
+ */
+async function recordInvoiceRevenue(invoice, subscription) {
+    let userId = subscription.metadata?.userId;
+    if (!userId) {
+        const subscriptionDoc = await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscription.id).get();
+        userId = subscriptionDoc.exists ? subscriptionDoc.data().userId : null;
+    }
+    
+    // The subscription line carries the service period; the invoice's own period is the previous one
+    const subscriptionLine = invoice.lines?.data.find(line => line.type === 'subscription') || invoice.lines?.data[0];
+    const periodStart = subscriptionLine?.period?.start || invoice.period_start;
+    const periodEnd = subscriptionLine?.period?.end || invoice.period_end;
+    
+    const discountAmount = (invoice.total_discount_amounts || [])
+        .reduce((total, discount) => total + discount.amount, 0);
+    const taxAmount = invoice.tax ?? (invoice.total_tax_amounts || [])
+        .reduce((total, tax) => total + tax.amount, 0);
+    
+    return createFinancialRecord({
+        userId: userId || null,
+        userEmail: invoice.customer_email || null,
+        userName: invoice.customer_name || null,
+        stripeSubscriptionId: subscription.id,
+        stripeCustomerId: typeof invoice.customer === 'string' ? invoice.customer : invoice.customer?.id,
+        stripeInvoiceId: invoice.id,
+        billingReason: invoice.billing_reason,
+        planType: subscription.metadata?.planType || 'unknown',
+        billingCycle: subscription.metadata?.billingCycle || 'monthly',
+        amount: invoice.amount_paid / 100,
+        subtotal: invoice.subtotal / 100,
+        discountAmount: discountAmount / 100,
+        taxAmount: taxAmount / 100,
+        currency: invoice.currency,
+        startDate: new Date(periodStart * 1000).toISOString(),
+        endDate: new Date(periodEnd * 1000).toISOString(),
+        transactionDate: invoice.status_transitions?.paid_at
+            ? new Date(invoice.status_transitions.paid_at * 1000)
+            : new Date(),
+        status: 'paid',
+        isTherapyReferral: subscription.metadata?.isTherapyReferral === 'true',
+        therapistId: subscription.metadata?.therapistId || null,
+        referralCode: subscription.metadata?.referralCode || null,
+        promoCode: subscription.metadata?.promo_code || null
+    });
+}
+
+async function handleInvoicePaymentFailed(invoice) {
+    console.log('💳 Invoice payment failed:', invoice.id);
+    
+    try {
+        if (invoice.subscription) {
+            // Update subscription status to past_due
+            const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+            if (subscription.status === 'past_due') {
+                const updated = await updateSubscriptionDoc(subscription.id, {
+                    status: 'past_due'
+                }, 'invoice.payment_failed');
+                if (updated) {
+                    console.log('⚠️ Subscription marked as past_due after failed payment');
+                }
+                
+                await dunning.recordPaymentFailure(invoice, subscription.id);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error handling invoice payment failed:', error);
+        throw error;
+    }
+}
+
+// MARK: - Subscription Lifecycle Notifications
+
+function formatStripeAmount(amountInCents, currency = 'usd') {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency.toUpperCase()
+    }).format((amountInCents || 0) / 100);
+}
+
+function formatStripeDate(unixSeconds) {
+    return new Date(unixSeconds * 1000).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function planDisplayNameFor(planType) {
+    if (!planType || planType === 'unknown') {
+        return 'FluencyFlow';
+    }
+    return planType.charAt(0).toUpperCase() + planType.slice(1);
+}
+
+/**
+ * Queue a lifecycle email to the Stripe customer's address.
+ * Deleted customers and customers without an email are skipped.
+ */
+async function notifyStripeCustomer(customer, template, data) {
+    const customerId = typeof customer === 'string' ? customer : customer?.id;
+    if (!customerId) {
+        console.warn(`⚠️ No customer to send ${template} email to`);
+        return null;
+    }
+
+    const stripeCustomer = await stripe.customers.retrieve(customerId);
+    if (stripeCustomer.deleted || !stripeCustomer.email) {
+        console.warn(`⚠️ Customer ${customerId} has no email address, skipping ${template} email`);
+        return null;
+    }
+
+    return emailQueue.enqueue({
+        template,
+        data,
+        from: '"FluencyFlow" <subscriptions@fluencyflow.app>',
+        to: stripeCustomer.email
+    });
+}
+
+/**
+ * Send a dunning email (see dunning.js) with a link to update the card
+ */
+async function sendDunningEmail(template, { subscription, dunning: dunningRecord }) {
+    const portalURL = await createCustomerPortalUrl(subscription.stripeCustomerId);
+    return notifyStripeCustomer(subscription.stripeCustomerId, template, {
+        planDisplayName: planDisplayNameFor(subscription.planType),
+        formattedAmount: formatStripeAmount(Math.round(dunningRecord.amountDue * 100), dunningRecord.currency),
+        failedAttempts: dunningRecord.failedAttempts,
+        isFirstReminder: dunningRecord.remindersSent === 1,
+        finalNotice: Boolean(dunningRecord.finalNotice),
+        graceEndDate: formatStripeDate(new Date(dunningRecord.graceEndsAt).getTime() / 1000),
+        portalURL
+    });
+}
+
+// Charges and payment intents only reference their invoice; the invoice knows the subscription
+async function findSubscriptionIdForInvoice(invoice) {
+    if (!invoice) {
+        return null;
+    }
+    if (typeof invoice !== 'string') {
+        return invoice.subscription || null;
+    }
+    const retrieved = await stripe.invoices.retrieve(invoice);
+    return retrieved.subscription || null;
+}
+
+async function handleSubscriptionTrialWillEnd(subscription, event) {
+    try {
+        const subscriptionData = await applySubscriptionEvent(subscription, event, (source) => ({
+            status: source.status,
+            trialEnd: source.trial_end ? new Date(source.trial_end * 1000).toISOString() : null,
+            trialEndingNotifiedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }), { createIfMissing: false });
+
+        // A newer event may have changed the subscription since; only remind trials that are still running
+        const current = subscriptionData ? subscription : await stripe.subscriptions.retrieve(subscription.id);
+        if (current.status !== 'trialing' || current.cancel_at_period_end || !current.trial_end) {
+            console.log(`ℹ️ Trial for ${subscription.id} is no longer ending, skipping reminder`);
+            return;
+        }
+
+        const price = current.items?.data[0]?.price;
+        await notifyStripeCustomer(current.customer, 'trial-ending', {
+            planDisplayName: planDisplayNameFor(current.metadata?.planType),
+            trialEndDate: formatStripeDate(current.trial_end),
+            formattedAmount: formatStripeAmount(price?.unit_amount, price?.currency),
+            renewalFrequency: price?.recurring?.interval || (current.metadata?.billingCycle === 'yearly' ? 'year' : 'month')
+        });
+        console.log('⏰ Trial ending reminder queued for subscription:', subscription.id);
+    } catch (error) {
+        console.error('❌ Error handling subscription trial will end:', error);
+        throw error;
+    }
+}
+
+async function handleSubscriptionPaused(subscription, event) {
+    try {
+        const subscriptionData = await applySubscriptionEvent(subscription, event, (source) => ({
+            status: source.status,
+            pausedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }), { createIfMissing: false });
+
+        if (!subscriptionData) {
+            return;
         }
+
+        await notifyStripeCustomer(subscription.customer, 'subscription-paused', {
+            planDisplayName: planDisplayNameFor(subscription.metadata?.planType)
+        });
+        console.log('⏸️ Subscription paused:', subscription.id);
     } catch (error) {
-        console.error('❌ Error handling subscription created:', error);
+        console.error('❌ Error handling subscription paused:', error);
+        throw error;
     }
 }
 
-async function handleSubscriptionUpdated(subscription) {
+async function handleSubscriptionResumed(subscription, event) {
     try {
-        // Update subscription in Firebase - ALWAYS include planType and billingCycle from metadata
-        const subscriptionData = {
-            status: subscription.status,
-            planType: subscription.metadata?.planType || 'unknown',
-            billingCycle: subscription.metadata?.billingCycle || 'monthly',
-            cancelAtPeriodEnd: subscription.cancel_at_period_end || false,
-            currentPeriodStart: subscription.current_period_start 
-                ? new Date(subscription.current_period_start * 1000).toISOString()
-                : new Date().toISOString(),
-            currentPeriodEnd: subscription.current_period_end 
-                ? new Date(subscription.current_period_end * 1000).toISOString()
-                : new Date().toISOString(),
-            updatedAt: subscription.updated 
-                ? new Date(subscription.updated * 1000).toISOString()
-                : new Date().toISOString()
-        };
-        
-        // Add canceledAt timestamp if subscription is being canceled
-        if (subscription.status === 'canceled') {
-            subscriptionData.canceledAt = new Date().toISOString();
-        }
-        
-        // Stripe subscription IDs already start with "sub_", so use it directly
-        const subscriptionId = subscription.id.startsWith('sub_') 
-            ? subscription.id 
-            : `sub_${subscription.id}`;
-        
-        // Use set with merge to update or create if doesn't exist
-        await admin.firestore().collection('subscriptions').doc(subscriptionId).set(subscriptionData, { merge: true });
-        
-        // If this subscription became active, ensure no other active subscriptions for this user
-        if (subscription.status === 'active') {
-            await ensureSingleActiveSubscription(subscription);
-        }
-        
-        // Log status change for monitoring
-        if (subscription.status === 'canceled') {
-            console.log('🚨 Subscription canceled:', subscription.id);
-        } else if (subscription.status === 'active' && subscription.cancel_at_period_end) {
-            console.log('⚠️ Subscription set to cancel at period end:', subscription.id);
+        const subscriptionData = await applySubscriptionEvent(subscription, event, (source) => ({
+            status: source.status,
+            currentPeriodStart: new Date(source.current_period_start * 1000).toISOString(),
+            currentPeriodEnd: new Date(source.current_period_end * 1000).toISOString(),
+            resumedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }), { createIfMissing: false });
+
+        if (!subscriptionData) {
+            return;
         }
+
+        await notifyStripeCustomer(subscription.customer, 'subscription-resumed', {
+            planDisplayName: planDisplayNameFor(subscription.metadata?.planType),
+            nextBillingDate: subscription.current_period_end ? formatStripeDate(subscription.current_period_end) : null
+        });
+        console.log('▶️ Subscription resumed:', subscription.id);
     } catch (error) {
-        console.error('❌ Error handling subscription updated:', error);
+        console.error('❌ Error handling subscription resumed:', error);
+        throw error;
     }
 }
 
-// Helper function to ensure only one active subscription per user
-async function ensureSingleActiveSubscription(activeSubscription) {
+// Sent ahead of each renewal (Stripe's "upcoming renewal events" setting controls how far ahead)
+async function handleInvoiceUpcoming(invoice) {
     try {
-        // Get customer email to find userId
-        const customer = await stripe.customers.retrieve(activeSubscription.customer);
-        
-        // Find userId from customer email
-        const userQuery = await admin.firestore().collection('users')
-            .where('email', '==', customer.email)
-            .limit(1)
-            .get();
-        
-        if (userQuery.empty) {
+        if (!invoice.subscription) {
             return;
         }
-        
-        const userId = userQuery.docs[0].id;
-        
-        // Find all other active subscriptions for this user
-        const otherActiveSubscriptions = await admin.firestore()
-            .collection('subscriptions')
-            .where('userId', '==', userId)
-            .where('status', '==', 'active')
-            .where('stripeSubscriptionId', '!=', activeSubscription.id)
-            .get();
-        
-        if (!otherActiveSubscriptions.empty) {
-            // Cancel other active subscriptions
-            for (const doc of otherActiveSubscriptions.docs) {
-                const subData = doc.data();
-                
-                try {
-                    // Cancel in Stripe
-                    await stripe.subscriptions.update(subData.stripeSubscriptionId, {
-                        cancel_at_period_end: true
-                    });
-                    
-                    // Update in Firebase
-                    await doc.ref.update({
-                        status: 'canceled',
-                        cancelAtPeriodEnd: true,
-                        updatedAt: new Date().toISOString()
-                    });
-                } catch (cancelError) {
-                    console.error(`Failed to cancel duplicate subscription ${subData.stripeSubscriptionId}:`, cancelError);
-                }
+
+        const renewalAt = invoice.next_payment_attempt || invoice.period_end;
+        await updateSubscriptionDoc(invoice.subscription, {
+            upcomingInvoice: {
+                amountDue: invoice.amount_due / 100,
+                currency: invoice.currency,
+                renewalDate: renewalAt ? new Date(renewalAt * 1000).toISOString() : null
             }
+        }, 'invoice.upcoming');
+
+        if (!invoice.amount_due || !renewalAt) {
+            return;
         }
+
+        await notifyStripeCustomer(invoice.customer, 'renewal-reminder', {
+            formattedAmount: formatStripeAmount(invoice.amount_due, invoice.currency),
+            renewalDate: formatStripeDate(renewalAt)
+        });
+        console.log('📅 Renewal reminder queued for subscription:', invoice.subscription);
     } catch (error) {
-        console.error('❌ Error ensuring single active subscription:', error);
+        console.error('❌ Error handling invoice upcoming:', error);
+        throw error;
     }
 }
 
-async function handleSubscriptionDeleted(subscription) {
+async function handleInvoiceFinalized(invoice) {
     try {
-        // Stripe subscription IDs already start with "sub_", so use it directly
-        const subscriptionId = subscription.id.startsWith('sub_') 
-            ? subscription.id 
-            : `sub_${subscription.id}`;
-        // Update status to canceled instead of deleting
-        await admin.firestore().collection('subscriptions').doc(subscriptionId).update({
-            status: 'canceled',
-            canceledAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+        if (!invoice.subscription) {
+            return;
+        }
+
+        await updateSubscriptionDoc(invoice.subscription, {
+            latestInvoice: {
+                id: invoice.id,
+                number: invoice.number || null,
+                status: invoice.status,
+                amountDue: invoice.amount_due / 100,
+                currency: invoice.currency,
+                hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+                finalizedAt: invoice.status_transitions?.finalized_at
+                    ? new Date(invoice.status_transitions.finalized_at * 1000).toISOString()
+                    : new Date().toISOString()
+            }
+        }, 'invoice.finalized');
+
+        // The first invoice is covered by the subscription confirmation email
+        if (invoice.billing_reason === 'subscription_create' || !invoice.amount_due) {
+            return;
+        }
+
+        await notifyStripeCustomer(invoice.customer, 'invoice-finalized', {
+            invoiceNumber: invoice.number,
+            formattedAmount: formatStripeAmount(invoice.amount_due, invoice.currency),
+            invoiceURL: invoice.hosted_invoice_url
         });
+        console.log('🧾 Invoice notice queued:', invoice.id);
     } catch (error) {
-        console.error('Error handling subscription deleted:', error);
+        console.error('❌ Error handling invoice finalized:', error);
+        throw error;
     }
 }
 
-async function handleCustomerDeleted(customer) {
-    
+// 3D Secure and similar bank checks on renewal payments: the customer has to confirm on the hosted invoice page
+async function handlePaymentIntentRequiresAction(paymentIntent) {
     try {
-        // Find and mark all subscriptions for this customer as canceled
-        const subscriptionsQuery = await admin.firestore().collection('subscriptions')
-            .where('stripeCustomerId', '==', customer.id)
-            .get();
-        
-        const batch = admin.firestore().batch();
-        subscriptionsQuery.docs.forEach(doc => {
-            batch.update(doc.ref, {
-                status: 'canceled',
-                updatedAt: new Date().toISOString()
-            });
+        if (!paymentIntent.invoice) {
+            // Checkout payments are confirmed in the app, which handles the action itself
+            return;
+        }
+
+        const invoice = typeof paymentIntent.invoice === 'string'
+            ? await stripe.invoices.retrieve(paymentIntent.invoice)
+            : paymentIntent.invoice;
+        if (!invoice.subscription) {
+            return;
+        }
+
+        await updateSubscriptionDoc(invoice.subscription, {
+            paymentActionRequired: true,
+            paymentActionUrl: invoice.hosted_invoice_url || null,
+            paymentActionRequiredAt: new Date().toISOString()
+        }, 'payment_intent.requires_action');
+
+        await notifyStripeCustomer(paymentIntent.customer || invoice.customer, 'payment-action-required', {
+            formattedAmount: formatStripeAmount(paymentIntent.amount, paymentIntent.currency),
+            paymentURL: invoice.hosted_invoice_url
         });
-        
-        await batch.commit();
-        console.log(`✅ Marked ${subscriptionsQuery.docs.length} subscriptions as canceled for customer`);
+        console.log('🔐 Payment action required for subscription:', invoice.subscription);
     } catch (error) {
-        console.error('❌ Error handling customer deleted:', error);
+        console.error('❌ Error handling payment intent requires action:', error);
+        throw error;
     }
 }
 
-async function handleInvoicePaymentSucceeded(invoice) {
-    console.log('💳 Invoice payment succeeded:', invoice.id);
-    
+async function handleChargeRefunded(charge, event) {
     try {
-        if (invoice.subscription) {
-            // Update subscription status to active if it was past_due
-            const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-            if (subscription.status === 'active') {
-                // Stripe subscription IDs already start with "sub_", so use it directly
-                const subscriptionId = subscription.id.startsWith('sub_') 
-                    ? subscription.id 
-                    : `sub_${subscription.id}`;
-                await admin.firestore().collection('subscriptions').doc(subscriptionId).update({
-                    status: 'active',
-                    updatedAt: new Date().toISOString()
-                });
-                console.log('✅ Subscription reactivated after successful payment');
-            }
+        // amount_refunded is cumulative, so the previous value tells us how much this refund was for
+        const previouslyRefunded = event.data.previous_attributes?.amount_refunded ?? 0;
+        const refundAmount = charge.amount_refunded - previouslyRefunded;
+
+        const subscriptionId = await findSubscriptionIdForInvoice(charge.invoice);
+        if (subscriptionId) {
+            await updateSubscriptionDoc(subscriptionId, {
+                lastRefund: {
+                    chargeId: charge.id,
+                    amount: refundAmount / 100,
+                    totalRefunded: charge.amount_refunded / 100,
+                    currency: charge.currency,
+                    fullyRefunded: charge.refunded === true,
+                    refundedAt: new Date(event.created * 1000).toISOString()
+                }
+            }, 'charge.refunded');
+
+            // Adjustment IDs come from the refund, so a retried event can't record it twice
+            await recordRefundAdjustments(charge, subscriptionId);
+        }
+
+        if (refundAmount > 0) {
+            await notifyStripeCustomer(charge.customer, 'refund-issued', {
+                formattedAmount: formatStripeAmount(refundAmount, charge.currency)
+            });
         }
+        console.log('💸 Charge refunded:', charge.id);
     } catch (error) {
-        console.error('❌ Error handling invoice payment succeeded:', error);
+        console.error('❌ Error handling charge refunded:', error);
+        throw error;
     }
 }
 
-async function handleInvoicePaymentFailed(invoice) {
-    console.log('💳 Invoice payment failed:', invoice.id);
-    
+/**
+ * Record one negative adjustment per refund on the charge. Refunds already
+ * recorded by an earlier event are skipped, so partial refunds each get their own record.
+ */
+async function recordRefundAdjustments(charge, stripeSubscriptionId) {
+    const originalRecord = await findOriginalFinancialRecord(stripeSubscriptionId, invoiceIdOf(charge));
+    if (!originalRecord) {
+        console.warn(`⚠️ No financial record found for subscription ${stripeSubscriptionId}, refund on ${charge.id} not recorded`);
+        return;
+    }
+
+    const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+    for (const refund of refunds.data) {
+        if (refund.status === 'failed' || refund.status === 'canceled') {
+            continue;
+        }
+
+        await createFinancialAdjustment({
+            adjustmentId: refund.id,
+            originalRecord,
+            adjustmentType: 'refund',
+            reasonCode: refund.reason,
+            amount: -refund.amount / 100,
+            currency: refund.currency,
+            stripeChargeId: charge.id,
+            stripeRefundId: refund.id,
+            transactionDate: new Date(refund.created * 1000)
+        });
+    }
+}
+
+async function resolveDisputedCharge(dispute) {
+    const charge = typeof dispute.charge === 'string'
+        ? await stripe.charges.retrieve(dispute.charge)
+        : dispute.charge;
+    const subscriptionId = await findSubscriptionIdForInvoice(charge.invoice);
+    return { charge, subscriptionId };
+}
+
+// Disputes go to the billing team rather than the customer, who is the one disputing
+async function handleChargeDisputeCreated(dispute) {
     try {
-        if (invoice.subscription) {
-            // Update subscription status to past_due
-            const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-            if (subscription.status === 'past_due') {
-                // Stripe subscription IDs already start with "sub_", so use it directly
-                const subscriptionId = subscription.id.startsWith('sub_') 
-                    ? subscription.id 
-                    : `sub_${subscription.id}`;
-                await admin.firestore().collection('subscriptions').doc(subscriptionId).update({
-                    status: 'past_due',
-                    updatedAt: new Date().toISOString()
-                });
-                console.log('⚠️ Subscription marked as past_due after failed payment');
-            }
+        const { charge, subscriptionId } = await resolveDisputedCharge(dispute);
+
+        if (subscriptionId) {
+            await updateSubscriptionDoc(subscriptionId, {
+                dispute: {
+                    id: dispute.id,
+                    chargeId: charge.id,
+                    amount: dispute.amount / 100,
+                    currency: dispute.currency,
+                    reason: dispute.reason,
+                    status: dispute.status,
+                    evidenceDueBy: dispute.evidence_details?.due_by
+                        ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+                        : null,
+                    createdAt: new Date(dispute.created * 1000).toISOString()
+                }
+            }, 'charge.dispute.created');
         }
+
+        await emailQueue.enqueue({
+            template: 'dispute-alert',
+            data: {
+                disputeId: dispute.id,
+                formattedAmount: formatStripeAmount(dispute.amount, dispute.currency),
+                reason: dispute.reason,
+                subscriptionId: subscriptionId || 'None',
+                evidenceDueDate: dispute.evidence_details?.due_by
+                    ? formatStripeDate(dispute.evidence_details.due_by)
+                    : 'Not set'
+            },
+            from: '"FluencyFlow" <subscriptions@fluencyflow.app>',
+            to: process.env.BILLING_ALERT_EMAIL || 'support@fluencyflow.app'
+        });
+        console.log('🚨 Charge disputed:', dispute.id);
     } catch (error) {
-        console.error('❌ Error handling invoice payment failed:', error);
+        console.error('❌ Error handling charge dispute created:', error);
+        throw error;
     }
 }
 
-// Delete user account endpoint
-app.post('/api/delete-account', async (req, res) => {
+/**
+ * Merge billing fields into an existing subscription doc.
+ * Used by invoice, payment and charge events, which don't carry the subscription's
+ * own state, so they never create the doc. Resolves to false if it doesn't exist yet.
+ */
+async function updateSubscriptionDoc(stripeSubscriptionId, data, eventType) {
+    const subscriptionId = stripeSubscriptionId.startsWith('sub_')
+        ? stripeSubscriptionId
+        : `sub_${stripeSubscriptionId}`;
+    const docRef = admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+        console.log(`⚠️ Subscription ${subscriptionId} not found in Firebase, skipping ${eventType} update`);
+        return false;
+    }
+
+    await docRef.update({
+        ...data,
+        updatedAt: new Date().toISOString()
+    });
+    return true;
+}
+
+function invoiceIdOf(charge) {
+    return typeof charge.invoice === 'string' ? charge.invoice : charge.invoice?.id || null;
+}
+
+/**
+ * Track a dispute through to its outcome. Stripe moves money on funds_withdrawn
+ * (the chargeback) and funds_reinstated (a won dispute), so those are the events
+ * that create financial adjustments; the others only update the dispute status.
+ */
+async function handleChargeDisputeChanged(dispute, event) {
     try {
-        // Wait for Firebase to be initialized
-        while (!firebaseInitialized) {
-            await new Promise(resolve => setTimeout(resolve, 100));
+        const { charge, subscriptionId } = await resolveDisputedCharge(dispute);
+        if (!subscriptionId) {
+            return;
         }
-        
-        const { user_id } = req.body;
-        
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required' });
+
+        await updateSubscriptionDoc(subscriptionId, {
+            'dispute.id': dispute.id,
+            'dispute.status': dispute.status,
+            'dispute.statusUpdatedAt': new Date(event.created * 1000).toISOString()
+        }, event.type);
+
+        if (event.type !== 'charge.dispute.funds_withdrawn' && event.type !== 'charge.dispute.funds_reinstated') {
+            return;
         }
-        
-        console.log('🗑️ Deleting account for user:', user_id);
-        
-        // 1. Anonymize financial records (keep for 7 years, but remove PII)
-        try {
-            await anonymizeFinancialRecords(user_id);
-            console.log('✅ Financial records anonymized');
-        } catch (financialError) {
-            console.error('❌ Failed to anonymize financial records:', financialError);
-            // Continue with deletion even if anonymization fails
+
+        const originalRecord = await findOriginalFinancialRecord(subscriptionId, invoiceIdOf(charge));
+        if (!originalRecord) {
+            console.warn(`⚠️ No financial record found for subscription ${subscriptionId}, dispute ${dispute.id} not recorded`);
+            return;
         }
-        
-        // 2. Cancel any active subscriptions in Stripe
-        try {
-            const subscriptionDocs = await admin.firestore()
-                .collection('subscriptions')
-                .where('userId', '==', user_id)
-                .where('status', '==', 'active')
-                .get();
-            
-            for (const doc of subscriptionDocs.docs) {
-                const subData = doc.data();
-                if (subData.stripeSubscriptionId && !subData.stripeSubscriptionId.includes('mock')) {
-                    try {
-                        await stripe.subscriptions.cancel(subData.stripeSubscriptionId);
-                        console.log('✅ Cancelled Stripe subscription:', subData.stripeSubscriptionId);
-                    } catch (stripeError) {
-                        console.error('❌ Failed to cancel subscription:', stripeError);
-                    }
+
+        const withdrawn = event.type === 'charge.dispute.funds_withdrawn';
+        await createFinancialAdjustment({
+            adjustmentId: `${dispute.id}_${withdrawn ? 'withdrawn' : 'reinstated'}`,
+            originalRecord,
+            adjustmentType: withdrawn ? 'dispute' : 'dispute_reversal',
+            reasonCode: dispute.reason,
+            amount: (withdrawn ? -dispute.amount : dispute.amount) / 100,
+            currency: dispute.currency,
+            stripeChargeId: charge.id,
+            stripeDisputeId: dispute.id,
+            transactionDate: new Date(event.created * 1000)
+        });
+    } catch (error) {
+        console.error(`❌ Error handling ${event.type}:`, error);
+        throw error;
+    }
+}
+
+// Subscription statuses Stripe will never bill again
+const ENDED_SUBSCRIPTION_STATUSES = ['canceled', 'incomplete_expired'];
+
+/**
+ * Delete a user's Firestore data and cancel their Stripe subscriptions.
+ * Financial records are anonymized rather than deleted (kept 7 years for tax compliance).
+ * Used by account deletion and by parental consent revocation.
+ */
+async function deleteUserAccountData(user_id) {
+    console.log('🗑️ Deleting account for user:', user_id);
+    
+    // 1. Anonymize financial records (keep for 7 years, but remove PII)
+    try {
+        await anonymizeFinancialRecords(user_id);
+        console.log('✅ Financial records anonymized');
+    } catch (financialError) {
+        console.error('❌ Failed to anonymize financial records:', financialError);
+        // Continue with deletion even if anonymization fails
+    }
+    
+    // 2. Cancel every subscription Stripe may still bill or retry. A failed cancel
+    // fails the deletion, so it is retried before the subscription docs are gone
+    const subscriptionDocs = await admin.firestore()
+        .collection(SUBSCRIPTIONS_COLLECTION)
+        .where('userId', '==', user_id)
+        .where('status', 'not-in', ENDED_SUBSCRIPTION_STATUSES)
+        .get();
+    
+    for (const doc of subscriptionDocs.docs) {
+        const subData = doc.data();
+        if (subData.stripeSubscriptionId && !subData.stripeSubscriptionId.includes('mock')) {
+            try {
+                await stripe.subscriptions.cancel(subData.stripeSubscriptionId);
+                console.log('✅ Cancelled Stripe subscription:', subData.stripeSubscriptionId);
+            } catch (stripeError) {
+                if (stripeError.code !== 'resource_missing') {
+                    throw stripeError;
                 }
+                console.warn('⚠️ Stripe subscription already gone:', subData.stripeSubscriptionId);
             }
-        } catch (cancelError) {
-            console.error('❌ Error cancelling subscriptions:', cancelError);
         }
-        
-        // 3. Delete user data from Firebase collections
-        // NOTE: The iOS app handles Firebase Auth deletion and local file cleanup
-        // This endpoint only handles Firestore data deletion
-        
-        const batch = admin.firestore().batch();
-        
-        // Delete subscriptions
-        const subsSnapshot = await admin.firestore()
-            .collection('subscriptions')
-            .where('userId', '==', user_id)
-            .get();
-        subsSnapshot.docs.forEach(doc => batch.delete(doc.ref));
-        
-        // Delete practice sessions
-        const sessionsSnapshot = await admin.firestore()
-            .collection('practice_sessions')
-            .where('userId', '==', user_id)
-            .get();
-        sessionsSnapshot.docs.forEach(doc => batch.delete(doc.ref));
-        
-        // Delete custom personas
-        const personasSnapshot = await admin.firestore()
-            .collection('custom_personas')
-            .where('userId', '==', user_id)
-            .get();
-        personasSnapshot.docs.forEach(doc => batch.delete(doc.ref));
-        
-        // Delete user activity
-        const activitySnapshot = await admin.firestore()
-            .collection('user_activity')
-            .where('userId', '==', user_id)
+    }
+    
+    // 3. Delete user data from Firebase collections
+    // NOTE: The iOS app handles Firebase Auth deletion and local file cleanup
+    // This endpoint only handles Firestore data deletion
+    
+    const batch = admin.firestore().batch();
+    
+    // Delete subscriptions
+    const subsSnapshot = await admin.firestore()
+        .collection(SUBSCRIPTIONS_COLLECTION)
+        .where('userId', '==', user_id)
+        .get();
+    subsSnapshot.docs.forEach(doc => batch.delete(doc.ref));
+    
+    // Delete practice sessions
+    const sessionsSnapshot = await admin.firestore()
+        .collection('practice_sessions')
+        .where('userId', '==', user_id)
+        .get();
+    sessionsSnapshot.docs.forEach(doc => batch.delete(doc.ref));
+    
+    // Delete custom personas
+    const personasSnapshot = await admin.firestore()
+        .collection('custom_personas')
+        .where('userId', '==', user_id)
+        .get();
+    personasSnapshot.docs.forEach(doc => batch.delete(doc.ref));
+    
+    // Delete user activity
+    const activitySnapshot = await admin.firestore()
+        .collection('user_activity')
+        .where('userId', '==', user_id)
+        .get();
+    activitySnapshot.docs.forEach(doc => batch.delete(doc.ref));
+    
+    // Commit batch deletions
+    await batch.commit();
+    console.log('✅ Deleted Firestore data for user:', user_id);
+    
+    // 4. Delete usage tracking data
+    try {
+        const monthlyUsage = await admin.firestore()
+            .collection('usage')
+            .doc(user_id)
+            .collection('monthly')
             .get();
-        activitySnapshot.docs.forEach(doc => batch.delete(doc.ref));
-        
-        // Commit batch deletions
-        await batch.commit();
-        console.log('✅ Deleted Firestore data for user:', user_id);
         
-        // 4. Delete usage tracking data
-        try {
-            const monthlyUsage = await admin.firestore()
-                .collection('usage')
-                .doc(user_id)
-                .collection('monthly')
-                .get();
-            
-            const usageBatch = admin.firestore().batch();
-            monthlyUsage.docs.forEach(doc => usageBatch.delete(doc.ref));
-            await usageBatch.commit();
-            
-            await admin.firestore().collection('usage').doc(user_id).delete();
-            console.log('✅ Deleted usage tracking data');
-        } catch (usageError) {
-            console.error('❌ Error deleting usage data:', usageError);
-        }
+        const usageBatch = admin.firestore().batch();
+        monthlyUsage.docs.forEach(doc => usageBatch.delete(doc.ref));
+        await usageBatch.commit();
         
-        // 5. Delete user document (last)
-        try {
-            await admin.firestore().collection('users').doc(user_id).delete();
-            console.log('✅ Deleted user document');
-        } catch (userError) {
-            console.error('❌ Error deleting user document:', userError);
-        }
+        await admin.firestore().collection('usage').doc(user_id).delete();
+        console.log('✅ Deleted usage tracking data');
+    } catch (usageError) {
+        console.error('❌ Error deleting usage data:', usageError);
+    }
+    
+    // 5. Leave the user's household, or dissolve the one they own
+    try {
+        await removeHouseholdMember(user_id);
+        const released = await dissolveHousehold(user_id);
+        console.log(`✅ Household data removed (${released} child profiles released)`);
+    } catch (householdError) {
+        console.error('❌ Error removing household data:', householdError);
+    }
+    
+    // 6. Delete user document (last)
+    try {
+        await admin.firestore().collection('users').doc(user_id).delete();
+        console.log('✅ Deleted user document');
+    } catch (userError) {
+        console.error('❌ Error deleting user document:', userError);
+    }
+    
+    console.log('✅✅✅ Account deletion completed for user:', user_id);
+}
+
+// Delete user account endpoint
+app.post('/api/delete-account', requireFirebaseAuth, async (req, res) => {
+    try {
+        const user_id = req.user.uid;
         
-        console.log('✅✅✅ Account deletion completed for user:', user_id);
+        await deleteUserAccountData(user_id);
         
         res.json({ 
             success: true, 
@@ -2590,13 +4790,24 @@ app.listen(PORT, () => {
     console.log(`🚀 FluencyFlow backend server running on port ${PORT}`);
     console.log(`📱 Health check: http://localhost:${PORT}/api/health`);
     console.log(`📧 Email verification: http://localhost:${PORT}/api/send-verification-email`);
+    console.log(`🚫 Revoke Consent: http://localhost:${PORT}/api/revoke-parental-consent`);
     console.log(`💳 Payment intent: http://localhost:${PORT}/api/create-payment-intent`);
+    console.log(`🗂️ Plans: http://localhost:${PORT}/api/plans`);
+    console.log(`🎟️ Entitlements: http://localhost:${PORT}/api/entitlements`);
+    console.log(`⏱️ Usage: http://localhost:${PORT}/api/usage`);
+    console.log(`👪 Household: http://localhost:${PORT}/api/household`);
     console.log(`📋 Subscription: http://localhost:${PORT}/api/create-subscription`);
     console.log(`🔄 Modify Subscription: http://localhost:${PORT}/api/modify-subscription`);
+    console.log(`🧾 Preview Subscription Change: http://localhost:${PORT}/api/preview-subscription-change`);
+    console.log(`🗓️ Cancel Scheduled Change: http://localhost:${PORT}/api/cancel-scheduled-change`);
     console.log(`❌ Cancel Subscription: http://localhost:${PORT}/api/cancel-subscription`);
     console.log(`🔄 Reactivate Subscription: http://localhost:${PORT}/api/reactivate-subscription`);
     console.log(`💳 Setup Intent: http://localhost:${PORT}/api/create-setup-intent`);
     console.log(`🔗 Stripe Webhook: http://localhost:${PORT}/api/stripe-webhook`);
     console.log(`🗑️ Delete Account: http://localhost:${PORT}/api/delete-account`);
     console.log(`🧹 Cleanup Financial Records: http://localhost:${PORT}/api/cleanup-financial-records`);
+    console.log(`📊 Revenue Report: http://localhost:${PORT}/api/admin/revenue-report`);
+    console.log(`🔍 Reconcile Subscriptions: http://localhost:${PORT}/api/admin/reconcile-subscriptions`);
+    console.log(`🩺 Therapists: http://localhost:${PORT}/api/admin/therapists`);
+    console.log(`🤝 Therapist Referral Report: http://localhost:${PORT}/api/therapist/referral-report`);
 });
@@ -0,0 +1,71 @@
+/**
+ * Stripe Mode
+ * The server runs against exactly one Stripe mode, set with STRIPE_MODE
+ * ('live' or 'test'; defaults to live when NODE_ENV=production and test otherwise).
+ * There is no fallback between modes: a missing or wrong-mode key is a startup error.
+ *
+ * Firestore collections holding Stripe data are namespaced by mode. Live mode uses
+ * the plain collection names; test mode prefixes them with `test_`, so test
+ * subscriptions and revenue never land next to live ones.
+ *
+ * A Stripe customer only exists in the mode that created it, so users/{uid} keeps
+ * one customer ID per mode in `stripeCustomerIds.{mode}`.
+ */
+
+const STRIPE_MODES = ['live', 'test'];
+
+function resolveStripeMode() {
+    const mode = (process.env.STRIPE_MODE || (process.env.NODE_ENV === 'production' ? 'live' : 'test')).toLowerCase();
+    if (!STRIPE_MODES.includes(mode)) {
+        throw new Error(`Unknown STRIPE_MODE "${mode}". Expected one of: ${STRIPE_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+const STRIPE_MODE = resolveStripeMode();
+
+/**
+ * Name of a Stripe-data collection in the active mode
+ */
+function stripeCollection(name) {
+    return STRIPE_MODE === 'live' ? name : `test_${name}`;
+}
+
+const SUBSCRIPTIONS_COLLECTION = stripeCollection('subscriptions');
+const FINANCIAL_RECORDS_COLLECTION = stripeCollection('financial_records');
+
+// users/{uid} field (a Firestore field path) holding the active mode's Stripe customer ID
+const STRIPE_CUSTOMER_ID_FIELD = `stripeCustomerIds.${STRIPE_MODE}`;
+
+/**
+ * The active mode's Stripe customer ID from a users/{uid} doc's data, or null
+ */
+function stripeCustomerIdOf(userData) {
+    return userData?.stripeCustomerIds?.[STRIPE_MODE] || null;
+}
+
+/**
+ * Whether a Stripe secret or restricted key belongs to `mode`
+ */
+function stripeKeyMatchesMode(key, mode = STRIPE_MODE) {
+    return typeof key === 'string' && (key.startsWith(`sk_${mode}_`) || key.startsWith(`rk_${mode}_`));
+}
+
+/**
+ * Whether a webhook event was sent by the Stripe mode this server runs in
+ */
+function eventMatchesMode(event) {
+    return (event.livemode === true) === (STRIPE_MODE === 'live');
+}
+
+module.exports = {
+    STRIPE_MODES,
+    STRIPE_MODE,
+    SUBSCRIPTIONS_COLLECTION,
+    FINANCIAL_RECORDS_COLLECTION,
+    STRIPE_CUSTOMER_ID_FIELD,
+    stripeCollection,
+    stripeCustomerIdOf,
+    stripeKeyMatchesMode,
+    eventMatchesMode
+};
@@ -0,0 +1,269 @@
+/**
+ * Stripe to Firestore Subscription Reconciliation
+ * Pages through every Stripe subscription, compares it with the `subscriptions`
+ * collection and reports drift left behind by missed or failed webhooks:
+ *   missing_doc        - Stripe subscription with no Firestore doc
+ *   status_mismatch    - Firestore status differs from Stripe
+ *   plan_type_mismatch - Firestore planType differs from the subscription's metadata
+ *   orphan_doc         - Firestore doc whose subscription doesn't exist in Stripe
+ * With `repair`, Firestore is brought back in line with Stripe (Stripe is the
+ * source of truth). Orphan docs are marked canceled, never deleted.
+ *
+ * subscription_reconciliation_runs/{runId} records every run and the drift it found
+ * (collections are namespaced by Stripe mode, see stripe-mode.js).
+ */
+
+const admin = require('firebase-admin');
+const { SUBSCRIPTIONS_COLLECTION, STRIPE_CUSTOMER_ID_FIELD, stripeCollection } = require('./stripe-mode');
+
+const RECONCILIATION_RUNS_COLLECTION = stripeCollection('subscription_reconciliation_runs');
+
+// Keeps a run record well under Firestore's 1 MiB document limit
+const MAX_RECORDED_DRIFT = 500;
+
+const DRIFT_TYPES = {
+    MISSING_DOC: 'missing_doc',
+    STATUS_MISMATCH: 'status_mismatch',
+    PLAN_TYPE_MISMATCH: 'plan_type_mismatch',
+    ORPHAN_DOC: 'orphan_doc'
+};
+
+let running = false;
+
+function subscriptionDocId(stripeSubscriptionId) {
+    return stripeSubscriptionId.startsWith('sub_')
+        ? stripeSubscriptionId
+        : `sub_${stripeSubscriptionId}`;
+}
+
+function customerIdOf(subscription) {
+    return typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id;
+}
+
+// Same lookup the webhook uses: metadata first, then the user's stored customer ID for this mode
+async function findUserId(subscription) {
+    if (subscription.metadata?.userId) {
+        return subscription.metadata.userId;
+    }
+
+    const userQuery = await admin.firestore().collection('users')
+        .where(STRIPE_CUSTOMER_ID_FIELD, '==', customerIdOf(subscription))
+        .limit(1)
+        .get();
+    return userQuery.empty ? null : userQuery.docs[0].id;
+}
+
+// Subscription fields as the webhook handlers write them
+function subscriptionFields(subscription) {
+    const data = {
+        status: subscription.status,
+        planType: subscription.metadata?.planType || 'unknown',
+        billingCycle: subscription.metadata?.billingCycle || 'monthly',
+        cancelAtPeriodEnd: subscription.cancel_at_period_end || false,
+        currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
+        trialStart: subscription.trial_start ? new Date(subscription.trial_start * 1000).toISOString() : null,
+        trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
+        reconciledAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        // Live Stripe state is newer than any event created before now, so those are skipped if redelivered
+        stripeEventCreated: Math.floor(Date.now() / 1000)
+    };
+    if (subscription.status === 'canceled' && subscription.canceled_at) {
+        data.canceledAt = new Date(subscription.canceled_at * 1000).toISOString();
+    }
+    return data;
+}
+
+async function repairMissingDoc(subscription) {
+    const userId = await findUserId(subscription);
+    if (!userId) {
+        return { repaired: false, note: 'No user found for this subscription' };
+    }
+
+    const docId = subscriptionDocId(subscription.id);
+    await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(docId).set({
+        id: docId,
+        userId,
+        stripeSubscriptionId: subscription.id,
+        stripeCustomerId: customerIdOf(subscription),
+        isTherapyReferral: subscription.metadata?.isTherapyReferral === 'true',
+        therapistId: subscription.metadata?.therapistId || null,
+        referralCode: subscription.metadata?.referralCode || null,
+        createdAt: new Date(subscription.created * 1000).toISOString(),
+        ...subscriptionFields(subscription)
+    }, { merge: true });
+    return { repaired: true };
+}
+
+/**
+ * Compare every Stripe subscription with Firestore and record the run.
+ * `stripe` is the initialized Stripe client. Resolves to the run record.
+ * Only one run at a time per instance; a concurrent call throws with code `reconciliation_in_progress`.
+ */
+async function reconcileSubscriptions(stripe, { repair = false, triggeredBy = 'manual' } = {}) {
+    if (running) {
+        const error = new Error('A reconciliation run is already in progress');
+        error.code = 'reconciliation_in_progress';
+        throw error;
+    }
+    running = true;
+
+    const runRef = admin.firestore().collection(RECONCILIATION_RUNS_COLLECTION).doc();
+    const run = {
+        runId: runRef.id,
+        repair,
+        triggeredBy,
+        status: 'running',
+        stripeSubscriptionCount: 0,
+        firestoreSubscriptionCount: 0,
+        driftCount: 0,
+        driftCounts: Object.fromEntries(Object.values(DRIFT_TYPES).map(type => [type, 0])),
+        repairedCount: 0,
+        drift: [],
+        driftTruncated: false,
+        error: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+
+    function recordDrift(entry) {
+        run.driftCount += 1;
+        run.driftCounts[entry.type] += 1;
+        if (entry.repaired) {
+            run.repairedCount += 1;
+        }
+        if (run.drift.length < MAX_RECORDED_DRIFT) {
+            run.drift.push(entry);
+        } else {
+            run.driftTruncated = true;
+        }
+    }
+
+    try {
+        await runRef.set(run);
+        console.log(`🔍 Subscription reconciliation ${run.runId} started (repair: ${repair})`);
+
+        const snapshot = await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).get();
+        const firestoreDocs = new Map(snapshot.docs.map(doc => [doc.data().stripeSubscriptionId || doc.id, doc]));
+        run.firestoreSubscriptionCount = snapshot.size;
+
+        const seen = new Set();
+        for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100 })) {
+            run.stripeSubscriptionCount += 1;
+            seen.add(subscription.id);
+
+            const doc = firestoreDocs.get(subscription.id);
+            if (!doc) {
+                const entry = {
+                    type: DRIFT_TYPES.MISSING_DOC,
+                    stripeSubscriptionId: subscription.id,
+                    stripeStatus: subscription.status,
+                    repaired: false
+                };
+                if (repair) {
+                    Object.assign(entry, await repairMissingDoc(subscription));
+                }
+                recordDrift(entry);
+                continue;
+            }
+
+            const data = doc.data();
+            const expectedPlanType = subscription.metadata?.planType;
+            const mismatches = [];
+
+            if (data.status !== subscription.status) {
+                mismatches.push({
+                    type: DRIFT_TYPES.STATUS_MISMATCH,
+                    firestoreValue: data.status ?? null,
+                    stripeValue: subscription.status
+                });
+            }
+            if (expectedPlanType && data.planType !== expectedPlanType) {
+                mismatches.push({
+                    type: DRIFT_TYPES.PLAN_TYPE_MISMATCH,
+                    firestoreValue: data.planType ?? null,
+                    stripeValue: expectedPlanType
+                });
+            }
+
+            if (mismatches.length === 0) {
+                continue;
+            }
+
+            if (repair) {
+                await doc.ref.set(subscriptionFields(subscription), { merge: true });
+            }
+            for (const mismatch of mismatches) {
+                recordDrift({
+                    ...mismatch,
+                    stripeSubscriptionId: subscription.id,
+                    userId: data.userId || null,
+                    repaired: repair
+                });
+            }
+        }
+
+        for (const [stripeSubscriptionId, doc] of firestoreDocs) {
+            if (seen.has(stripeSubscriptionId)) {
+                continue;
+            }
+
+            const data = doc.data();
+            const alreadyCanceled = data.status === 'canceled';
+            if (repair && !alreadyCanceled) {
+                await doc.ref.update({
+                    status: 'canceled',
+                    orphanedAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                });
+            }
+            recordDrift({
+                type: DRIFT_TYPES.ORPHAN_DOC,
+                stripeSubscriptionId,
+                userId: data.userId || null,
+                firestoreValue: data.status ?? null,
+                repaired: repair && !alreadyCanceled
+            });
+        }
+
+        run.status = 'completed';
+        console.log(`✅ Subscription reconciliation ${run.runId} finished: ${run.driftCount} drifted, ${run.repairedCount} repaired`);
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        console.error(`❌ Subscription reconciliation ${run.runId} failed:`, error);
+    } finally {
+        running = false;
+    }
+
+    run.finishedAt = new Date().toISOString();
+    await runRef.set(run);
+    return run;
+}
+
+async function listReconciliationRuns({ limit = 20 } = {}) {
+    const snapshot = await admin.firestore()
+        .collection(RECONCILIATION_RUNS_COLLECTION)
+        .orderBy('startedAt', 'desc')
+        .limit(limit)
+        .get();
+    // The drift list can be long; fetch a single run for the details
+    return snapshot.docs.map(doc => {
+        const { drift, ...summary } = doc.data();
+        return summary;
+    });
+}
+
+async function getReconciliationRun(runId) {
+    const doc = await admin.firestore().collection(RECONCILIATION_RUNS_COLLECTION).doc(runId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+module.exports = {
+    RECONCILIATION_RUNS_COLLECTION,
+    DRIFT_TYPES,
+    reconcileSubscriptions,
+    listReconciliationRuns,
+    getReconciliationRun
+};
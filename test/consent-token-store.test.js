@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+const firestore = installFakeFirestore();
+const { CONSENT_TOKENS_COLLECTION, createFirestoreConsentTokenStore } = require('../consent-token-store');
+
+const store = createFirestoreConsentTokenStore();
+
+function pendingRecord(overrides = {}) {
+    return {
+        parentEmail: 'Parent@example.com',
+        childName: 'Sam',
+        createdAt: Date.now(),
+        expiresAt: Date.now() + 60 * 60 * 1000,
+        ...overrides
+    };
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('stores tokens by hash, never in the clear', async () => {
+    const consentId = await store.save('verify-token', pendingRecord(), 'revoke-token');
+
+    const [path] = firestore.paths(CONSENT_TOKENS_COLLECTION);
+    assert.strictEqual(path, `${CONSENT_TOKENS_COLLECTION}/${consentId}`);
+    assert.doesNotMatch(JSON.stringify(firestore.read(path)), /verify-token|revoke-token/);
+
+    const record = await store.get('verify-token');
+    assert.strictEqual(record.consentId, consentId);
+    assert.strictEqual(record.isVerified, false);
+});
+
+test('get hides expired pending tokens unless asked for them', async () => {
+    await store.save('verify-token', pendingRecord({ expiresAt: Date.now() - 1000 }), 'revoke-token');
+
+    assert.strictEqual(await store.get('verify-token'), null);
+    assert.ok(await store.get('verify-token', { includeExpired: true }));
+    assert.strictEqual(await store.get('unknown-token'), null);
+});
+
+test('markVerified verifies a pending token once', async () => {
+    await store.save('verify-token', pendingRecord());
+
+    const first = await store.markVerified('verify-token');
+    assert.strictEqual(first.status, 'verified');
+    assert.strictEqual(first.record.isVerified, true);
+    assert.strictEqual(first.record.purgeAt, undefined);
+
+    assert.strictEqual((await store.markVerified('verify-token')).status, 'already_verified');
+    assert.strictEqual((await store.markVerified('unknown-token')).status, 'not_found');
+});
+
+test('markVerified deletes an expired token', async () => {
+    const consentId = await store.save('verify-token', pendingRecord({ expiresAt: Date.now() - 1000 }), 'revoke-token');
+
+    const expired = await store.markVerified('verify-token');
+    assert.strictEqual(expired.status, 'expired');
+    assert.strictEqual(expired.record.consentId, consentId);
+    assert.strictEqual(firestore.read(`${CONSENT_TOKENS_COLLECTION}/${consentId}`), undefined);
+});
+
+test('linkChildAccount links a verified consent to one child account', async () => {
+    await store.save('verify-token', pendingRecord(), 'revoke-token');
+    assert.strictEqual((await store.linkChildAccount('verify-token', 'child-1')).status, 'not_verified');
+
+    await store.markVerified('verify-token');
+    assert.strictEqual((await store.linkChildAccount('verify-token', 'child-1')).status, 'linked');
+    assert.strictEqual((await store.linkChildAccount('verify-token', 'child-1')).status, 'linked');
+    assert.strictEqual((await store.linkChildAccount('verify-token', 'child-2')).status, 'already_linked');
+    assert.strictEqual((await store.linkChildAccount('unknown-token', 'child-1')).status, 'not_found');
+});
+
+test('markRevoked withdraws a consent by its revocation token', async () => {
+    await store.save('verify-token', pendingRecord(), 'revoke-token');
+    await store.markVerified('verify-token');
+
+    const revoked = await store.markRevoked('revoke-token');
+    assert.strictEqual(revoked.status, 'revoked');
+    assert.strictEqual(revoked.record.cleanupCompletedAt, null);
+
+    assert.strictEqual((await store.markRevoked('revoke-token')).status, 'already_revoked');
+    assert.strictEqual((await store.markRevoked('verify-token')).status, 'not_found');
+    assert.strictEqual((await store.markVerified('verify-token')).status, 'revoked');
+    assert.strictEqual((await store.linkChildAccount('verify-token', 'child-1')).status, 'revoked');
+});
+
+test('a revoked consent keeps reporting pending cleanup until it is marked complete', async () => {
+    await store.save('verify-token', pendingRecord(), 'revoke-token');
+    await store.markVerified('verify-token');
+    await store.markRevoked('revoke-token');
+
+    const retried = await store.markRevoked('revoke-token');
+    assert.strictEqual(retried.status, 'already_revoked');
+    assert.strictEqual(retried.record.cleanupCompletedAt, null);
+
+    await store.markCleanupCompleted('revoke-token');
+    const done = await store.markRevoked('revoke-token');
+    assert.strictEqual(typeof done.record.cleanupCompletedAt, 'number');
+});
+
+test('findChildConsent and listChildConsents only return verified, unrevoked, linked consents', async () => {
+    await store.save('verify-1', pendingRecord(), 'revoke-1');
+    await store.markVerified('verify-1');
+    await store.linkChildAccount('verify-1', 'child-1');
+
+    await store.save('verify-2', pendingRecord({ parentEmail: 'parent@example.com', childName: 'Alex' }), 'revoke-2');
+    await store.markVerified('verify-2');
+    await store.linkChildAccount('verify-2', 'child-2');
+    await store.markRevoked('revoke-2');
+
+    await store.save('verify-3', pendingRecord({ childName: 'Unlinked' }), 'revoke-3');
+    await store.markVerified('verify-3');
+
+    assert.strictEqual((await store.findChildConsent('child-1')).childName, 'Sam');
+    assert.strictEqual(await store.findChildConsent('child-2'), null);
+
+    const consents = await store.listChildConsents('Parent@example.com');
+    assert.deepStrictEqual(consents.map(consent => consent.childUserId), ['child-1']);
+});
+
+test('purgeExpired deletes lapsed pending tokens but keeps verified consents', async () => {
+    await store.save('verified', pendingRecord({ childName: 'Kept' }), 'revoke-verified');
+    await store.markVerified('verified');
+    await store.save('lapsed', pendingRecord({ expiresAt: Date.now() - 1000 }), 'revoke-lapsed');
+
+    const result = await store.purgeExpired();
+    assert.strictEqual(result.deleted, 1);
+    assert.strictEqual(result.records[0].childName, 'Sam');
+    assert.strictEqual((await store.get('verified')).childName, 'Kept');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createConsentToken,
+    verifyConsentToken,
+    consentTokenMatchesEmail,
+    sealConsentTokens,
+    openConsentTokens
+} = require('../consent-tokens');
+
+const SECRET = 'test-consent-secret';
+const HOUR_MS = 60 * 60 * 1000;
+
+function mint(overrides = {}) {
+    return createConsentToken({ parentEmail: 'parent@example.com', expiresAt: Date.now() + HOUR_MS, ...overrides }, SECRET);
+}
+
+// Replace one dot-separated part of a token
+function withPart(token, index, value) {
+    const parts = token.split('.');
+    parts[index] = value;
+    return parts.join('.');
+}
+
+test('verifies a freshly minted token', () => {
+    const expiresAt = Date.now() + HOUR_MS;
+    const result = verifyConsentToken(mint({ expiresAt }), SECRET);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.expiresAt, expiresAt);
+});
+
+test('never puts the parent email in the token', () => {
+    assert.doesNotMatch(mint(), /parent|example/);
+});
+
+test('rejects tokens with a tampered signature, payload or secret', () => {
+    const token = mint();
+    const [nonce, expiresAt, emailDigest, signature] = token.split('.');
+    const flipped = signature[0] === 'A' ? `B${signature.slice(1)}` : `A${signature.slice(1)}`;
+
+    assert.deepStrictEqual(verifyConsentToken(withPart(token, 3, flipped), SECRET), { valid: false, reason: 'bad_signature' });
+    assert.deepStrictEqual(verifyConsentToken(withPart(token, 1, String(Number(expiresAt) + HOUR_MS)), SECRET), { valid: false, reason: 'bad_signature' });
+    assert.deepStrictEqual(verifyConsentToken(withPart(token, 0, `${nonce}x`), SECRET), { valid: false, reason: 'bad_signature' });
+    assert.deepStrictEqual(verifyConsentToken(`${nonce}.${expiresAt}.${emailDigest}.`, SECRET), { valid: false, reason: 'bad_signature' });
+    assert.deepStrictEqual(verifyConsentToken(token, 'another-secret'), { valid: false, reason: 'bad_signature' });
+});
+
+test('rejects malformed tokens', () => {
+    assert.strictEqual(verifyConsentToken('not-a-token', SECRET).reason, 'malformed');
+    assert.strictEqual(verifyConsentToken(withPart(mint(), 1, 'soon'), SECRET).reason, 'malformed');
+    assert.strictEqual(verifyConsentToken(undefined, SECRET).reason, 'malformed');
+    assert.strictEqual(verifyConsentToken(mint(), undefined).reason, 'malformed');
+});
+
+test('rejects expired tokens', () => {
+    const token = mint({ expiresAt: Date.now() - 1 });
+    assert.deepStrictEqual(verifyConsentToken(token, SECRET), { valid: false, reason: 'expired' });
+
+    const later = mint({ expiresAt: Date.now() + HOUR_MS });
+    assert.strictEqual(verifyConsentToken(later, SECRET, { now: Date.now() + 2 * HOUR_MS }).reason, 'expired');
+});
+
+test('binds the token to the parent email, ignoring case and whitespace', () => {
+    const result = verifyConsentToken(mint(), SECRET);
+
+    assert.strictEqual(consentTokenMatchesEmail(result, ' Parent@Example.com '), true);
+    assert.strictEqual(consentTokenMatchesEmail(result, 'someone-else@example.com'), false);
+});
+
+test('a token only validates for the purpose it was minted for', () => {
+    const verifyToken = mint();
+    const revokeToken = mint({ purpose: 'revoke' });
+
+    assert.strictEqual(verifyConsentToken(verifyToken, SECRET, { purpose: 'revoke' }).reason, 'bad_signature');
+    assert.strictEqual(verifyConsentToken(revokeToken, SECRET).reason, 'bad_signature');
+    assert.strictEqual(verifyConsentToken(revokeToken, SECRET, { purpose: 'revoke' }).valid, true);
+    assert.throws(() => mint({ purpose: 'delete' }), /Unknown consent token purpose/);
+});
+
+test('sealed tokens open back to the original tokens', () => {
+    const tokens = { verificationToken: mint(), revocationToken: mint({ purpose: 'revoke' }) };
+    const sealed = sealConsentTokens(tokens, SECRET);
+
+    assert.ok(!sealed.includes(tokens.verificationToken));
+    assert.notStrictEqual(sealConsentTokens(tokens, SECRET), sealed);
+    assert.deepStrictEqual(openConsentTokens(sealed, SECRET), tokens);
+});
+
+test('opening a tampered seal or one sealed under another secret throws', () => {
+    const sealed = sealConsentTokens({ verificationToken: mint() }, SECRET);
+    const [iv, tag, ciphertext] = sealed.split('.');
+    const tampered = `${iv}.${tag}.${ciphertext[0] === 'A' ? 'B' : 'A'}${ciphertext.slice(1)}`;
+
+    assert.throws(() => openConsentTokens(tampered, SECRET));
+    assert.throws(() => openConsentTokens(sealed, 'another-secret'));
+});
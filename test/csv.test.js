@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../csv');
+
+test('writes a header row and CRLF line endings', () => {
+    const csv = toCsv([{ name: 'Sam', count: 2 }], ['name', 'count']);
+    assert.strictEqual(csv, 'name,count\r\nSam,2\r\n');
+});
+
+test('quotes values containing commas, quotes or newlines', () => {
+    const csv = toCsv([{ value: 'a, "b"\nc' }], ['value']);
+    assert.strictEqual(csv, 'value\r\n"a, ""b""\nc"\r\n');
+});
+
+test('writes null and undefined as empty and objects as JSON', () => {
+    const csv = toCsv([{ a: null, b: undefined, c: { x: 1 } }], ['a', 'b', 'c']);
+    assert.strictEqual(csv, 'a,b,c\r\n,,"{""x"":1}"\r\n');
+});
+
+test('prefixes text that a spreadsheet would run as a formula', () => {
+    const cell = value => toCsv([{ value }], ['value']).slice('value\r\n'.length, -2);
+    assert.strictEqual(cell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.strictEqual(cell('+1'), "'+1");
+    assert.strictEqual(cell('-2'), "'-2");
+    assert.strictEqual(cell('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(cell('\tcmd'), "'\tcmd");
+    assert.strictEqual(cell('\r=1'), '"\'\r=1"');
+    assert.strictEqual(cell('Sam'), 'Sam');
+});
+
+test('leaves negative numbers numeric', () => {
+    const csv = toCsv([{ refunds: -12.5 }], ['refunds']);
+    assert.strictEqual(csv, 'refunds\r\n-12.5\r\n');
+});
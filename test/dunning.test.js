@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const { SUBSCRIPTIONS_COLLECTION } = require('../stripe-mode');
+const { DUNNING_STATES, createDunning, isAccessRestricted } = require('../dunning');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBSCRIPTION_PATH = `${SUBSCRIPTIONS_COLLECTION}/sub_123`;
+
+const invoice = { id: 'in_1', amount_due: 1999, currency: 'usd' };
+
+let sent;
+const dunning = createDunning({
+    gracePeriodDays: 7,
+    sendEmail: async (template, { dunning: record }) => {
+        sent.push({ template, finalNotice: Boolean(record.finalNotice) });
+    }
+});
+
+function subscriptionDoc() {
+    return firestore.read(SUBSCRIPTION_PATH);
+}
+
+// Backdate the first failure so the sweep sees the grace period partly elapsed
+function failedDaysAgo(days) {
+    const doc = subscriptionDoc();
+    doc.dunning.firstFailedAt = new Date(Date.now() - days * DAY_MS).toISOString();
+    firestore.seed(SUBSCRIPTION_PATH, doc);
+}
+
+test.beforeEach(() => {
+    sent = [];
+    firestore.reset();
+    firestore.seed(SUBSCRIPTION_PATH, { stripeSubscriptionId: 'sub_123', status: 'past_due', dunning: null });
+});
+
+test('recordPaymentFailure starts the grace period and sends a reminder', async () => {
+    const record = await dunning.recordPaymentFailure(invoice, 'sub_123');
+
+    assert.strictEqual(record.state, DUNNING_STATES.GRACE);
+    assert.strictEqual(record.failedAttempts, 1);
+    assert.strictEqual(record.amountDue, 19.99);
+    assert.strictEqual(new Date(record.graceEndsAt) - new Date(record.firstFailedAt), 7 * DAY_MS);
+    assert.deepStrictEqual(subscriptionDoc().dunning, record);
+    assert.deepStrictEqual(sent, [{ template: 'payment-failed', finalNotice: false }]);
+});
+
+test('recordPaymentFailure keeps the grace period across retries', async () => {
+    const first = await dunning.recordPaymentFailure(invoice, 'sub_123');
+    const second = await dunning.recordPaymentFailure({ ...invoice, id: 'in_2' }, 'sub_123');
+
+    assert.strictEqual(second.failedAttempts, 2);
+    assert.strictEqual(second.remindersSent, 2);
+    assert.strictEqual(second.lastInvoiceId, 'in_2');
+    assert.strictEqual(second.firstFailedAt, first.firstFailedAt);
+    assert.strictEqual(second.graceEndsAt, first.graceEndsAt);
+});
+
+test('recordPaymentFailure skips subscriptions without a doc', async () => {
+    assert.strictEqual(await dunning.recordPaymentFailure(invoice, 'sub_missing'), null);
+    assert.deepStrictEqual(sent, []);
+});
+
+test('recordPaymentRecovered clears dunning', async () => {
+    await dunning.recordPaymentFailure(invoice, 'sub_123');
+
+    assert.strictEqual(await dunning.recordPaymentRecovered('sub_123'), true);
+    assert.strictEqual(subscriptionDoc().dunning, null);
+    assert.strictEqual(await dunning.recordPaymentRecovered('sub_123'), false);
+});
+
+test('runSweep leaves a fresh grace period alone', async () => {
+    await dunning.recordPaymentFailure(invoice, 'sub_123');
+    sent = [];
+
+    assert.deepStrictEqual(await dunning.runSweep(), { finalNotices: 0, restricted: 0 });
+    assert.deepStrictEqual(sent, []);
+});
+
+test('runSweep sends one final notice the day before the grace period ends', async () => {
+    await dunning.recordPaymentFailure(invoice, 'sub_123');
+    failedDaysAgo(6.5);
+    sent = [];
+
+    assert.deepStrictEqual(await dunning.runSweep(), { finalNotices: 1, restricted: 0 });
+    assert.deepStrictEqual(sent, [{ template: 'payment-failed', finalNotice: true }]);
+    assert.ok(subscriptionDoc().dunning.finalNoticeSentAt);
+
+    assert.deepStrictEqual(await dunning.runSweep(), { finalNotices: 0, restricted: 0 });
+});
+
+test('runSweep restricts access once the grace period is over', async () => {
+    await dunning.recordPaymentFailure(invoice, 'sub_123');
+    failedDaysAgo(8);
+    sent = [];
+
+    assert.deepStrictEqual(await dunning.runSweep(), { finalNotices: 0, restricted: 1 });
+    assert.deepStrictEqual(sent, [{ template: 'subscription-restricted', finalNotice: false }]);
+    assert.strictEqual(isAccessRestricted(subscriptionDoc()), true);
+});
+
+test('runSweep follows an edited grace period', async () => {
+    await dunning.recordPaymentFailure(invoice, 'sub_123');
+    const doc = subscriptionDoc();
+    doc.dunning.gracePeriodDays = 14;
+    firestore.seed(SUBSCRIPTION_PATH, doc);
+
+    await dunning.runSweep();
+    const updated = subscriptionDoc().dunning;
+    assert.strictEqual(new Date(updated.graceEndsAt) - new Date(updated.firstFailedAt), 14 * DAY_MS);
+});
+
+test('runSweep clears dunning on subscriptions that left past_due', async () => {
+    await dunning.recordPaymentFailure(invoice, 'sub_123');
+    firestore.seed(SUBSCRIPTION_PATH, { ...subscriptionDoc(), status: 'active' });
+
+    assert.deepStrictEqual(await dunning.runSweep(), { finalNotices: 0, restricted: 0 });
+    assert.strictEqual(subscriptionDoc().dunning, null);
+});
+
+test('isAccessRestricted only restricts after the grace period', () => {
+    assert.strictEqual(isAccessRestricted({ dunning: { state: DUNNING_STATES.RESTRICTED } }), true);
+    assert.strictEqual(isAccessRestricted({ dunning: { state: DUNNING_STATES.GRACE } }), false);
+    assert.strictEqual(isAccessRestricted({ dunning: null }), false);
+    assert.strictEqual(isAccessRestricted(null), false);
+});
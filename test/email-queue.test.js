@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+// The queue logs every message it handles; that output interleaved with node --test's
+// reporter stream intermittently breaks the runner, and the tests don't need it
+test.before(() => test.mock.method(console, 'log', () => {}));
+
+const firestore = installFakeFirestore();
+const { EMAIL_QUEUE_COLLECTION, EMAIL_DEAD_LETTERS_COLLECTION, createEmailQueue } = require('../email-queue');
+
+const MINUTE_MS = 60 * 1000;
+
+let ready;
+let failSends;
+let sentMail;
+const emailQueue = createEmailQueue({
+    getTransport: () => ({
+        sendMail: async (mail) => {
+            if (failSends) {
+                throw new Error('SMTP unavailable');
+            }
+            sentMail.push(mail);
+            return { messageId: `msg-${sentMail.length}` };
+        }
+    }),
+    renderEmail: (template, data) => ({ subject: template, html: JSON.stringify(data), text: JSON.stringify(data) }),
+    isReady: () => ready,
+    maxAttempts: 3
+});
+
+// Queue a message without the immediate send, so each test drives processQueue itself
+async function enqueue(message = {}) {
+    ready = false;
+    const id = await emailQueue.enqueue({
+        template: 'welcome',
+        data: { name: 'Sam' },
+        from: 'team@example.com',
+        to: 'parent@example.com',
+        ...message
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    ready = true;
+    return id;
+}
+
+function queued(id) {
+    return firestore.read(`${EMAIL_QUEUE_COLLECTION}/${id}`);
+}
+
+// Make a backed-off message due again
+function makeDue(id) {
+    firestore.seed(`${EMAIL_QUEUE_COLLECTION}/${id}`, { ...queued(id), nextAttemptAt: Date.now() });
+}
+
+test.beforeEach(() => {
+    firestore.reset();
+    ready = true;
+    failSends = false;
+    sentMail = [];
+});
+
+test('sends a queued message and drops its template data', async () => {
+    const id = await enqueue();
+    await emailQueue.processQueue();
+
+    assert.strictEqual(sentMail.length, 1);
+    assert.strictEqual(sentMail[0].to, 'parent@example.com');
+    const message = queued(id);
+    assert.strictEqual(message.status, 'sent');
+    assert.strictEqual(message.attempts, 1);
+    assert.strictEqual(message.messageId, 'msg-1');
+    assert.strictEqual(message.data, undefined);
+    assert.strictEqual(message.nextAttemptAt, undefined);
+});
+
+test('skips a message another worker holds the lease on', async () => {
+    const id = await enqueue();
+    firestore.seed(`${EMAIL_QUEUE_COLLECTION}/${id}`, { ...queued(id), status: 'sending', nextAttemptAt: Date.now() + 2 * MINUTE_MS });
+
+    await emailQueue.processQueue();
+    assert.strictEqual(sentMail.length, 0);
+    assert.strictEqual(queued(id).status, 'sending');
+});
+
+test('retries a lapsed lease left by a worker that died mid-send', async () => {
+    const id = await enqueue();
+    firestore.seed(`${EMAIL_QUEUE_COLLECTION}/${id}`, { ...queued(id), status: 'sending', nextAttemptAt: Date.now() - 1 });
+
+    await emailQueue.processQueue();
+    assert.strictEqual(queued(id).status, 'sent');
+});
+
+test('backs off exponentially after failed sends', async () => {
+    failSends = true;
+    const id = await enqueue();
+
+    const before = Date.now();
+    await emailQueue.processQueue();
+    const first = queued(id);
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual(first.attempts, 1);
+    assert.strictEqual(first.lastError, 'SMTP unavailable');
+    assert.ok(first.nextAttemptAt - before >= 30 * 1000 && first.nextAttemptAt - Date.now() <= 30 * 1000);
+
+    makeDue(id);
+    const retriedAt = Date.now();
+    await emailQueue.processQueue();
+    const second = queued(id);
+    assert.strictEqual(second.attempts, 2);
+    assert.ok(second.nextAttemptAt - retriedAt >= 60 * 1000 && second.nextAttemptAt - Date.now() <= 60 * 1000);
+});
+
+test('moves a message to dead letters after its last attempt', async () => {
+    failSends = true;
+    const id = await enqueue();
+    for (let attempt = 0; attempt < 3; attempt++) {
+        makeDue(id);
+        await emailQueue.processQueue();
+    }
+
+    assert.strictEqual(queued(id), undefined);
+    const deadLetter = firestore.read(`${EMAIL_DEAD_LETTERS_COLLECTION}/${id}`);
+    assert.strictEqual(deadLetter.status, 'dead');
+    assert.strictEqual(deadLetter.attempts, 3);
+    assert.strictEqual(deadLetter.lastError, 'SMTP unavailable');
+});
+
+test('dead letter listings leave out template data, and resending keeps it', async () => {
+    failSends = true;
+    const id = await enqueue();
+    for (let attempt = 0; attempt < 3; attempt++) {
+        makeDue(id);
+        await emailQueue.processQueue();
+    }
+
+    const [listed] = await emailQueue.listDeadLetters();
+    assert.strictEqual(listed.id, id);
+    assert.strictEqual('data' in listed, false);
+
+    ready = false;
+    const newId = await emailQueue.resendDeadLetter(id);
+    assert.deepStrictEqual(queued(newId).data, { name: 'Sam' });
+    assert.strictEqual(queued(newId).metadata.resentFrom, id);
+    assert.strictEqual(firestore.read(`${EMAIL_DEAD_LETTERS_COLLECTION}/${id}`).resentAs, newId);
+    assert.strictEqual(await emailQueue.resendDeadLetter('missing'), null);
+});
+
+test('onRender builds template data at send time and onSent runs after sending', async () => {
+    const rendered = [];
+    emailQueue.onRender('sealed', data => ({ link: `https://example.com/?t=${data.sealed.toUpperCase()}` }));
+    emailQueue.onSent('sealed', message => rendered.push(message.id));
+
+    const id = await enqueue({ template: 'sealed', data: { sealed: 'abc' } });
+    await emailQueue.processQueue();
+
+    assert.match(sentMail[0].html, /t=ABC/);
+    assert.deepStrictEqual(rendered, [id]);
+});
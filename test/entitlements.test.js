@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const { SUBSCRIPTIONS_COLLECTION } = require('../stripe-mode');
+const { usageMonthOf } = require('../usage-metering');
+const {
+    ENTITLEMENT_LIMITS,
+    findUserSubscription,
+    tierFor,
+    limitsFor,
+    resolveAccess,
+    resolveEntitlements
+} = require('../entitlements');
+
+function seedSubscription(id, data) {
+    firestore.seed(`${SUBSCRIPTIONS_COLLECTION}/${id}`, { id, ...data });
+}
+
+// A household owned by 'parent' with children in joining order
+function seedHousehold(memberUserIds) {
+    firestore.seed('households/parent', { householdId: 'parent', ownerUserId: 'parent', memberUserIds });
+    memberUserIds.forEach(childUserId => {
+        firestore.seed(`household_members/${childUserId}`, { householdId: 'parent', ownerUserId: 'parent', childUserId });
+    });
+}
+
+function seedUsage(userId, practiceMinutes, aiTurns) {
+    firestore.seed(`usage/${userId}/monthly/${usageMonthOf()}`, { practiceMinutes, aiTurns });
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('tierFor maps subscription docs to tiers', () => {
+    assert.strictEqual(tierFor(null), 'free');
+    assert.strictEqual(tierFor({ status: 'active', planType: 'professional' }), 'professional');
+    assert.strictEqual(tierFor({ status: 'trialing', planType: 'starter' }), 'starter');
+    assert.strictEqual(tierFor({ status: 'past_due', planType: 'starter', dunning: { state: 'grace' } }), 'starter');
+    assert.strictEqual(tierFor({ status: 'past_due', planType: 'starter', dunning: { state: 'restricted' } }), 'restricted');
+    assert.strictEqual(tierFor({ status: 'canceled', planType: 'premium' }), 'free');
+    assert.strictEqual(tierFor({ status: 'active', planType: 'unknown' }), 'free');
+});
+
+test('limitsFor returns the tier limits, null meaning unlimited', () => {
+    assert.deepStrictEqual(limitsFor(null), ENTITLEMENT_LIMITS.free);
+    assert.strictEqual(limitsFor({ status: 'active', planType: 'premium' }).monthlyAiTurns, null);
+});
+
+test('findUserSubscription prefers an entitled subscription over a past-due one', async () => {
+    seedSubscription('sub_past_due', { userId: 'user-1', status: 'past_due', planType: 'starter' });
+    seedSubscription('sub_active', { userId: 'user-1', status: 'active', planType: 'professional' });
+    seedSubscription('sub_canceled', { userId: 'user-2', status: 'canceled', planType: 'premium' });
+
+    assert.strictEqual((await findUserSubscription('user-1')).id, 'sub_active');
+    assert.strictEqual(await findUserSubscription('user-2'), null);
+});
+
+test('resolveAccess pools a household owner with the members their plan covers', async () => {
+    seedSubscription('sub_parent', { userId: 'parent', status: 'active', planType: 'professional' });
+    seedHousehold(['child-1', 'child-2', 'child-3']);
+
+    const { subscription, household } = await resolveAccess('parent');
+    assert.strictEqual(subscription.id, 'sub_parent');
+    assert.strictEqual(household.role, 'owner');
+    assert.deepStrictEqual(household.poolUserIds, ['parent', 'child-1', 'child-2']);
+});
+
+test('resolveAccess covers members within the owner plan limit only', async () => {
+    seedSubscription('sub_parent', { userId: 'parent', status: 'active', planType: 'professional' });
+    seedHousehold(['child-1', 'child-2', 'child-3']);
+
+    const covered = await resolveAccess('child-1');
+    assert.strictEqual(covered.subscription.id, 'sub_parent');
+    assert.strictEqual(covered.household.covered, true);
+
+    const uncovered = await resolveAccess('child-3');
+    assert.strictEqual(uncovered.subscription, null);
+    assert.strictEqual(uncovered.household.covered, false);
+    assert.deepStrictEqual(uncovered.household.poolUserIds, ['child-3']);
+});
+
+test('resolveAccess drops member coverage when the owner has no subscription', async () => {
+    seedHousehold(['child-1']);
+
+    const { subscription, household } = await resolveAccess('child-1');
+    assert.strictEqual(subscription, null);
+    assert.strictEqual(household.covered, false);
+    assert.deepStrictEqual(await resolveAccess('stranger'), { subscription: null, household: null });
+});
+
+test('resolveEntitlements counts the household pool against shared quotas', async () => {
+    seedSubscription('sub_parent', { userId: 'parent', status: 'active', planType: 'professional' });
+    seedHousehold(['child-1']);
+    seedUsage('parent', 100, 1000);
+    seedUsage('child-1', 50, 500);
+    firestore.seed('custom_personas/persona-1', { userId: 'child-1' });
+
+    const entitlements = await resolveEntitlements('child-1');
+    assert.strictEqual(entitlements.tier, 'professional');
+    assert.strictEqual(entitlements.usage.practiceMinutes, 150);
+    assert.strictEqual(entitlements.usage.aiTurns, 1500);
+    assert.strictEqual(entitlements.usage.customPersonas, 1);
+    assert.deepStrictEqual(entitlements.remaining, {
+        monthlyPracticeMinutes: 1050,
+        customPersonas: 4,
+        monthlyAiTurns: 3500
+    });
+});
+
+test('resolveEntitlements counts usage and custom personas against the plan limits', async () => {
+    seedSubscription('sub_1', { userId: 'user-1', status: 'active', planType: 'starter' });
+    seedUsage('user-1', 100, 1000);
+    firestore.seed('custom_personas/persona-1', { userId: 'user-1' });
+    firestore.seed('custom_personas/persona-2', { userId: 'user-2' });
+
+    const entitlements = await resolveEntitlements('user-1');
+    assert.strictEqual(entitlements.tier, 'starter');
+    assert.deepStrictEqual(entitlements.limits, ENTITLEMENT_LIMITS.starter);
+    assert.strictEqual(entitlements.usage.customPersonas, 1);
+    assert.deepStrictEqual(entitlements.remaining, {
+        monthlyPracticeMinutes: 200,
+        customPersonas: 0,
+        monthlyAiTurns: 0
+    });
+});
+
+test('resolveEntitlements gives free limits and own usage without a subscription', async () => {
+    seedUsage('user-1', 45, 20);
+
+    const entitlements = await resolveEntitlements('user-1');
+    assert.strictEqual(entitlements.tier, 'free');
+    assert.strictEqual(entitlements.restricted, false);
+    assert.strictEqual(entitlements.household, null);
+    assert.strictEqual(entitlements.remaining.monthlyPracticeMinutes, 0);
+    assert.strictEqual(entitlements.remaining.monthlyAiTurns, 80);
+});
+
+test('resolveEntitlements reports unlimited quotas as null', async () => {
+    seedSubscription('sub_1', { userId: 'user-1', status: 'active', planType: 'premium' });
+
+    const entitlements = await resolveEntitlements('user-1');
+    assert.strictEqual(entitlements.remaining.monthlyPracticeMinutes, null);
+    assert.strictEqual(entitlements.remaining.monthlyAiTurns, null);
+});
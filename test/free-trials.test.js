@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const {
+    TRIAL_CLAIMS_COLLECTION,
+    isTrialEligible,
+    claimTrial,
+    completeTrialClaim,
+    releaseTrialClaim
+} = require('../free-trials');
+
+function stripeError(code) {
+    const error = new Error(`Stripe error ${code}`);
+    error.code = code;
+    return error;
+}
+
+// Stripe customers by ID, each with `metadata` and the `subscriptions` it has had
+function fakeStripe(customers = {}) {
+    const updates = [];
+    return {
+        updates,
+        customers: {
+            retrieve: async (customerId) => {
+                if (!customers[customerId]) {
+                    throw stripeError('resource_missing');
+                }
+                return { id: customerId, metadata: {}, ...customers[customerId] };
+            },
+            update: async (customerId, params) => {
+                updates.push([customerId, params]);
+            }
+        },
+        subscriptions: {
+            list: async function* ({ customer }) {
+                yield* customers[customer]?.subscriptions || [];
+            }
+        }
+    };
+}
+
+const claim = { userId: 'user-1', customerId: 'cus_1', planType: 'professional' };
+
+test.beforeEach(() => firestore.reset());
+
+test('namespaces trial claims by Stripe mode', () => {
+    assert.strictEqual(TRIAL_CLAIMS_COLLECTION, 'test_trial_claims');
+});
+
+test('gives each user one trial', async () => {
+    const stripe = fakeStripe({ cus_1: {} });
+    assert.strictEqual(await isTrialEligible(stripe, { userId: 'user-1', customerId: 'cus_1' }), true);
+
+    assert.strictEqual(await claimTrial(stripe, claim), true);
+    assert.strictEqual(await claimTrial(stripe, claim), false);
+    assert.strictEqual(await isTrialEligible(stripe, { userId: 'user-1', customerId: 'cus_1' }), false);
+    assert.strictEqual(firestore.read(`${TRIAL_CLAIMS_COLLECTION}/user-1`).stripeCustomerId, 'cus_1');
+});
+
+test('gives each Stripe customer one trial across app accounts', async () => {
+    const flagged = fakeStripe({ cus_1: { metadata: { trial_used: 'true' } } });
+    assert.strictEqual(await isTrialEligible(flagged, { userId: 'user-2', customerId: 'cus_1' }), false);
+    assert.strictEqual(await claimTrial(flagged, { ...claim, userId: 'user-2' }), false);
+
+    const trialedBefore = fakeStripe({ cus_1: { subscriptions: [{ id: 'sub_old', trial_start: 1700000000 }] } });
+    assert.strictEqual(await isTrialEligible(trialedBefore, { userId: 'user-2', customerId: 'cus_1' }), false);
+
+    const paidBefore = fakeStripe({ cus_1: { subscriptions: [{ id: 'sub_old', trial_start: null }] } });
+    assert.strictEqual(await isTrialEligible(paidBefore, { userId: 'user-2', customerId: 'cus_1' }), true);
+});
+
+test('a user without a Stripe customer is checked by their claim alone', async () => {
+    const stripe = fakeStripe();
+    assert.strictEqual(await isTrialEligible(stripe, { userId: 'user-1' }), true);
+});
+
+test('a missing Stripe customer counts as not having trialed', async () => {
+    const stripe = fakeStripe();
+    assert.strictEqual(await isTrialEligible(stripe, { userId: 'user-1', customerId: 'cus_other_mode' }), true);
+    assert.strictEqual(await claimTrial(stripe, { ...claim, customerId: 'cus_other_mode' }), true);
+});
+
+test('other Stripe errors are not treated as eligibility', async () => {
+    const stripe = fakeStripe();
+    stripe.customers.retrieve = async () => {
+        throw stripeError('api_connection_error');
+    };
+    await assert.rejects(isTrialEligible(stripe, { userId: 'user-1', customerId: 'cus_1' }), { code: 'api_connection_error' });
+});
+
+test('completing a claim records the subscription and flags the customer', async () => {
+    const stripe = fakeStripe({ cus_1: {} });
+    await claimTrial(stripe, claim);
+    await completeTrialClaim(stripe, { userId: 'user-1', customerId: 'cus_1', stripeSubscriptionId: 'sub_1' });
+
+    assert.strictEqual(firestore.read(`${TRIAL_CLAIMS_COLLECTION}/user-1`).stripeSubscriptionId, 'sub_1');
+    assert.deepStrictEqual(stripe.updates, [['cus_1', { metadata: { trial_used: 'true' } }]]);
+});
+
+test('releasing a claim gives the trial back', async () => {
+    const stripe = fakeStripe({ cus_1: {} });
+    await claimTrial(stripe, claim);
+    await releaseTrialClaim('user-1');
+
+    assert.strictEqual(await claimTrial(stripe, claim), true);
+});
@@ -0,0 +1,382 @@
+/**
+ * In-memory Firestore for tests
+ * Implements the parts of firebase-admin's Firestore API the app's modules use:
+ * documents and subcollections, queries (where, orderBy, limit, count),
+ * transactions, batches, FieldValue sentinels and Timestamp.
+ *
+ * installFakeFirestore() registers it as 'firebase-admin' in the require cache,
+ * so call it before requiring the module under test. Transactions apply their
+ * writes only once the callback resolves, like Firestore; they don't simulate
+ * contention.
+ */
+
+const crypto = require('crypto');
+
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const DOCUMENT_ID = '__name__';
+
+class Timestamp {
+    constructor(millis) {
+        this.millis = millis;
+    }
+
+    static fromMillis(millis) {
+        return new Timestamp(millis);
+    }
+
+    static now() {
+        return new Timestamp(Date.now());
+    }
+
+    toMillis() {
+        return this.millis;
+    }
+
+    valueOf() {
+        return this.millis;
+    }
+}
+
+class Sentinel {
+    constructor(op, values) {
+        this.op = op;
+        this.values = values;
+    }
+}
+
+const FieldValue = {
+    delete: () => new Sentinel('delete'),
+    increment: amount => new Sentinel('increment', amount),
+    arrayUnion: (...values) => new Sentinel('arrayUnion', values),
+    arrayRemove: (...values) => new Sentinel('arrayRemove', values)
+};
+
+const FieldPath = {
+    documentId: () => DOCUMENT_ID
+};
+
+function firestoreError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function clone(value) {
+    if (value instanceof Timestamp) {
+        return new Timestamp(value.millis);
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Sentinel)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+    }
+    return value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof Timestamp) && !(value instanceof Sentinel);
+}
+
+function applySentinel(current, sentinel) {
+    switch (sentinel.op) {
+        case 'increment':
+            return (typeof current === 'number' ? current : 0) + sentinel.values;
+        case 'arrayUnion': {
+            const array = Array.isArray(current) ? [...current] : [];
+            sentinel.values.forEach(value => {
+                if (!array.includes(value)) {
+                    array.push(value);
+                }
+            });
+            return array;
+        }
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : []).filter(value => !sentinel.values.includes(value));
+        default:
+            throw new Error(`Unsupported sentinel ${sentinel.op}`);
+    }
+}
+
+// Write `value` at `target[key]`, resolving sentinels against what's there
+function writeField(target, key, value) {
+    if (value instanceof Sentinel) {
+        if (value.op === 'delete') {
+            delete target[key];
+        } else {
+            target[key] = applySentinel(target[key], value);
+        }
+    } else {
+        target[key] = clone(value);
+    }
+}
+
+function mergeInto(target, data) {
+    for (const [key, value] of Object.entries(data)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInto(target[key], value);
+        } else if (isPlainObject(value)) {
+            target[key] = {};
+            mergeInto(target[key], value);
+        } else {
+            writeField(target, key, value);
+        }
+    }
+}
+
+function getField(data, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+// Orders two values of the same type; null when they can't be compared
+function compare(a, b) {
+    const left = a instanceof Timestamp ? a.millis : a;
+    const right = b instanceof Timestamp ? b.millis : b;
+    if (left === null || right === null || typeof left !== typeof right) {
+        return left === right ? 0 : null;
+    }
+    if (left < right) {
+        return -1;
+    }
+    return left > right ? 1 : 0;
+}
+
+function matches(value, op, expected) {
+    if (value === undefined) {
+        return false;
+    }
+    const order = compare(value, expected);
+    switch (op) {
+        case '==':
+            return order === 0;
+        case '!=':
+            return order !== 0;
+        case '<':
+            return order !== null && order < 0;
+        case '<=':
+            return order !== null && order <= 0;
+        case '>':
+            return order !== null && order > 0;
+        case '>=':
+            return order !== null && order >= 0;
+        case 'in':
+            return expected.some(candidate => compare(value, candidate) === 0);
+        case 'not-in':
+            return value !== null && !expected.some(candidate => compare(value, candidate) === 0);
+        case 'array-contains':
+            return Array.isArray(value) && value.includes(expected);
+        default:
+            throw new Error(`Unsupported query operator ${op}`);
+    }
+}
+
+function createFakeFirestore() {
+    const documents = new Map();
+
+    function snapshotOf(ref) {
+        const data = documents.get(ref.path);
+        return {
+            id: ref.id,
+            ref,
+            exists: data !== undefined,
+            data: () => (data === undefined ? undefined : clone(data))
+        };
+    }
+
+    // Each write is a function applied to the store; transactions and batches queue them
+    function setWrite(ref, data, options = {}) {
+        return () => {
+            const existing = documents.get(ref.path);
+            const target = options.merge && existing ? existing : {};
+            mergeInto(target, data);
+            documents.set(ref.path, target);
+        };
+    }
+
+    function updateWrite(ref, data) {
+        return () => {
+            const existing = documents.get(ref.path);
+            if (!existing) {
+                throw firestoreError(NOT_FOUND, `No document to update: ${ref.path}`);
+            }
+            for (const [fieldPath, value] of Object.entries(data)) {
+                const keys = fieldPath.split('.');
+                let target = existing;
+                for (const key of keys.slice(0, -1)) {
+                    if (!isPlainObject(target[key])) {
+                        target[key] = {};
+                    }
+                    target = target[key];
+                }
+                writeField(target, keys[keys.length - 1], value);
+            }
+        };
+    }
+
+    function createWrite(ref, data) {
+        return () => {
+            if (documents.has(ref.path)) {
+                throw firestoreError(ALREADY_EXISTS, `Document already exists: ${ref.path}`);
+            }
+            setWrite(ref, data)();
+        };
+    }
+
+    function deleteWrite(ref) {
+        return () => {
+            documents.delete(ref.path);
+        };
+    }
+
+    function docRef(collectionPath, id = crypto.randomBytes(10).toString('hex')) {
+        const path = `${collectionPath}/${id}`;
+        const ref = {
+            id,
+            path,
+            collection: name => collectionRef(`${path}/${name}`),
+            get: async () => snapshotOf(ref),
+            set: async (data, options) => setWrite(ref, data, options)(),
+            update: async data => updateWrite(ref, data)(),
+            create: async data => createWrite(ref, data)(),
+            delete: async () => deleteWrite(ref)()
+        };
+        return ref;
+    }
+
+    function query(collectionPath, filters = [], order = [], max = null) {
+        const valueOf = (snapshot, fieldPath) => (fieldPath === DOCUMENT_ID ? snapshot.id : getField(snapshot.data(), fieldPath));
+
+        async function get() {
+            const prefix = `${collectionPath}/`;
+            let docs = [...documents.keys()]
+                .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+                .map(path => snapshotOf(docRef(collectionPath, path.slice(prefix.length))))
+                .filter(snapshot => filters.every(({ fieldPath, op, value }) => matches(valueOf(snapshot, fieldPath), op, value)));
+
+            for (const { fieldPath } of order) {
+                docs = docs.filter(snapshot => valueOf(snapshot, fieldPath) !== undefined);
+            }
+            docs.sort((a, b) => {
+                for (const { fieldPath, direction } of order) {
+                    const result = compare(valueOf(a, fieldPath), valueOf(b, fieldPath));
+                    if (result) {
+                        return direction === 'desc' ? -result : result;
+                    }
+                }
+                return 0;
+            });
+            if (max !== null) {
+                docs = docs.slice(0, max);
+            }
+            return { docs, empty: docs.length === 0, size: docs.length };
+        }
+
+        return {
+            where: (fieldPath, op, value) => query(collectionPath, [...filters, { fieldPath, op, value }], order, max),
+            orderBy: (fieldPath, direction = 'asc') => query(collectionPath, filters, [...order, { fieldPath, direction }], max),
+            limit: count => query(collectionPath, filters, order, count),
+            count: () => ({
+                get: async () => {
+                    const { size } = await get();
+                    return { data: () => ({ count: size }) };
+                }
+            }),
+            get
+        };
+    }
+
+    function collectionRef(path) {
+        return {
+            ...query(path),
+            id: path.split('/').pop(),
+            doc: id => docRef(path, id)
+        };
+    }
+
+    function writeQueue() {
+        const writes = [];
+        return {
+            writes,
+            set: (ref, data, options) => writes.push(setWrite(ref, data, options)),
+            update: (ref, data) => writes.push(updateWrite(ref, data)),
+            create: (ref, data) => writes.push(createWrite(ref, data)),
+            delete: ref => writes.push(deleteWrite(ref))
+        };
+    }
+
+    const db = {
+        collection: collectionRef,
+
+        batch() {
+            const queue = writeQueue();
+            return {
+                set: (...args) => { queue.set(...args); },
+                update: (...args) => { queue.update(...args); },
+                create: (...args) => { queue.create(...args); },
+                delete: (...args) => { queue.delete(...args); },
+                commit: async () => queue.writes.forEach(write => write())
+            };
+        },
+
+        async runTransaction(callback) {
+            const queue = writeQueue();
+            const transaction = {
+                get: async refOrQuery => (refOrQuery.path ? snapshotOf(refOrQuery) : refOrQuery.get()),
+                set: (...args) => { queue.set(...args); return transaction; },
+                update: (...args) => { queue.update(...args); return transaction; },
+                create: (...args) => { queue.create(...args); return transaction; },
+                delete: (...args) => { queue.delete(...args); return transaction; }
+            };
+            const result = await callback(transaction);
+            queue.writes.forEach(write => write());
+            return result;
+        }
+    };
+
+    return {
+        db,
+
+        // Test helpers: seed and inspect documents by path ('collection/id')
+        seed(path, data) {
+            documents.set(path, clone(data));
+        },
+        read(path) {
+            const data = documents.get(path);
+            return data === undefined ? undefined : clone(data);
+        },
+        paths(collectionPath) {
+            const prefix = `${collectionPath}/`;
+            return [...documents.keys()].filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'));
+        },
+        reset() {
+            documents.clear();
+        }
+    };
+}
+
+/**
+ * Register a fake firebase-admin backed by one in-memory Firestore and return it
+ */
+function installFakeFirestore() {
+    const fake = createFakeFirestore();
+    const firestore = () => fake.db;
+    firestore.FieldValue = FieldValue;
+    firestore.FieldPath = FieldPath;
+    firestore.Timestamp = Timestamp;
+
+    const modulePath = require.resolve('firebase-admin');
+    require.cache[modulePath] = {
+        id: modulePath,
+        filename: modulePath,
+        loaded: true,
+        exports: { firestore }
+    };
+    return fake;
+}
+
+module.exports = {
+    Timestamp,
+    installFakeFirestore
+};
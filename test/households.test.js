@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+const firestore = installFakeFirestore();
+const { ENTITLEMENT_LIMITS } = require('../entitlements');
+const {
+    getHousehold,
+    findHouseholdMembership,
+    listHouseholdMembers,
+    addHouseholdMember,
+    removeHouseholdMember,
+    dissolveHousehold
+} = require('../households');
+
+const professionalMembers = ENTITLEMENT_LIMITS.professional.householdMembers;
+
+function consentFor(childUserId, parentEmail = 'parent@example.com') {
+    return { consentId: `consent-${childUserId}`, childUserId, childName: `Child ${childUserId}`, parentEmail };
+}
+
+function addChild(childUserId, overrides = {}) {
+    return addHouseholdMember({
+        ownerUserId: 'parent',
+        ownerEmail: 'Parent@Example.com',
+        consent: consentFor(childUserId),
+        maxMembers: professionalMembers,
+        ...overrides
+    });
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('adds consented children to the parent household in joining order', async () => {
+    const member = await addChild('child-1');
+    await addChild('child-2');
+
+    assert.strictEqual(member.householdId, 'parent');
+    assert.strictEqual(member.consentId, 'consent-child-1');
+    assert.deepStrictEqual((await getHousehold('parent')).memberUserIds, ['child-1', 'child-2']);
+    assert.strictEqual((await findHouseholdMembership('child-2')).ownerUserId, 'parent');
+    assert.deepStrictEqual((await listHouseholdMembers('parent')).map(entry => entry.childUserId).sort(), ['child-1', 'child-2']);
+});
+
+test('adding a child already in the household is a no-op', async () => {
+    await addChild('child-1');
+    await addChild('child-1');
+
+    assert.deepStrictEqual((await getHousehold('parent')).memberUserIds, ['child-1']);
+});
+
+test('stops at the plan member limit', async () => {
+    assert.strictEqual(professionalMembers, 2);
+    await addChild('child-1');
+    await addChild('child-2');
+
+    await assert.rejects(addChild('child-3'), { code: 'household_full' });
+    assert.strictEqual(await findHouseholdMembership('child-3'), null);
+});
+
+test('only the parent who gave consent can add the child', async () => {
+    await assert.rejects(addChild('child-1', { ownerEmail: 'someone-else@example.com' }), { code: 'not_consenting_parent' });
+    await assert.rejects(addChild('child-1', { consent: null }), { code: 'not_consenting_parent' });
+    assert.strictEqual(await getHousehold('parent'), null);
+});
+
+test('a child belongs to one household and cannot own one', async () => {
+    await addChild('child-1');
+
+    await assert.rejects(addHouseholdMember({
+        ownerUserId: 'other-parent',
+        ownerEmail: 'parent@example.com',
+        consent: consentFor('child-1'),
+        maxMembers: professionalMembers
+    }), { code: 'already_member' });
+
+    await assert.rejects(addHouseholdMember({
+        ownerUserId: 'child-1',
+        ownerEmail: 'parent@example.com',
+        consent: consentFor('child-2'),
+        maxMembers: professionalMembers
+    }), { code: 'member_cannot_own' });
+});
+
+test('an owner can only remove children from their own household', async () => {
+    await addChild('child-1');
+    await addChild('child-2');
+
+    assert.strictEqual(await removeHouseholdMember('child-1', { ownerUserId: 'other-parent' }), false);
+    assert.ok(await findHouseholdMembership('child-1'));
+
+    assert.strictEqual(await removeHouseholdMember('child-1', { ownerUserId: 'parent' }), true);
+    assert.strictEqual(await findHouseholdMembership('child-1'), null);
+    assert.deepStrictEqual((await getHousehold('parent')).memberUserIds, ['child-2']);
+    assert.strictEqual(await removeHouseholdMember('child-1', { ownerUserId: 'parent' }), false);
+});
+
+test('dissolving a household releases its members', async () => {
+    await addChild('child-1');
+    await addChild('child-2');
+
+    assert.strictEqual(await dissolveHousehold('parent'), 2);
+    assert.strictEqual(await getHousehold('parent'), null);
+    assert.strictEqual(await findHouseholdMembership('child-1'), null);
+});
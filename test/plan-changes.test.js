@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const { SUBSCRIPTIONS_COLLECTION } = require('../stripe-mode');
+const { getPlan } = require('../plan-catalog');
+const {
+    currentPlanOf,
+    isDowngrade,
+    scheduleDowngrade,
+    cancelScheduledChange,
+    settlePendingChange
+} = require('../plan-changes');
+
+const starterMonthly = getPlan('test', 'starter', 'monthly');
+const professionalMonthly = getPlan('test', 'professional', 'monthly');
+const professionalYearly = getPlan('test', 'professional', 'yearly');
+
+const PERIOD_START = 1700000000;
+const PERIOD_END = 1702592000;
+
+function stripeSubscription(plan, overrides = {}) {
+    return {
+        id: 'sub_123',
+        schedule: null,
+        current_period_end: PERIOD_END,
+        metadata: {},
+        items: { data: [{ id: 'si_1', quantity: 1, price: { id: plan.priceId } }] },
+        ...overrides
+    };
+}
+
+// Records the schedule calls plan-changes.js makes
+function fakeStripe() {
+    const calls = [];
+    const schedule = {
+        id: 'sub_sched_1',
+        phases: [{
+            start_date: PERIOD_START,
+            items: [{ price: { id: professionalMonthly.priceId }, quantity: 1 }],
+            coupon: null,
+            trial_end: null
+        }]
+    };
+    return {
+        calls,
+        subscriptionSchedules: {
+            create: async (params) => { calls.push(['create', params]); return schedule; },
+            retrieve: async (id) => { calls.push(['retrieve', id]); return schedule; },
+            update: async (id, params) => { calls.push(['update', id, params]); return schedule; },
+            release: async (id) => { calls.push(['release', id]); return schedule; }
+        }
+    };
+}
+
+function subscriptionDoc() {
+    return firestore.read(`${SUBSCRIPTIONS_COLLECTION}/sub_123`);
+}
+
+test.beforeEach(() => {
+    firestore.reset();
+    firestore.seed(`${SUBSCRIPTIONS_COLLECTION}/sub_123`, { id: 'sub_123', planType: 'professional', pendingChange: null });
+});
+
+test('currentPlanOf finds the catalog plan for the subscription price', () => {
+    assert.deepStrictEqual(currentPlanOf(stripeSubscription(professionalMonthly)), professionalMonthly);
+});
+
+test('currentPlanOf falls back to metadata for prices outside the catalog', () => {
+    const subscription = stripeSubscription({ priceId: 'price_legacy' }, {
+        metadata: { planType: 'starter', billingCycle: 'yearly' }
+    });
+    assert.deepStrictEqual(currentPlanOf(subscription), {
+        planType: 'starter',
+        billingCycle: 'yearly',
+        priceId: 'price_legacy'
+    });
+});
+
+test('isDowngrade orders by tier, then yearly above monthly', () => {
+    assert.strictEqual(isDowngrade(stripeSubscription(professionalMonthly), starterMonthly), true);
+    assert.strictEqual(isDowngrade(stripeSubscription(professionalYearly), professionalMonthly), true);
+    assert.strictEqual(isDowngrade(stripeSubscription(professionalMonthly), professionalYearly), false);
+    assert.strictEqual(isDowngrade(stripeSubscription(starterMonthly), professionalMonthly), false);
+});
+
+test('scheduleDowngrade keeps the current price until the period end, then switches', async () => {
+    const stripe = fakeStripe();
+    const pendingChange = await scheduleDowngrade(stripe, stripeSubscription(professionalMonthly), starterMonthly, {
+        couponId: 'coupon_1',
+        promoCode: 'SAVE10',
+        metadata: { planType: 'starter' }
+    });
+
+    assert.deepStrictEqual(stripe.calls[0], ['create', { from_subscription: 'sub_123' }]);
+    const [, scheduleId, params] = stripe.calls[1];
+    assert.strictEqual(scheduleId, 'sub_sched_1');
+    assert.strictEqual(params.end_behavior, 'release');
+    assert.deepStrictEqual(params.phases[0], {
+        items: [{ price: professionalMonthly.priceId, quantity: 1 }],
+        start_date: PERIOD_START,
+        end_date: PERIOD_END,
+        proration_behavior: 'none'
+    });
+    assert.deepStrictEqual(params.phases[1], {
+        items: [{ price: starterMonthly.priceId, quantity: 1 }],
+        iterations: 1,
+        proration_behavior: 'none',
+        metadata: { planType: 'starter' },
+        coupon: 'coupon_1'
+    });
+
+    assert.strictEqual(pendingChange.planType, 'starter');
+    assert.strictEqual(pendingChange.scheduleId, 'sub_sched_1');
+    assert.strictEqual(pendingChange.effectiveAt, new Date(PERIOD_END * 1000).toISOString());
+    assert.deepStrictEqual(subscriptionDoc().pendingChange, pendingChange);
+});
+
+test('scheduleDowngrade reuses an existing schedule', async () => {
+    const stripe = fakeStripe();
+    await scheduleDowngrade(stripe, stripeSubscription(professionalMonthly, { schedule: 'sub_sched_1' }), starterMonthly);
+
+    assert.deepStrictEqual(stripe.calls[0], ['retrieve', 'sub_sched_1']);
+    assert.strictEqual(stripe.calls[1][0], 'update');
+});
+
+test('cancelScheduledChange releases the schedule and clears the pending change', async () => {
+    const stripe = fakeStripe();
+    await scheduleDowngrade(stripe, stripeSubscription(professionalMonthly), starterMonthly);
+
+    const canceled = await cancelScheduledChange(stripe, stripeSubscription(professionalMonthly, { schedule: 'sub_sched_1' }));
+    assert.strictEqual(canceled, true);
+    assert.deepStrictEqual(stripe.calls.pop(), ['release', 'sub_sched_1']);
+    assert.strictEqual(subscriptionDoc().pendingChange, null);
+});
+
+test('cancelScheduledChange does nothing without a schedule', async () => {
+    const stripe = fakeStripe();
+    assert.strictEqual(await cancelScheduledChange(stripe, stripeSubscription(professionalMonthly)), false);
+    assert.deepStrictEqual(stripe.calls, []);
+});
+
+test('settlePendingChange keeps the change while the schedule is pending', async () => {
+    await scheduleDowngrade(fakeStripe(), stripeSubscription(professionalMonthly), starterMonthly);
+
+    await settlePendingChange(stripeSubscription(professionalMonthly, { schedule: 'sub_sched_1' }));
+    assert.strictEqual(subscriptionDoc().pendingChange.planType, 'starter');
+});
+
+test('settlePendingChange clears the change once the new price applies', async () => {
+    await scheduleDowngrade(fakeStripe(), stripeSubscription(professionalMonthly), starterMonthly);
+
+    await settlePendingChange(stripeSubscription(starterMonthly));
+    assert.strictEqual(subscriptionDoc().pendingChange, null);
+});
+
+test('settlePendingChange clears the change when its schedule is gone', async () => {
+    await scheduleDowngrade(fakeStripe(), stripeSubscription(professionalMonthly), starterMonthly);
+
+    await settlePendingChange(stripeSubscription(professionalMonthly));
+    assert.strictEqual(subscriptionDoc().pendingChange, null);
+});
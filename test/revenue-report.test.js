@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const { FINANCIAL_RECORDS_COLLECTION } = require('../stripe-mode');
+const { toCsv } = require('../csv');
+const { REVENUE_REPORT_COLUMNS, parseRevenueReportFilters, getRevenueReport } = require('../revenue-report');
+
+let recordCount = 0;
+function seedRecord(data) {
+    recordCount += 1;
+    firestore.seed(`${FINANCIAL_RECORDS_COLLECTION}/record_${recordCount}`, {
+        currency: 'usd',
+        planType: 'professional',
+        billingCycle: 'monthly',
+        isTherapyReferral: false,
+        isAnonymized: false,
+        ...data
+    });
+}
+
+function revenue(lastTransactionDate, amount, extra = {}) {
+    seedRecord({ recordType: 'revenue', lastTransactionDate, amount, discountAmount: 0, taxAmount: 0, ...extra });
+}
+
+function adjustment(lastTransactionDate, adjustmentType, amount) {
+    seedRecord({ recordType: 'adjustment', adjustmentType, lastTransactionDate, amount });
+}
+
+function filtersFor(query) {
+    const { filters, error } = parseRevenueReportFilters(query);
+    assert.strictEqual(error, undefined);
+    return filters;
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('requires a bounded from/to range', () => {
+    assert.deepStrictEqual(parseRevenueReportFilters({}), { error: 'from and to are required' });
+    assert.deepStrictEqual(parseRevenueReportFilters({ from: '2025-01-01' }), { error: 'from and to are required' });
+    assert.strictEqual(parseRevenueReportFilters({ from: '01/01/2025', to: '2025-02-01' }).error, 'from must be a date in YYYY-MM-DD format');
+    assert.strictEqual(parseRevenueReportFilters({ from: '2025-03-01', to: '2025-02-01' }).error, 'from must not be after to');
+    assert.strictEqual(parseRevenueReportFilters({ from: '2024-01-01', to: '2025-01-01' }).error, 'A report can cover at most 366 days');
+
+    const filters = filtersFor({ from: '2024-01-01', to: '2024-12-31' });
+    assert.strictEqual(filters.from.toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(filters.to.toISOString(), '2025-01-01T00:00:00.000Z');
+});
+
+test('validates the optional filters', () => {
+    const range = { from: '2025-01-01', to: '2025-03-31' };
+    assert.strictEqual(parseRevenueReportFilters({ ...range, billingCycle: 'weekly' }).error, 'billingCycle must be monthly or yearly');
+    assert.strictEqual(parseRevenueReportFilters({ ...range, isTherapyReferral: 'yes' }).error, 'isTherapyReferral must be true or false');
+
+    const filters = filtersFor({ ...range, planType: 'starter', isAnonymized: 'false' });
+    assert.strictEqual(filters.planType, 'starter');
+    assert.strictEqual(filters.isAnonymized, false);
+});
+
+test('nets refunds and disputes against revenue per month and currency', async () => {
+    revenue('2025-01-05T10:00:00.000Z', 20, { discountAmount: 5, taxAmount: 2 });
+    revenue('2025-01-20T10:00:00.000Z', 10.1, { taxAmount: 1 });
+    adjustment('2025-01-25T10:00:00.000Z', 'refund', -10.1);
+    revenue('2025-02-03T10:00:00.000Z', 20, { taxAmount: 2 });
+    adjustment('2025-02-10T10:00:00.000Z', 'dispute', -20);
+    adjustment('2025-02-28T10:00:00.000Z', 'dispute_reversal', 20);
+    revenue('2025-02-15T10:00:00.000Z', 15, { currency: 'EUR' });
+
+    const report = await getRevenueReport(filtersFor({ from: '2025-01-01', to: '2025-02-28' }));
+    assert.strictEqual(report.recordCount, 7);
+    assert.deepStrictEqual(report.months.map(row => [row.month, row.currency]), [
+        ['2025-01', 'usd'],
+        ['2025-02', 'eur'],
+        ['2025-02', 'usd']
+    ]);
+    assert.deepStrictEqual(report.months[0], {
+        month: '2025-01',
+        currency: 'usd',
+        invoiceCount: 2,
+        grossRevenue: 30.1,
+        discounts: 5,
+        taxCollected: 3,
+        refunds: -10.1,
+        disputes: 0,
+        netRevenue: 20,
+        netRevenueExcludingTax: 17
+    });
+    assert.strictEqual(report.months[2].disputes, 0);
+    assert.strictEqual(report.months[2].netRevenue, 20);
+
+    const usdTotal = report.totals.find(row => row.currency === 'usd');
+    assert.strictEqual(usdTotal.month, 'total');
+    assert.strictEqual(usdTotal.invoiceCount, 3);
+    assert.strictEqual(usdTotal.netRevenue, 40);
+    assert.strictEqual(usdTotal.netRevenueExcludingTax, 35);
+});
+
+test('only reports records inside the range that match the filters', async () => {
+    revenue('2024-12-31T23:59:59.000Z', 100);
+    revenue('2025-01-01T00:00:00.000Z', 10);
+    revenue('2025-01-31T23:59:59.000Z', 20, { planType: 'starter' });
+    revenue('2025-02-01T00:00:00.000Z', 100);
+
+    const all = await getRevenueReport(filtersFor({ from: '2025-01-01', to: '2025-01-31' }));
+    assert.strictEqual(all.recordCount, 2);
+
+    const starter = await getRevenueReport(filtersFor({ from: '2025-01-01', to: '2025-01-31', planType: 'starter' }));
+    assert.strictEqual(starter.totals[0].grossRevenue, 20);
+});
+
+test('exports report rows as CSV in the report column order', async () => {
+    revenue('2025-01-05T10:00:00.000Z', 20, { taxAmount: 2 });
+    adjustment('2025-01-25T10:00:00.000Z', 'refund', -5);
+
+    const report = await getRevenueReport(filtersFor({ from: '2025-01-01', to: '2025-01-31' }));
+    const lines = toCsv([...report.months, ...report.totals], REVENUE_REPORT_COLUMNS).trim().split('\r\n');
+
+    assert.deepStrictEqual(lines, [
+        'month,currency,invoiceCount,grossRevenue,discounts,taxCollected,refunds,disputes,netRevenue,netRevenueExcludingTax',
+        '2025-01,usd,1,20,0,2,-5,0,15,13',
+        'total,usd,1,20,0,2,-5,0,15,13'
+    ]);
+});
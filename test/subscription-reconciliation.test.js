@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const { SUBSCRIPTIONS_COLLECTION } = require('../stripe-mode');
+const {
+    RECONCILIATION_RUNS_COLLECTION,
+    DRIFT_TYPES,
+    reconcileSubscriptions,
+    listReconciliationRuns,
+    getReconciliationRun
+} = require('../subscription-reconciliation');
+
+function stripeSubscription(id, overrides = {}) {
+    return {
+        id,
+        customer: 'cus_1',
+        status: 'active',
+        metadata: { userId: 'user-1', planType: 'professional', billingCycle: 'monthly' },
+        cancel_at_period_end: false,
+        created: 1700000000,
+        current_period_start: 1700000000,
+        current_period_end: 1702592000,
+        trial_start: null,
+        trial_end: null,
+        ...overrides
+    };
+}
+
+// Pages through `subscriptions` like the Stripe SDK's auto-paginating list;
+// `gate` holds the listing open until it resolves
+function fakeStripe(subscriptions, gate = Promise.resolve()) {
+    return {
+        subscriptions: {
+            list: async function* () {
+                await gate;
+                yield* subscriptions;
+            }
+        }
+    };
+}
+
+function seedDoc(id, data) {
+    firestore.seed(`${SUBSCRIPTIONS_COLLECTION}/${id}`, { id, stripeSubscriptionId: id, userId: 'user-1', ...data });
+}
+
+function subscriptionDoc(id) {
+    return firestore.read(`${SUBSCRIPTIONS_COLLECTION}/${id}`);
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('reports no drift when Firestore matches Stripe', async () => {
+    seedDoc('sub_1', { status: 'active', planType: 'professional' });
+
+    const run = await reconcileSubscriptions(fakeStripe([stripeSubscription('sub_1')]));
+    assert.strictEqual(run.status, 'completed');
+    assert.strictEqual(run.stripeSubscriptionCount, 1);
+    assert.strictEqual(run.firestoreSubscriptionCount, 1);
+    assert.strictEqual(run.driftCount, 0);
+    assert.deepStrictEqual(await getReconciliationRun(run.runId), run);
+});
+
+test('detects each kind of drift without changing Firestore', async () => {
+    seedDoc('sub_status', { status: 'active', planType: 'professional' });
+    seedDoc('sub_plan', { status: 'active', planType: 'starter' });
+    seedDoc('sub_orphan', { status: 'active', planType: 'starter' });
+
+    const run = await reconcileSubscriptions(fakeStripe([
+        stripeSubscription('sub_status', { status: 'past_due' }),
+        stripeSubscription('sub_plan'),
+        stripeSubscription('sub_missing')
+    ]));
+
+    assert.deepStrictEqual(run.driftCounts, {
+        [DRIFT_TYPES.MISSING_DOC]: 1,
+        [DRIFT_TYPES.STATUS_MISMATCH]: 1,
+        [DRIFT_TYPES.PLAN_TYPE_MISMATCH]: 1,
+        [DRIFT_TYPES.ORPHAN_DOC]: 1
+    });
+    assert.strictEqual(run.repairedCount, 0);
+    assert.deepStrictEqual(run.drift.find(entry => entry.type === DRIFT_TYPES.STATUS_MISMATCH), {
+        type: DRIFT_TYPES.STATUS_MISMATCH,
+        firestoreValue: 'active',
+        stripeValue: 'past_due',
+        stripeSubscriptionId: 'sub_status',
+        userId: 'user-1',
+        repaired: false
+    });
+    assert.strictEqual(subscriptionDoc('sub_status').status, 'active');
+    assert.strictEqual(subscriptionDoc('sub_orphan').status, 'active');
+    assert.strictEqual(subscriptionDoc('sub_missing'), undefined);
+});
+
+test('repair brings Firestore back in line with Stripe', async () => {
+    seedDoc('sub_status', { status: 'active', planType: 'professional', stripeEventCreated: 1 });
+    seedDoc('sub_orphan', { status: 'active', planType: 'starter' });
+
+    const run = await reconcileSubscriptions(fakeStripe([
+        stripeSubscription('sub_status', { status: 'past_due' }),
+        stripeSubscription('sub_missing', { metadata: { userId: 'user-2', planType: 'starter' } })
+    ]), { repair: true, triggeredBy: 'admin' });
+
+    assert.strictEqual(run.driftCount, 3);
+    assert.strictEqual(run.repairedCount, 3);
+    assert.strictEqual(subscriptionDoc('sub_status').status, 'past_due');
+    assert.ok(subscriptionDoc('sub_status').stripeEventCreated > 1);
+    assert.strictEqual(subscriptionDoc('sub_missing').userId, 'user-2');
+    assert.strictEqual(subscriptionDoc('sub_missing').planType, 'starter');
+    assert.strictEqual(subscriptionDoc('sub_orphan').status, 'canceled');
+    assert.ok(subscriptionDoc('sub_orphan').orphanedAt);
+});
+
+test('repair finds the user of a subscription without metadata by their stored customer ID', async () => {
+    firestore.seed('users/user-3', { email: 'shared@example.com', stripeCustomerIds: { test: 'cus_3' } });
+    firestore.seed('users/user-4', { email: 'shared@example.com', stripeCustomerIds: { live: 'cus_3' } });
+
+    const run = await reconcileSubscriptions(fakeStripe([
+        stripeSubscription('sub_found', { customer: 'cus_3', metadata: {} }),
+        stripeSubscription('sub_unknown', { customer: 'cus_unknown', metadata: {} })
+    ]), { repair: true });
+
+    assert.strictEqual(subscriptionDoc('sub_found').userId, 'user-3');
+    assert.strictEqual(subscriptionDoc('sub_unknown'), undefined);
+    assert.deepStrictEqual(run.drift.find(entry => entry.stripeSubscriptionId === 'sub_unknown'), {
+        type: DRIFT_TYPES.MISSING_DOC,
+        stripeSubscriptionId: 'sub_unknown',
+        stripeStatus: 'active',
+        repaired: false,
+        note: 'No user found for this subscription'
+    });
+});
+
+test('allows one run at a time', async () => {
+    let openGate;
+    const gate = new Promise(resolve => { openGate = resolve; });
+    const first = reconcileSubscriptions(fakeStripe([], gate));
+
+    await assert.rejects(reconcileSubscriptions(fakeStripe([])), { code: 'reconciliation_in_progress' });
+
+    openGate();
+    assert.strictEqual((await first).status, 'completed');
+    assert.strictEqual((await reconcileSubscriptions(fakeStripe([]))).status, 'completed');
+});
+
+test('records a failed run and releases the guard', async () => {
+    const stripe = {
+        subscriptions: {
+            list: async function* () {
+                throw new Error('Stripe unavailable');
+            }
+        }
+    };
+
+    const run = await reconcileSubscriptions(stripe);
+    assert.strictEqual(run.status, 'failed');
+    assert.strictEqual(run.error, 'Stripe unavailable');
+    assert.strictEqual(firestore.read(`${RECONCILIATION_RUNS_COLLECTION}/${run.runId}`).status, 'failed');
+    assert.strictEqual((await reconcileSubscriptions(fakeStripe([]))).status, 'completed');
+});
+
+test('run listings leave out the drift details', async () => {
+    seedDoc('sub_orphan', { status: 'active' });
+    await reconcileSubscriptions(fakeStripe([]));
+
+    const [summary] = await listReconciliationRuns();
+    assert.strictEqual(summary.driftCount, 1);
+    assert.strictEqual('drift' in summary, false);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const { SUBSCRIPTIONS_COLLECTION, FINANCIAL_RECORDS_COLLECTION } = require('../stripe-mode');
+const { parseRevenueReportFilters } = require('../revenue-report');
+const {
+    REFERRAL_CODES_COLLECTION,
+    THERAPIST_REFERRALS_COLLECTION,
+    createTherapist,
+    deactivateTherapist,
+    findTherapistByReferralCode,
+    findReferralForUser,
+    recordReferral,
+    getTherapistReferralReport
+} = require('../therapist-referrals');
+
+function createDrLee() {
+    return createTherapist({ userId: 'therapist-1', name: 'Dr. Lee', email: 'lee@example.com' });
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('gives each therapist a unique, unambiguous referral code', async () => {
+    const therapist = await createDrLee();
+
+    assert.match(therapist.referralCode, /^FF[A-HJKMNP-Z2-9]{6}$/);
+    assert.strictEqual(firestore.read(`${REFERRAL_CODES_COLLECTION}/${therapist.referralCode}`).therapistId, 'therapist-1');
+    await assert.rejects(createDrLee(), { code: 'therapist_exists' });
+});
+
+test('finds active therapists by code, ignoring case and whitespace', async () => {
+    const therapist = await createDrLee();
+
+    assert.strictEqual((await findTherapistByReferralCode(` ${therapist.referralCode.toLowerCase()} `)).therapistId, 'therapist-1');
+    assert.strictEqual(await findTherapistByReferralCode('FFNOPE22'), null);
+    assert.strictEqual(await findTherapistByReferralCode(''), null);
+    assert.strictEqual(await findTherapistByReferralCode(undefined), null);
+
+    assert.strictEqual(await deactivateTherapist('therapist-1'), true);
+    assert.strictEqual(await findTherapistByReferralCode(therapist.referralCode), null);
+    assert.strictEqual(await deactivateTherapist('nobody'), false);
+});
+
+test('attributes a subscriber to the first therapist whose code they redeemed', async () => {
+    const first = await createDrLee();
+    const second = await createTherapist({ userId: 'therapist-2', name: 'Dr. Kim' });
+
+    await recordReferral({ userId: 'user-1', therapist: first, stripeSubscriptionId: 'sub_1' });
+    const referral = await recordReferral({ userId: 'user-1', therapist: second, stripeSubscriptionId: 'sub_2' });
+
+    assert.strictEqual(referral.therapistId, 'therapist-1');
+    assert.strictEqual(referral.firstStripeSubscriptionId, 'sub_1');
+    assert.strictEqual((await findReferralForUser('user-1')).referralCode, first.referralCode);
+    assert.strictEqual(await findReferralForUser('user-2'), null);
+});
+
+test('keeps test mode attribution apart from live', async () => {
+    const therapist = await createDrLee();
+    firestore.seed('therapist_referrals/user-1', { userId: 'user-1', therapistId: 'live-therapist' });
+
+    assert.strictEqual(THERAPIST_REFERRALS_COLLECTION, 'test_therapist_referrals');
+    assert.strictEqual(await findReferralForUser('user-1'), null);
+
+    await recordReferral({ userId: 'user-1', therapist, stripeSubscriptionId: 'sub_1' });
+    assert.strictEqual(firestore.read(`${THERAPIST_REFERRALS_COLLECTION}/user-1`).therapistId, 'therapist-1');
+    assert.strictEqual(firestore.read('therapist_referrals/user-1').therapistId, 'live-therapist');
+});
+
+test('payout report totals the therapist\'s active subscribers and referral revenue', async () => {
+    const subscription = (id, data) => firestore.seed(`${SUBSCRIPTIONS_COLLECTION}/${id}`, {
+        id, therapistId: 'therapist-1', billingCycle: 'monthly', ...data
+    });
+    subscription('sub_1', { status: 'active', planType: 'professional' });
+    subscription('sub_2', { status: 'trialing', planType: 'professional' });
+    subscription('sub_3', { status: 'active', planType: 'starter' });
+    subscription('sub_4', { status: 'canceled', planType: 'premium' });
+    subscription('sub_5', { status: 'active', planType: 'premium', therapistId: 'therapist-2' });
+
+    const record = (id, data) => firestore.seed(`${FINANCIAL_RECORDS_COLLECTION}/${id}`, {
+        therapistId: 'therapist-1', currency: 'usd', lastTransactionDate: '2025-01-10T00:00:00.000Z', ...data
+    });
+    record('in_1', { recordType: 'revenue', amount: 20 });
+    record('in_2', { recordType: 'revenue', amount: 10 });
+    record('re_1', { recordType: 'adjustment', adjustmentType: 'refund', amount: -10 });
+    record('in_3', { recordType: 'revenue', amount: 99, therapistId: 'therapist-2' });
+    record('in_4', { recordType: 'revenue', amount: 99, lastTransactionDate: '2024-06-01T00:00:00.000Z' });
+
+    const { filters } = parseRevenueReportFilters({ from: '2025-01-01', to: '2025-01-31' });
+    const report = await getTherapistReferralReport('therapist-1', filters);
+
+    assert.strictEqual(report.activeSubscriberCount, 3);
+    assert.deepStrictEqual(report.activeSubscribersByPlan, { professional: 2, starter: 1 });
+    assert.strictEqual(report.revenue.recordCount, 3);
+    assert.strictEqual(report.revenue.totals[0].grossRevenue, 30);
+    assert.strictEqual(report.revenue.totals[0].refunds, -10);
+    assert.strictEqual(report.revenue.totals[0].netRevenue, 20);
+});
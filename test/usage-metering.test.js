@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./helpers/fake-firestore');
+
+const firestore = installFakeFirestore();
+const { ENTITLEMENT_LIMITS } = require('../entitlements');
+const {
+    usageMonthOf,
+    getMonthlyUsage,
+    getPooledMonthlyUsage,
+    listMonthlyUsage,
+    recordUsage
+} = require('../usage-metering');
+
+const starter = ENTITLEMENT_LIMITS.starter;
+const unlimited = ENTITLEMENT_LIMITS.premium;
+
+function usagePath(userId, month = usageMonthOf()) {
+    return `usage/${userId}/monthly/${month}`;
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('usage months are UTC calendar months', () => {
+    assert.strictEqual(usageMonthOf(new Date('2025-03-31T23:59:59.000Z')), '2025-03');
+    assert.strictEqual(usageMonthOf(new Date('2025-04-01T00:00:00.000Z')), '2025-04');
+});
+
+test('records usage within the monthly limit', async () => {
+    const first = await recordUsage('user-1', { practiceMinutes: 100, aiTurns: 10 }, starter);
+    const second = await recordUsage('user-1', { practiceMinutes: 200 }, starter);
+
+    assert.deepStrictEqual(second, { month: usageMonthOf(), practiceMinutes: 300, aiTurns: 10 });
+    assert.strictEqual(first.practiceMinutes, 100);
+    assert.deepStrictEqual(await getMonthlyUsage('user-1'), second);
+});
+
+test('rejects a record that would go over the monthly limit and records nothing', async () => {
+    await recordUsage('user-1', { practiceMinutes: 290, aiTurns: 5 }, starter);
+
+    await assert.rejects(recordUsage('user-1', { practiceMinutes: 11, aiTurns: 1 }, starter), {
+        code: 'quota_exceeded',
+        details: { metric: 'practiceMinutes', limit: 300, used: 290, requested: 11 }
+    });
+    assert.strictEqual(firestore.read(usagePath('user-1')).aiTurns, 5);
+
+    // Metrics without a new amount aren't checked, so a full quota doesn't block the other one
+    await recordUsage('user-1', { practiceMinutes: 10 }, starter);
+    assert.strictEqual((await recordUsage('user-1', { aiTurns: 1 }, starter)).aiTurns, 6);
+});
+
+test('unlimited quotas never reject', async () => {
+    const usage = await recordUsage('user-1', { practiceMinutes: 100000, aiTurns: 100000 }, unlimited);
+    assert.strictEqual(usage.practiceMinutes, 100000);
+});
+
+test('household pooled usage counts against the shared quota', async () => {
+    const pool = { poolUserIds: ['parent', 'child-1'] };
+    await recordUsage('parent', { practiceMinutes: 200 }, starter, pool);
+    await recordUsage('child-1', { practiceMinutes: 90 }, starter, pool);
+
+    await assert.rejects(recordUsage('child-1', { practiceMinutes: 20 }, starter, pool), {
+        code: 'quota_exceeded',
+        details: { metric: 'practiceMinutes', limit: 300, used: 290, requested: 20 }
+    });
+    await assert.rejects(recordUsage('parent', { practiceMinutes: 20 }, starter, pool), { code: 'quota_exceeded' });
+
+    // Each profile keeps its own counters
+    assert.strictEqual((await getMonthlyUsage('child-1')).practiceMinutes, 90);
+    assert.strictEqual((await getPooledMonthlyUsage(pool.poolUserIds)).practiceMinutes, 290);
+});
+
+test('lists usage history newest first', async () => {
+    firestore.seed(usagePath('user-1', '2025-01'), { practiceMinutes: 10, aiTurns: 1 });
+    firestore.seed(usagePath('user-1', '2025-03'), { practiceMinutes: 30 });
+    firestore.seed(usagePath('user-1', '2025-02'), { aiTurns: 2 });
+
+    assert.deepStrictEqual(await listMonthlyUsage('user-1', { months: 2 }), [
+        { month: '2025-03', practiceMinutes: 30, aiTurns: 0 },
+        { month: '2025-02', practiceMinutes: 0, aiTurns: 2 }
+    ]);
+});
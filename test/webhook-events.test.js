@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore, Timestamp } = require('./helpers/fake-firestore');
+
+process.env.STRIPE_MODE = 'test';
+const firestore = installFakeFirestore();
+const {
+    WEBHOOK_EVENTS_COLLECTION,
+    claimWebhookEvent,
+    completeWebhookEvent,
+    failWebhookEvent,
+    purgeExpiredWebhookEvents
+} = require('../webhook-events');
+
+const event = {
+    id: 'evt_1',
+    type: 'invoice.payment_succeeded',
+    livemode: false,
+    created: 1700000000
+};
+
+function eventRecord() {
+    return firestore.read(`${WEBHOOK_EVENTS_COLLECTION}/${event.id}`);
+}
+
+test.beforeEach(() => firestore.reset());
+
+test('namespaces the event log by Stripe mode', () => {
+    assert.strictEqual(WEBHOOK_EVENTS_COLLECTION, 'test_stripe_webhook_events');
+});
+
+test('claims a new event and leases it for processing', async () => {
+    assert.deepStrictEqual(await claimWebhookEvent(event), { status: 'claimed' });
+
+    const record = eventRecord();
+    assert.strictEqual(record.status, 'processing');
+    assert.strictEqual(record.attempts, 1);
+    assert.ok(record.leaseUntil > Date.now());
+    assert.ok(record.expireAt instanceof Timestamp);
+});
+
+test('reports an event leased by another instance as in progress', async () => {
+    await claimWebhookEvent(event);
+    assert.deepStrictEqual(await claimWebhookEvent(event), { status: 'in_progress' });
+});
+
+test('lets a retry reclaim an event whose lease ran out', async () => {
+    await claimWebhookEvent(event);
+    firestore.seed(`${WEBHOOK_EVENTS_COLLECTION}/${event.id}`, { ...eventRecord(), leaseUntil: Date.now() - 1 });
+
+    assert.deepStrictEqual(await claimWebhookEvent(event), { status: 'claimed' });
+    assert.strictEqual(eventRecord().attempts, 2);
+});
+
+test('skips an event once it is processed', async () => {
+    await claimWebhookEvent(event);
+    await completeWebhookEvent(event.id, 'handled');
+
+    assert.deepStrictEqual(await claimWebhookEvent(event), { status: 'processed', outcome: 'handled' });
+    assert.strictEqual(eventRecord().leaseUntil, null);
+});
+
+test('releases a failed event so the next delivery runs it again', async () => {
+    await claimWebhookEvent(event);
+    await failWebhookEvent(event.id, new Error('Firestore unavailable'));
+
+    const failed = eventRecord();
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.lastError, 'Firestore unavailable');
+    assert.strictEqual(failed.leaseUntil, null);
+
+    assert.deepStrictEqual(await claimWebhookEvent(event), { status: 'claimed' });
+    assert.strictEqual(eventRecord().attempts, 2);
+    assert.strictEqual(eventRecord().firstReceivedAt, failed.firstReceivedAt);
+});
+
+test('purges event records past their retention', async () => {
+    await claimWebhookEvent(event);
+    await claimWebhookEvent({ ...event, id: 'evt_old' });
+    firestore.seed(`${WEBHOOK_EVENTS_COLLECTION}/evt_old`, {
+        ...firestore.read(`${WEBHOOK_EVENTS_COLLECTION}/evt_old`),
+        expireAt: Timestamp.fromMillis(Date.now() - 1000)
+    });
+
+    assert.deepStrictEqual(await purgeExpiredWebhookEvents(), { deleted: 1 });
+    assert.deepStrictEqual(firestore.paths(WEBHOOK_EVENTS_COLLECTION), [`${WEBHOOK_EVENTS_COLLECTION}/${event.id}`]);
+});
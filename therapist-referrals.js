@@ -0,0 +1,221 @@
+/**
+ * Therapist Referral Program
+ * Therapists get an account and a unique referral code. A subscriber who redeems
+ * a code in /api/create-subscription is linked to that therapist for good: their
+ * subscriptions and revenue records carry `therapistId`, which drives the
+ * per-therapist payout reports.
+ *
+ * therapists/{therapistId}               - therapistId is the therapist's Firebase uid
+ * therapist_referral_codes/{code}        - reserves each code, so codes are unique
+ * therapist_referrals/{subscriberUserId} - which therapist referred a subscriber
+ *   (test_therapist_referrals in test mode, so test redemptions never attribute live subscribers)
+ *
+ * Payout reports query financial_records by therapistId, which needs a composite
+ * index on therapistId and lastTransactionDate (see revenue-report.js).
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { SUBSCRIPTIONS_COLLECTION, stripeCollection } = require('./stripe-mode');
+const { ENTITLED_STATUSES } = require('./plan-catalog');
+const { getRevenueReport } = require('./revenue-report');
+
+const THERAPISTS_COLLECTION = 'therapists';
+const REFERRAL_CODES_COLLECTION = 'therapist_referral_codes';
+const THERAPIST_REFERRALS_COLLECTION = stripeCollection('therapist_referrals');
+
+// Firestore's ALREADY_EXISTS status code
+const ALREADY_EXISTS = 6;
+
+// No 0/O or 1/I/L, so codes can be read out and typed without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = 5;
+
+function generateReferralCode() {
+    let code = 'FF';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function normalizeReferralCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Make a user a therapist and reserve a referral code for them.
+ * Throws with code `therapist_exists` if they already are one.
+ */
+async function createTherapist({ userId, name, email = null, practiceName = null }) {
+    const therapistRef = admin.firestore().collection(THERAPISTS_COLLECTION).doc(userId);
+    if ((await therapistRef.get()).exists) {
+        const error = new Error(`User ${userId} is already a therapist`);
+        error.code = 'therapist_exists';
+        throw error;
+    }
+
+    let referralCode = null;
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS && !referralCode; attempt++) {
+        const candidate = generateReferralCode();
+        try {
+            await admin.firestore().collection(REFERRAL_CODES_COLLECTION).doc(candidate).create({
+                code: candidate,
+                therapistId: userId,
+                createdAt: new Date().toISOString()
+            });
+            referralCode = candidate;
+        } catch (error) {
+            if (error.code !== ALREADY_EXISTS) {
+                throw error;
+            }
+        }
+    }
+    if (!referralCode) {
+        throw new Error('Could not generate a unique referral code');
+    }
+
+    const therapist = {
+        therapistId: userId,
+        name,
+        email,
+        practiceName,
+        referralCode,
+        active: true,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    await therapistRef.set(therapist);
+    console.log(`🩺 Therapist ${userId} created with referral code ${referralCode}`);
+    return therapist;
+}
+
+async function getTherapist(therapistId) {
+    const doc = await admin.firestore().collection(THERAPISTS_COLLECTION).doc(therapistId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+async function listTherapists() {
+    const snapshot = await admin.firestore()
+        .collection(THERAPISTS_COLLECTION)
+        .orderBy('createdAt', 'desc')
+        .get();
+    return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Stop a therapist's code from being redeemed. Existing referrals keep their attribution.
+ * Resolves to false if there's no such therapist.
+ */
+async function deactivateTherapist(therapistId) {
+    const therapistRef = admin.firestore().collection(THERAPISTS_COLLECTION).doc(therapistId);
+    if (!(await therapistRef.get()).exists) {
+        return false;
+    }
+    await therapistRef.update({
+        active: false,
+        updatedAt: new Date().toISOString()
+    });
+    return true;
+}
+
+/**
+ * The active therapist behind a referral code (case-insensitive), or null
+ */
+async function findTherapistByReferralCode(code) {
+    const normalized = normalizeReferralCode(code);
+    if (!normalized) {
+        return null;
+    }
+
+    const codeDoc = await admin.firestore().collection(REFERRAL_CODES_COLLECTION).doc(normalized).get();
+    if (!codeDoc.exists) {
+        return null;
+    }
+
+    const therapist = await getTherapist(codeDoc.data().therapistId);
+    return therapist?.active ? therapist : null;
+}
+
+/**
+ * The subscriber's existing referral, or null if no therapist referred them
+ */
+async function findReferralForUser(userId) {
+    const doc = await admin.firestore().collection(THERAPIST_REFERRALS_COLLECTION).doc(userId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Link a subscriber to the therapist whose code they redeemed. The first
+ * referral wins; resolves to the referral that applies.
+ */
+async function recordReferral({ userId, therapist, stripeSubscriptionId }) {
+    const referral = {
+        userId,
+        therapistId: therapist.therapistId,
+        referralCode: therapist.referralCode,
+        firstStripeSubscriptionId: stripeSubscriptionId,
+        redeemedAt: new Date().toISOString()
+    };
+
+    try {
+        await admin.firestore().collection(THERAPIST_REFERRALS_COLLECTION).doc(userId).create(referral);
+        console.log(`🤝 User ${userId} referred by therapist ${therapist.therapistId}`);
+        return referral;
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+            return findReferralForUser(userId);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Payout report for one therapist: referred subscribers with access now, and the
+ * revenue report (see revenue-report.js) for their referrals within `filters`.
+ */
+async function getTherapistReferralReport(therapistId, filters = {}) {
+    const snapshot = await admin.firestore()
+        .collection(SUBSCRIPTIONS_COLLECTION)
+        .where('therapistId', '==', therapistId)
+        .where('status', 'in', ENTITLED_STATUSES)
+        .get();
+
+    const activeSubscribers = snapshot.docs.map(doc => {
+        const subscription = doc.data();
+        return {
+            subscriptionId: subscription.id || doc.id,
+            planType: subscription.planType,
+            billingCycle: subscription.billingCycle,
+            status: subscription.status,
+            subscribedAt: subscription.createdAt || null
+        };
+    });
+
+    const activeSubscribersByPlan = {};
+    for (const subscriber of activeSubscribers) {
+        activeSubscribersByPlan[subscriber.planType] = (activeSubscribersByPlan[subscriber.planType] || 0) + 1;
+    }
+
+    return {
+        activeSubscriberCount: activeSubscribers.length,
+        activeSubscribersByPlan,
+        activeSubscribers,
+        revenue: await getRevenueReport({ ...filters, therapistId })
+    };
+}
+
+module.exports = {
+    THERAPISTS_COLLECTION,
+    REFERRAL_CODES_COLLECTION,
+    THERAPIST_REFERRALS_COLLECTION,
+    createTherapist,
+    getTherapist,
+    listTherapists,
+    deactivateTherapist,
+    findTherapistByReferralCode,
+    findReferralForUser,
+    recordReferral,
+    getTherapistReferralReport
+};
@@ -0,0 +1,136 @@
+/**
+ * Practice Usage Metering
+ * usage/{uid}/monthly/{YYYY-MM} holds one calendar month (UTC) of usage:
+ *   { userId, month, practiceMinutes, aiTurns, updatedAt }
+ * Usage is recorded with Firestore increments inside a transaction that first
+ * checks the month's totals against the user's limits, so concurrent requests
+ * can't push a user past their quota. Household profiles that share a pool are
+ * checked against the pool's combined totals; each profile's usage is still
+ * recorded under its own uid.
+ */
+
+const admin = require('firebase-admin');
+
+const USAGE_METRICS = {
+    practiceMinutes: 'monthlyPracticeMinutes',
+    aiTurns: 'monthlyAiTurns'
+};
+
+// Months of history a single read may return
+const MAX_HISTORY_MONTHS = 24;
+
+/**
+ * Usage month key ('YYYY-MM', UTC) for a date
+ */
+function usageMonthOf(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+function monthlyUsageCollection(userId) {
+    return admin.firestore().collection('usage').doc(userId).collection('monthly');
+}
+
+function usageFrom(month, data = {}) {
+    return {
+        month,
+        practiceMinutes: data.practiceMinutes || 0,
+        aiTurns: data.aiTurns || 0
+    };
+}
+
+/**
+ * Usage counters for one month; zeros when nothing was recorded
+ */
+async function getMonthlyUsage(userId, month = usageMonthOf()) {
+    const doc = await monthlyUsageCollection(userId).doc(month).get();
+    return usageFrom(month, doc.exists ? doc.data() : {});
+}
+
+/**
+ * Combined usage of several profiles (a household pool) for one month
+ */
+async function getPooledMonthlyUsage(userIds, month = usageMonthOf()) {
+    const usages = await Promise.all(userIds.map(userId => getMonthlyUsage(userId, month)));
+    return sumUsage(month, usages);
+}
+
+function sumUsage(month, usages) {
+    return usages.reduce((total, usage) => ({
+        month,
+        practiceMinutes: total.practiceMinutes + usage.practiceMinutes,
+        aiTurns: total.aiTurns + usage.aiTurns
+    }), usageFrom(month));
+}
+
+/**
+ * The user's most recent months of usage, newest first (months without usage are omitted)
+ */
+async function listMonthlyUsage(userId, { months = 12 } = {}) {
+    const snapshot = await monthlyUsageCollection(userId)
+        .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+        .limit(Math.min(months, MAX_HISTORY_MONTHS))
+        .get();
+    return snapshot.docs.map(doc => usageFrom(doc.id, doc.data()));
+}
+
+/**
+ * Add practice minutes and/or AI turns to this month's usage, unless that would
+ * go over `limits` (entitlement limits; null means unlimited). `poolUserIds`
+ * lists every profile sharing the quota, including `userId`.
+ * Resolves to the user's updated totals for the month. Over quota, nothing is
+ * recorded and the error has code `quota_exceeded` and
+ * `details` { metric, limit, used, requested }.
+ */
+async function recordUsage(userId, { practiceMinutes = 0, aiTurns = 0 }, limits, { poolUserIds = [userId] } = {}) {
+    const month = usageMonthOf();
+    const docRef = monthlyUsageCollection(userId).doc(month);
+    const amounts = { practiceMinutes, aiTurns };
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const poolDocs = await Promise.all(poolUserIds
+            .filter(poolUserId => poolUserId !== userId)
+            .map(poolUserId => transaction.get(monthlyUsageCollection(poolUserId).doc(month))));
+        const doc = await transaction.get(docRef);
+        const own = usageFrom(month, doc.exists ? doc.data() : {});
+        const current = sumUsage(month, [own, ...poolDocs.map(poolDoc => usageFrom(month, poolDoc.exists ? poolDoc.data() : {}))]);
+
+        for (const [metric, limitName] of Object.entries(USAGE_METRICS)) {
+            const limit = limits[limitName];
+            if (amounts[metric] > 0 && limit !== null && current[metric] + amounts[metric] > limit) {
+                const error = new Error(`Monthly ${metric} quota exceeded`);
+                error.code = 'quota_exceeded';
+                error.details = {
+                    metric,
+                    limit,
+                    used: current[metric],
+                    requested: amounts[metric]
+                };
+                throw error;
+            }
+        }
+
+        transaction.set(docRef, {
+            userId,
+            month,
+            practiceMinutes: admin.firestore.FieldValue.increment(practiceMinutes),
+            aiTurns: admin.firestore.FieldValue.increment(aiTurns),
+            updatedAt: new Date().toISOString()
+        }, { merge: true });
+
+        return {
+            month,
+            practiceMinutes: own.practiceMinutes + practiceMinutes,
+            aiTurns: own.aiTurns + aiTurns
+        };
+    });
+}
+
+module.exports = {
+    USAGE_METRICS,
+    MAX_HISTORY_MONTHS,
+    usageMonthOf,
+    getMonthlyUsage,
+    getPooledMonthlyUsage,
+    listMonthlyUsage,
+    recordUsage
+};
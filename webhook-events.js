@@ -0,0 +1,116 @@
+/**
+ * Stripe Webhook Event Log
+ * Records every Stripe event ID we process so retried deliveries are
+ * acknowledged without running handlers a second time.
+ *
+ * stripe_webhook_events/{eventId} (test_stripe_webhook_events in test mode)
+ *   status: 'processing' | 'processed' | 'failed'
+ *   outcome: 'handled' | 'ignored' (processed events only)
+ *   expireAt: when the record can be forgotten (Firestore TTL field)
+ */
+
+const admin = require('firebase-admin');
+const { stripeCollection } = require('./stripe-mode');
+
+const WEBHOOK_EVENTS_COLLECTION = stripeCollection('stripe_webhook_events');
+
+// Stripe retries failed deliveries for up to 3 days; keep ids a day longer than that
+const WEBHOOK_EVENT_RETENTION_MS = 4 * 24 * 60 * 60 * 1000; // 4 days
+// A crashed handler releases its claim after this long so Stripe's retry can run it
+const PROCESSING_LEASE_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Claim an event for processing.
+ * Resolves to `{ status }` where status is 'claimed' (run the handlers),
+ * 'processed' (already done; also includes `outcome`) or 'in_progress'
+ * (another instance is running it right now).
+ */
+async function claimWebhookEvent(event) {
+    const docRef = admin.firestore().collection(WEBHOOK_EVENTS_COLLECTION).doc(event.id);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        const existing = doc.exists ? doc.data() : null;
+
+        if (existing && existing.status === 'processed') {
+            return { status: 'processed', outcome: existing.outcome };
+        }
+
+        if (existing && existing.status === 'processing' && existing.leaseUntil > Date.now()) {
+            return { status: 'in_progress' };
+        }
+
+        const now = new Date();
+        transaction.set(docRef, {
+            eventId: event.id,
+            type: event.type,
+            livemode: event.livemode === true,
+            stripeCreatedAt: event.created ? new Date(event.created * 1000).toISOString() : null,
+            status: 'processing',
+            outcome: null,
+            attempts: (existing ? existing.attempts : 0) + 1,
+            leaseUntil: now.getTime() + PROCESSING_LEASE_MS,
+            lastError: null,
+            firstReceivedAt: existing ? existing.firstReceivedAt : now.toISOString(),
+            processedAt: null,
+            expireAt: admin.firestore.Timestamp.fromMillis(now.getTime() + WEBHOOK_EVENT_RETENTION_MS),
+            updatedAt: now.toISOString()
+        });
+        return { status: 'claimed' };
+    });
+}
+
+/**
+ * Mark a claimed event as processed with its outcome ('handled' or 'ignored')
+ */
+async function completeWebhookEvent(eventId, outcome) {
+    await admin.firestore().collection(WEBHOOK_EVENTS_COLLECTION).doc(eventId).update({
+        status: 'processed',
+        outcome,
+        leaseUntil: null,
+        processedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Mark a claimed event as failed so Stripe's next retry runs it again
+ */
+async function failWebhookEvent(eventId, error) {
+    await admin.firestore().collection(WEBHOOK_EVENTS_COLLECTION).doc(eventId).update({
+        status: 'failed',
+        leaseUntil: null,
+        lastError: error.message,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Delete event records past their retention window.
+ * Backstop for projects without a Firestore TTL policy on `expireAt`.
+ */
+async function purgeExpiredWebhookEvents() {
+    const expired = await admin.firestore()
+        .collection(WEBHOOK_EVENTS_COLLECTION)
+        .where('expireAt', '<', admin.firestore.Timestamp.now())
+        .limit(500)
+        .get();
+
+    if (expired.empty) {
+        return { deleted: 0 };
+    }
+
+    const batch = admin.firestore().batch();
+    expired.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    return { deleted: expired.docs.length };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS_COLLECTION,
+    claimWebhookEvent,
+    completeWebhookEvent,
+    failWebhookEvent,
+    purgeExpiredWebhookEvents
+};